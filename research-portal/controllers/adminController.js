@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const privacyService = require('../services/privacyService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Admin Controller
+ * User management console: search users, approve role requests, grant/revoke roles,
+ * deactivate accounts and reset MFA. Every action is audited.
+ */
+
+const ROLES = ['Author', 'Reviewer', 'Editor', 'Admin'];
+const PAGE_SIZE = 25;
+
+/**
+ * Shape a role grant for the console
+ */
+const formatGrant = (grant) => ({
+  id: grant._id,
+  role: grant.role,
+  venue: grant.venue,
+  paperId: grant.paperId,
+  grantedBy: grant.grantedBy,
+  grantedAt: grant.grantedAt,
+  expiresAt: grant.expiresAt,
+});
+
+/**
+ * Describe a grant's scope for audit logs and notices
+ */
+const describeGrant = (grant) =>
+  `${grant.role}${grant.venue ? ` (venue: ${grant.venue})` : grant.paperId ? ` (paper: ${grant.paperId})` : ''}`;
+
+/**
+ * Validate a role grant request
+ * @returns {Object} { grant } or { error }
+ */
+const parseGrant = (body) => {
+  const { role, venue, paperId, expiresAt } = body;
+
+  if (!ROLES.includes(role)) {
+    return { error: `Role must be one of: ${ROLES.join(', ')}` };
+  }
+  if (venue && paperId) {
+    return { error: 'Scope a grant to a venue or a paper, not both' };
+  }
+  if (role === 'Admin' && (venue || paperId)) {
+    return { error: 'Admin grants cannot be scoped' };
+  }
+  if (paperId && !mongoose.isValidObjectId(paperId)) {
+    return { error: 'Invalid paper ID' };
+  }
+  if (venue && venue.toString().trim().length > 200) {
+    return { error: 'Venue must not exceed 200 characters' };
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+    return { error: 'expiresAt must be a future date' };
+  }
+
+  return {
+    grant: {
+      role: role,
+      venue: venue ? venue.toString().trim() : null,
+      paperId: paperId || null,
+      expiresAt: expiry,
+    },
+  };
+};
+
+/**
+ * Shape a user for the console (no credentials or MFA secrets)
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  username: user.username,
+  email: user.email,
+  roles: user.roles.map(formatGrant),
+  roleNames: user.roleNames(),
+  requestedRole: user.requestedRole,
+  roleRequestedAt: user.roleRequestedAt,
+  roleRequestNote: user.roleRequestNote,
+  institution: user.institution,
+  isActive: user.isActive,
+  isEmailVerified: user.isEmailVerified,
+  mfa: {
+    method: user.mfaMethod,
+    totpEnabled: !!user.mfaSecret,
+    securityKeys: user.webauthnCredentials.length,
+    recoveryCodesRemaining: user.recoveryCodes.length,
+  },
+  ssoProviders: user.ssoIdentities.map((identity) => identity.provider),
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  erasedAt: user.erasedAt,
+});
+
+/**
+ * Load the target user for an admin action
+ * Admins cannot apply role/status changes to themselves (prevents locking out the last Admin)
+ * @returns {Promise<Object|null>} User, or null if a response was sent
+ */
+const loadTargetUser = async (req, res, allowSelf = false) => {
+  const target = await User.findById(req.params.userId);
+
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  if (!allowSelf && target._id.toString() === req.session.userId.toString()) {
+    res.status(400).json({ error: 'Administrators cannot change their own roles or status' });
+    return null;
+  }
+  return target;
+};
+
+/**
+ * Search users
+ * Query: search (name, username, email, institution), role, status (active|inactive),
+ *        roleRequests (true), page
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { search, role, status, roleRequests } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = {};
+
+    if (search) {
+      // Escape regex metacharacters (prevent ReDoS / injection)
+      const pattern = new RegExp(search.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ fullName: pattern }, { username: pattern }, { email: pattern }, { institution: pattern }];
+    }
+    if (ROLES.includes(role)) {
+      filter['roles.role'] = role;
+    }
+    if (status === 'active' || status === 'inactive') {
+      filter.isActive = status === 'active';
+    }
+    if (roleRequests === 'true') {
+      filter.requestedRole = { $ne: null };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      users: users.map(formatUser),
+      total: total,
+      page: page,
+      pages: Math.ceil(total / PAGE_SIZE),
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+};
+
+/**
+ * Get one user
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to retrieve user' });
+  }
+};
+
+/**
+ * List pending role requests, oldest first
+ */
+exports.listRoleRequests = async (req, res) => {
+  try {
+    const users = await User.find({ requestedRole: { $ne: null } }).sort({ roleRequestedAt: 1 });
+
+    res.status(200).json({ requests: users.map(formatUser), count: users.length });
+  } catch (error) {
+    console.error('List role requests error:', error);
+    res.status(500).json({ error: 'Failed to list role requests' });
+  }
+};
+
+/**
+ * Approve or reject a pending role request
+ * Approval adds a grant of the requested role, optionally scoped to a venue
+ * Body: { approve (boolean), venue, reason }
+ */
+exports.decideRoleRequest = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { approve, reason } = req.body;
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    if (!target.requestedRole) {
+      return res.status(400).json({ error: 'User has no pending role request' });
+    }
+
+    let grant = null;
+    if (approve) {
+      const parsed = parseGrant({ role: target.requestedRole, venue: req.body.venue });
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      grant = { ...parsed.grant, grantedBy: req.session.userId, grantedAt: new Date() };
+      target.roles.push(grant);
+    }
+
+    const requestedRole = target.requestedRole;
+    target.requestedRole = null;
+    target.roleRequestedAt = null;
+    target.roleRequestNote = '';
+    await target.save();
+
+    await auditService.logAdminAction(
+      req.session.userId,
+      approve ? 'ROLE_REQUEST_APPROVED' : 'ROLE_REQUEST_REJECTED',
+      target.email,
+      approve ? `Granted ${describeGrant(grant)}` : `${requestedRole} request rejected${reason ? `: ${reason}` : ''}`,
+      clientIP
+    );
+    await emailService.sendAccountUpdateNotice(
+      target.email,
+      target.fullName,
+      approve ? `Your request for the ${describeGrant(grant)} role was approved.` : `Your request for the ${requestedRole} role was not approved.`
+    );
+
+    res.status(200).json({
+      message: approve ? `${target.email} is now ${describeGrant(grant)}` : 'Role request rejected',
+      user: formatUser(target),
+    });
+  } catch (error) {
+    console.error('Role request decision error:', error);
+    res.status(500).json({ error: 'Failed to process role request' });
+  }
+};
+
+/**
+ * Grant a role, optionally scoped to a venue or a paper and/or time-limited
+ * Body: { role, venue, paperId, expiresAt, reason }
+ */
+exports.grantRole = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const parsed = parseGrant(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const grant = parsed.grant;
+    const duplicate = target.activeRoles().some(
+      (existing) =>
+        existing.role === grant.role &&
+        (existing.venue || null) === grant.venue &&
+        String(existing.paperId || '') === String(grant.paperId || '')
+    );
+    if (duplicate) {
+      return res.status(400).json({ error: `User already holds ${describeGrant(grant)}` });
+    }
+
+    target.roles.push({ ...grant, grantedBy: req.session.userId, grantedAt: new Date() });
+    if (target.requestedRole === grant.role) {
+      target.requestedRole = null;
+      target.roleRequestedAt = null;
+      target.roleRequestNote = '';
+    }
+    await target.save();
+
+    const { reason } = req.body;
+    await auditService.logAdminAction(
+      req.session.userId,
+      'ROLE_GRANTED',
+      target.email,
+      `Granted ${describeGrant(grant)}${grant.expiresAt ? ` until ${grant.expiresAt.toISOString()}` : ''}${reason ? `: ${reason}` : ''}`,
+      clientIP
+    );
+    await emailService.sendAccountUpdateNotice(target.email, target.fullName, `You have been granted the ${describeGrant(grant)} role.`);
+
+    res.status(201).json({ message: `Granted ${describeGrant(grant)}`, user: formatUser(target) });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+};
+
+/**
+ * Revoke a role grant
+ * Body: { reason }
+ */
+exports.revokeRole = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const grant = target.roles.id(req.params.grantId);
+    if (!grant) {
+      return res.status(404).json({ error: 'Role grant not found' });
+    }
+
+    const description = describeGrant(grant);
+    target.roles.pull(grant._id);
+    await target.save();
+
+    const { reason } = req.body;
+    await auditService.logAdminAction(
+      req.session.userId,
+      'ROLE_REVOKED',
+      target.email,
+      `Revoked ${description}${reason ? `: ${reason}` : ''}`,
+      clientIP
+    );
+    await emailService.sendAccountUpdateNotice(target.email, target.fullName, `Your ${description} role has been removed.`);
+
+    res.status(200).json({ message: `Revoked ${description}`, user: formatUser(target) });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+};
+
+/**
+ * Activate or deactivate an account
+ * Deactivation signs the user out everywhere (sessions and API tokens stop working)
+ * Body: { active (boolean), reason }
+ */
+exports.setAccountStatus = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { active, reason } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active (boolean) required' });
+    }
+
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    target.isActive = active;
+    if (!active) {
+      await authMiddleware.revokeUserSessions(target, req);
+    }
+    await target.save();
+
+    await auditService.logAdminAction(
+      req.session.userId,
+      active ? 'ACCOUNT_ACTIVATED' : 'ACCOUNT_DEACTIVATED',
+      target.email,
+      reason || (active ? 'Account activated' : 'Account deactivated'),
+      clientIP
+    );
+
+    res.status(200).json({
+      message: active ? 'Account activated' : 'Account deactivated and signed out',
+      user: formatUser(target),
+    });
+  } catch (error) {
+    console.error('Account status error:', error);
+    res.status(500).json({ error: 'Failed to update account status' });
+  }
+};
+
+/**
+ * Reset a user's MFA (lost authenticator / security keys)
+ * Removes TOTP, security keys and recovery codes; the user falls back to email OTP
+ * and is signed out everywhere
+ * Body: { reason }
+ */
+exports.resetMFA = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { reason } = req.body;
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const removed = `TOTP: ${target.mfaSecret ? 'yes' : 'no'}, security keys: ${target.webauthnCredentials.length}, recovery codes: ${target.recoveryCodes.length}`;
+
+    target.mfaMethod = 'email';
+    target.mfaSecret = null;
+    target.mfaPendingSecret = null;
+    target.totpLastUsedStep = null;
+    target.webauthnCredentials = [];
+    target.recoveryCodes = [];
+    target.recoveryCodesGeneratedAt = null;
+    target.otpCode = null;
+    target.otpExpiry = null;
+    await authMiddleware.revokeUserSessions(target, req);
+    await target.save();
+
+    await auditService.logAdminAction(
+      req.session.userId,
+      'MFA_RESET',
+      target.email,
+      `Removed ${removed}${reason ? `; reason: ${reason}` : ''}`,
+      clientIP
+    );
+    await emailService.sendAccountUpdateNotice(
+      target.email,
+      target.fullName,
+      'Your multi-factor authentication was reset. Sign in with the code sent to your email, then set up your authenticator app or security key again.'
+    );
+
+    res.status(200).json({ message: 'MFA reset. The user will sign in with email OTP.', user: formatUser(target) });
+  } catch (error) {
+    console.error('MFA reset error:', error);
+    res.status(500).json({ error: 'Failed to reset MFA' });
+  }
+};
+
+/**
+ * Erase a user's account on their behalf (GDPR erasure request received by the editorial office)
+ * The account is pseudonymized and signed out everywhere; editorial records remain
+ * Body: { reason }
+ */
+exports.eraseUser = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { reason } = req.body;
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const blocker = await privacyService.erasureBlocker(target);
+    if (blocker) {
+      return res.status(400).json({ error: blocker });
+    }
+
+    await emailService.sendAccountUpdateNotice(
+      target.email,
+      target.fullName,
+      'Your account was erased following your request. Your personal data has been removed; papers, reviews and decisions remain as anonymous editorial records.'
+    );
+
+    await authMiddleware.revokeUserSessions(target, req);
+    const { pseudonym, counts } = await privacyService.eraseUser(target);
+
+    await auditService.logAdminAction(
+      req.session.userId,
+      'ACCOUNT_ERASED',
+      pseudonym.email,
+      `Records pseudonymized: ${JSON.stringify(counts)}${reason ? `; reason: ${reason}` : ''}`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'Account erased', user: formatUser(target) });
+  } catch (error) {
+    console.error('Account erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase account' });
+  }
+};
@@ -0,0 +1,108 @@
+const apiTokenService = require('../services/apiTokenService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * API Token Controller
+ * Personal access tokens for scripted access to the papers API
+ * Tokens can only be managed from an MFA-verified browser session
+ */
+
+/**
+ * Shape a token record for the client (hash never exposed)
+ */
+const formatToken = (record) => ({
+  id: record._id,
+  name: record.name,
+  tokenPrefix: record.tokenPrefix,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  lastUsedIp: record.lastUsedIp,
+  revoked: !!record.revokedAt,
+  expired: record.expiresAt <= new Date(),
+});
+
+/**
+ * Create a personal API token
+ * The plaintext token is returned once and cannot be retrieved again
+ */
+exports.createToken = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Token name required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope required', availableScopes: apiTokenService.scopes });
+    }
+
+    const unknownScopes = scopes.filter((scope) => !apiTokenService.scopes.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scope(s): ${unknownScopes.join(', ')}`, availableScopes: apiTokenService.scopes });
+    }
+
+    const lifetimeDays = expiresInDays === undefined ? apiTokenService.defaultLifetimeDays : parseInt(expiresInDays);
+    if (!Number.isInteger(lifetimeDays) || lifetimeDays < 1 || lifetimeDays > apiTokenService.maxLifetimeDays) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${apiTokenService.maxLifetimeDays} days` });
+    }
+
+    const { token, record } = await apiTokenService.create(user._id, name.trim(), scopes, lifetimeDays);
+
+    await auditService.logApiTokenChange(user._id, user.email, record, true, clientIP);
+
+    res.status(201).json({
+      message: 'API token created. Copy it now; it will not be shown again.',
+      token: token,
+      apiToken: formatToken(record),
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+};
+
+/**
+ * List the current user's API tokens
+ */
+exports.listTokens = async (req, res) => {
+  try {
+    const records = await apiTokenService.listForUser(req.session.userId);
+
+    res.status(200).json({
+      tokens: records.map(formatToken),
+      count: records.length,
+      availableScopes: apiTokenService.scopes,
+    });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+};
+
+/**
+ * Revoke one of the current user's API tokens
+ */
+exports.revokeToken = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const record = await apiTokenService.revoke(user._id, req.params.tokenId);
+    if (!record) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    await auditService.logApiTokenChange(user._id, user.email, record, false, clientIP);
+
+    res.status(200).json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+};
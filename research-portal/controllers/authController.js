@@ -1,27 +1,291 @@
 const User = require('../models/User');
+const IdentityProvider = require('../models/IdentityProvider');
 const cryptoService = require('../services/cryptoService');
 const emailService = require('../services/emailService');
 const auditService = require('../services/auditService');
+const webauthnService = require('../services/webauthnService');
+const throttleService = require('../services/throttleService');
+const sessionService = require('../services/sessionService');
+const oidcService = require('../services/oidcService');
+const invitationService = require('../services/invitationService');
+const loginAlertService = require('../services/loginAlertService');
+const privacyService = require('../services/privacyService');
+const accountService = require('../services/accountService');
+const passwordPolicyService = require('../services/passwordPolicyService');
 const authMiddleware = require('../middleware/authMiddleware');
+const csrfMiddleware = require('../middleware/csrfMiddleware');
+const path = require('path');
 
 /**
  * Authentication Controller
  * Implements NIST SP 800-63-2 compliant authentication flow
  */
 
+const keyDir = path.join(__dirname, '../keys');
+const publicKeyPath = path.join(keyDir, 'public.pem');
+const privateKeyPath = path.join(keyDir, 'private.pem');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Research Portal';
+const TOTP_WINDOW = parseInt(process.env.TOTP_WINDOW || 1); // +/- 30s steps tolerated
+
+/**
+ * TOTP secrets are stored RSA-encrypted, like the AES keys protecting papers
+ */
+const encryptTOTPSecret = (secret) =>
+  cryptoService.encryptKeyWithRSA(Buffer.from(secret), publicKeyPath).toString('base64');
+
+const decryptTOTPSecret = (encryptedSecret) =>
+  cryptoService.decryptKeyWithRSA(Buffer.from(encryptedSecret, 'base64'), privateKeyPath).toString();
+
+const MIN_PASSWORD_LENGTH = 12;
+const TOKEN_SECRET = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+const PASSWORD_RESET_EXPIRY = parseInt(process.env.PASSWORD_RESET_EXPIRY || 1800000); // 30 minutes
+// Roles that must be requested and approved by an Admin
+const REQUESTABLE_ROLES = ['Reviewer', 'Editor'];
+
+const SSO_TRANSACTION_COOKIE = 'research-portal-sso';
+const SSO_TRANSACTION_EXPIRY = 10 * 60 * 1000; // 10 minutes to complete the IdP sign-in
+
+/**
+ * Password validation (NIST SP 800-63B): minimum length, then screening against breached,
+ * common and dictionary passwords and the account's own username, email and name
+ * @param {Object} context - { username, email, fullName } of the account
+ * @returns {string|null} Error message, or null if acceptable
+ */
+const validateNewPassword = (password, confirmPassword, context) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (password !== confirmPassword) {
+    return 'Passwords do not match';
+  }
+
+  return passwordPolicyService.screen(password, context);
+};
+
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || 5); // guesses per issued code
+const OTP_RESEND_INTERVAL = parseInt(process.env.OTP_RESEND_INTERVAL || 60000); // 1 minute
+const OTP_RESEND_MAX_PER_HOUR = parseInt(process.env.OTP_RESEND_MAX_PER_HOUR || 5);
+const STEP_UP_WINDOW = parseInt(process.env.STEP_UP_WINDOW || 300000); // recent authentication window
+const EMAIL_CHANGE_EXPIRY = parseInt(process.env.EMAIL_CHANGE_EXPIRY || 900000); // 15 minutes to enter both codes
+
+/**
+ * Email-change codes are stored as an HMAC keyed with TOKEN_SECRET (bound to the account), so
+ * the stored values cannot be reversed by hashing all 10^6 codes
+ */
+const hashEmailChangeCode = (user, code) => cryptoService.hmacSHA256(`email-change:${user._id}:${code}`, TOKEN_SECRET);
+
+/**
+ * Reject with 429 if any key (IP / account) is in a retry delay or locked out
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectIfThrottled = async (res, keys, identifier, clientIP) => {
+  const block = await throttleService.getBlock(keys);
+  if (!block) {
+    return false;
+  }
+
+  await auditService.logAuthAttempt(identifier, false, clientIP, block.locked ? 'Blocked: locked out' : 'Blocked: retry delay');
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(429).json({
+    error: block.locked
+      ? `Too many failed attempts. Temporarily locked. Try again in ${Math.ceil(block.retryAfter / 60)} minutes.`
+      : `Too many failed attempts. Try again in ${block.retryAfter} seconds.`,
+    retryAfter: block.retryAfter,
+  });
+  return true;
+};
+
+/**
+ * Count a failed password / MFA attempt against each key
+ */
+const recordAuthFailure = async (keys, clientIP, identifier) => {
+  for (const key of keys) {
+    await throttleService.recordFailure(key, clientIP, identifier);
+  }
+};
+
+/**
+ * Count a wrong guess against the outstanding emailed OTP
+ * Counted atomically, so parallel wrong guesses all add up; the code is invalidated once
+ * OTP_MAX_ATTEMPTS wrong guesses are made
+ * @returns {Promise<boolean>} True if the code was invalidated
+ */
+const registerInvalidOTP = async (user) => {
+  if (!user.otpCode) {
+    return false;
+  }
+
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id, otpCode: user.otpCode },
+    { $inc: { otpAttempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    // Used, replaced or invalidated by a parallel request
+    return false;
+  }
+  if (counted.otpAttempts < OTP_MAX_ATTEMPTS) {
+    return false;
+  }
+
+  await User.updateOne({ _id: user._id, otpCode: user.otpCode }, { $set: { otpCode: null, otpExpiry: null, otpAttempts: 0 } });
+  return true;
+};
+
+/**
+ * Use up the outstanding emailed OTP if it matches
+ * Atomic and conditional on the guess cap, so a code is accepted once at most and never
+ * after OTP_MAX_ATTEMPTS wrong guesses, however many requests race for it
+ * @returns {Promise<boolean>} True if the code matched and was consumed
+ */
+const consumeEmailedOTP = async (user, otp) => {
+  const consumed = await User.updateOne(
+    { _id: user._id, otpCode: otp.toString(), otpExpiry: { $gte: new Date() }, otpAttempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $set: { otpCode: null, otpExpiry: null, otpAttempts: 0 } }
+  );
+  if (consumed.modifiedCount === 0) {
+    return false;
+  }
+
+  user.otpCode = null;
+  user.otpExpiry = null;
+  user.otpAttempts = 0;
+  return true;
+};
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_PATTERN = /^[a-z2-7]{4}-?[a-z2-7]{4}$/i;
+
+/**
+ * Keyed lookup tag stored in front of a recovery code's hash ("<tag>:<bcrypt hash>")
+ * Picks out the one hash worth comparing, so a guess costs one bcrypt compare instead of one
+ * per unused code. Truncated to 16 bits: too little to help brute-force a code from a leaked database.
+ */
+const recoveryCodeTag = (user, normalized) =>
+  cryptoService.hmacSHA256(`recovery-code:${user._id}:${normalized}`, TOKEN_SECRET).slice(0, 4);
+
+/**
+ * Generate a fresh set of recovery codes, replacing any existing ones
+ * Codes are stored bcrypt-hashed like passwords, behind a lookup tag; caller must save the user
+ * @returns {Promise<string[]>} Plaintext codes (shown to the user once)
+ */
+const issueRecoveryCodes = async (user) => {
+  const codes = cryptoService.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  user.recoveryCodes = await Promise.all(
+    codes.map(async (code) => {
+      const normalized = code.replace('-', '');
+      return `${recoveryCodeTag(user, normalized)}:${await cryptoService.hashPassword(normalized)}`;
+    })
+  );
+  user.recoveryCodesGeneratedAt = new Date();
+  return codes;
+};
+
+/**
+ * Check a recovery code and remove it if valid (single-use)
+ * Removed with a conditional atomic update, so a code sent in several parallel requests is
+ * accepted by one of them only
+ * @returns {Promise<boolean>} True if the code matched an unused recovery code
+ */
+const consumeRecoveryCode = async (user, code) => {
+  // Only code-shaped input is worth a bcrypt compare
+  if (!RECOVERY_CODE_PATTERN.test(code.trim())) {
+    return false;
+  }
+  const normalized = code.trim().toLowerCase().replace('-', '');
+  const tag = recoveryCodeTag(user, normalized);
+
+  // Codes issued before tags were stored ("$2b$..." only) are compared regardless
+  const candidates = user.recoveryCodes.filter((hash) => hash.startsWith(`${tag}:`) || hash.startsWith('$'));
+  for (const hash of candidates) {
+    if (await cryptoService.comparePassword(normalized, hash.slice(hash.indexOf('$')))) {
+      const used = await User.updateOne({ _id: user._id, recoveryCodes: hash }, { $pull: { recoveryCodes: hash } });
+      if (used.modifiedCount === 0) {
+        // Used by a parallel request since the user was loaded
+        return false;
+      }
+
+      // Already stored; a later save must not bring back codes used in parallel
+      user.recoveryCodes.pull(hash);
+      user.unmarkModified('recoveryCodes');
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Check a code against the user's enrolled authenticator
+ * Rejects steps at or before the last accepted one (replay protection)
+ * @returns {number|null} Matched time step, or null
+ */
+const matchTOTP = (user, otp) => {
+  if (user.mfaMethod !== 'totp' || !user.mfaSecret) {
+    return null;
+  }
+
+  return cryptoService.verifyTOTP(decryptTOTPSecret(user.mfaSecret), otp, TOTP_WINDOW, user.totpLastUsedStep);
+};
+
+/**
+ * Record a matched authenticator step as used
+ * Atomic and conditional on the step being newer than the last one used, so a code sent in
+ * several parallel requests is accepted by one of them only
+ * @returns {Promise<boolean>} True if this request used the step
+ */
+const useTOTPStep = async (user, step) => {
+  const used = await User.updateOne(
+    { _id: user._id, $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: step } }] },
+    { $set: { totpLastUsedStep: step } }
+  );
+  if (used.modifiedCount === 0) {
+    return false;
+  }
+
+  // Already stored; a later save must not overwrite a newer step recorded in parallel
+  user.totpLastUsedStep = step;
+  user.unmarkModified('totpLastUsedStep');
+  return true;
+};
+
+/**
+ * Accept either a current authenticator code or an unexpired emailed OTP
+ * Used to confirm sensitive account changes; consumes the code (caller must save the user)
+ * @returns {Promise<string|null>} 'TOTP' or 'OTP' if accepted, otherwise null
+ */
+const matchOneTimeCode = async (user, otp) => {
+  if (!otp) {
+    return null;
+  }
+
+  const totpStep = matchTOTP(user, otp);
+  if (totpStep !== null && (await useTOTPStep(user, totpStep))) {
+    return 'TOTP';
+  }
+
+  if (user.otpCode && user.otpCode === otp.toString() && (await consumeEmailedOTP(user, otp))) {
+    return 'OTP';
+  }
+
+  return null;
+};
+
 /**
  * Register a new user
  * Input validation: username, email, password strength
+ * An invitation link (invitationToken) binds the account to the invited role and paper
  * Password: bcrypt with per-user salt (cost 12)
  * Email: OTP verification required
  */
 exports.register = async (req, res) => {
   try {
-    const { fullName, username, email, password, confirmPassword, role, institution } = req.body;
+    const { fullName, username, email, password, confirmPassword, role, institution, invitationToken } = req.body;
     const clientIP = authMiddleware.getClientIP(req);
 
     // Input validation
-    if (!fullName || !username || !email || !password || !role) {
+    if (!fullName || !username || !email || !password) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -39,17 +303,30 @@ exports.register = async (req, res) => {
     }
 
     // Password strength validation (NIST-inspired)
-    if (password.length < 12) {
-      return res.status(400).json({ error: 'Password must be at least 12 characters' });
+    const passwordError = validateNewPassword(password, confirmPassword, { username, email, fullName });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
 
-    if (password !== confirmPassword) {
-      return res.status(400).json({ error: 'Passwords do not match' });
+    // Validate role: self-registration grants Author; Reviewer/Editor are requested for Admin approval
+    if (role && !['Author', ...REQUESTABLE_ROLES].includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
     }
 
-    // Validate role
-    if (!['Author', 'Reviewer', 'Editor'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role' });
+    // Invitation links bind the account to the invited email, role and paper
+    if (invitationToken) {
+      const invitation = await invitationService.resolve(invitationToken);
+      if (!invitation) {
+        return res.status(400).json({ error: 'This invitation is invalid, has expired, or was already answered' });
+      }
+      if (invitation.email !== email.toLowerCase()) {
+        return res.status(400).json({ error: 'Please register with the email address the invitation was sent to' });
+      }
+    }
+
+    // Institutional SSO policy: accounts are created on first SSO login instead
+    if (await rejectIfSSORequired(res, email)) {
+      return;
     }
 
     // Check for existing user
@@ -69,7 +346,9 @@ exports.register = async (req, res) => {
       username: username.toLowerCase(),
       email: email.toLowerCase(),
       passwordHash: passwordHash,
-      role: role,
+      // Invited users get the invited role instead of requesting one
+      requestedRole: !invitationToken && REQUESTABLE_ROLES.includes(role) ? role : null,
+      invitationToken: invitationToken || null,
       institution: institution || '',
       otpCode: otp,
       otpExpiry: new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000)),
@@ -93,6 +372,64 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Whether the account signs in with a security key / passkey (no emailed OTP fallback at login)
+ */
+const hasSecurityKey = (user) => user.webauthnCredentials.length > 0;
+
+/**
+ * Start the second factor once the first (password or SSO) has succeeded
+ * Security key / authenticator app users are not emailed; everyone else receives an OTP.
+ * Authenticator app users may fall back to an emailed code via resend-otp; security key users
+ * may not (that would make the login phishable again) and use a recovery code if the key is lost.
+ * @returns {Promise<string|null>} MFA method, or null if the OTP email could not be sent
+ */
+const beginSecondFactor = async (req, user) => {
+  let mfaMethod = 'email';
+  if (hasSecurityKey(user)) {
+    mfaMethod = 'webauthn';
+  } else if (user.mfaMethod === 'totp' && user.mfaSecret) {
+    mfaMethod = 'totp';
+  }
+
+  if (mfaMethod === 'email') {
+    // Generate OTP for MFA
+    const otp = cryptoService.generateOTP();
+    user.otpCode = otp;
+    user.otpExpiry = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000)); // 5 minutes
+    user.otpAttempts = 0;
+    await user.save();
+
+    // Send OTP via email
+    const emailSent = await emailService.sendOTP(user.email, otp, user.fullName);
+    if (!emailSent) {
+      return null;
+    }
+  }
+
+  // Create temporary session (for second-factor verification only)
+  authMiddleware.createSession(req, user._id, false); // mfaVerified = false
+  return mfaMethod;
+};
+
+/**
+ * Reject password login / registration for email domains that must use SSO
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectIfSSORequired = async (res, email) => {
+  const provider = await oidcService.findRequiredProvider(email);
+  if (!provider) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: `Accounts at this institution must sign in with ${provider.name}.`,
+    ssoRequired: true,
+    ssoUrl: `/api/auth/sso/${provider.key}/login`,
+  });
+  return true;
+};
+
 /**
  * Login with email/username + password
  * Step 1 of MFA flow
@@ -112,9 +449,16 @@ exports.login = async (req, res) => {
       $or: [{ email: username.toLowerCase() }, { username: username.toLowerCase() }],
     });
 
+    // Brute-force protection: unknown usernames are throttled too (no enumeration)
+    const throttleKeys = [`ip:${clientIP}`, `account:${user ? user._id : username.toLowerCase()}`];
+    if (await rejectIfThrottled(res, throttleKeys, username, clientIP)) {
+      return;
+    }
+
     if (!user) {
       // Don't reveal whether user exists (prevent user enumeration)
       await auditService.logAuthAttempt(username, false, clientIP, 'User not found');
+      await recordAuthFailure(throttleKeys, clientIP, username);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -123,6 +467,7 @@ exports.login = async (req, res) => {
 
     if (!isPasswordValid) {
       await auditService.logAuthAttempt(user.email, false, clientIP, 'Invalid password');
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -131,26 +476,29 @@ exports.login = async (req, res) => {
       return res.status(403).json({ error: 'Account is inactive' });
     }
 
-    // Generate OTP for MFA
-    const otp = cryptoService.generateOTP();
-    user.otpCode = otp;
-    user.otpExpiry = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000)); // 5 minutes
-    await user.save();
+    // Institutional SSO policy: no password login for these email domains
+    if (await rejectIfSSORequired(res, user.email)) {
+      await auditService.logAuthAttempt(user.email, false, clientIP, 'Password login blocked: SSO required');
+      return;
+    }
 
-    // Send OTP via email
-    const emailSent = await emailService.sendOTP(user.email, otp, user.fullName);
+    const mfaMethod = await beginSecondFactor(req, user);
 
-    if (!emailSent) {
+    if (!mfaMethod) {
       return res.status(500).json({ error: 'Failed to send OTP. Please try again.' });
     }
 
-    // Create temporary session (for OTP verification only)
-    authMiddleware.createSession(req, user._id, false); // mfaVerified = false
+    const messages = {
+      webauthn: 'Use your security key or passkey to complete login.',
+      totp: 'Enter the code from your authenticator app to complete login.',
+      email: 'OTP sent to email. Please verify to complete login.',
+    };
 
     res.status(200).json({
-      message: 'OTP sent to email. Please verify to complete login.',
+      message: messages[mfaMethod],
       userId: user._id,
       email: user.email,
+      mfaMethod: mfaMethod,
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -176,6 +524,11 @@ exports.verifyOTP = async (req, res) => {
     // Handle pending registration (user not yet persisted)
     if (!userId && req.session.pendingRegistration) {
       const pending = req.session.pendingRegistration;
+      const ipKey = `ip:${clientIP}`;
+
+      if (await rejectIfThrottled(res, [ipKey], pending.email, clientIP)) {
+        return;
+      }
 
       // Validate OTP format
       if (!/^\d{6}$/.test(otp.toString())) {
@@ -184,6 +537,15 @@ exports.verifyOTP = async (req, res) => {
 
       if (pending.otpCode !== otp) {
         await auditService.logMFAVerification(null, pending.email, false, clientIP);
+        await throttleService.recordFailure(ipKey, clientIP, pending.email);
+
+        // Cap guesses per code: too many wrong guesses discards the registration
+        pending.otpAttempts = (pending.otpAttempts || 0) + 1;
+        if (pending.otpAttempts >= OTP_MAX_ATTEMPTS) {
+          delete req.session.pendingRegistration;
+          return res.status(401).json({ error: 'Too many invalid codes. Please register again.' });
+        }
+        req.session.pendingRegistration = pending;
         return res.status(401).json({ error: 'Invalid OTP' });
       }
 
@@ -198,34 +560,56 @@ exports.verifyOTP = async (req, res) => {
         username: pending.username,
         email: pending.email,
         passwordHash: pending.passwordHash,
-        role: pending.role,
+        roles: [{ role: 'Author' }],
+        requestedRole: pending.requestedRole || null,
+        roleRequestedAt: pending.requestedRole ? new Date() : null,
         institution: pending.institution,
         isEmailVerified: true,
         mfaEnabled: true,
       });
 
+      const recoveryCodes = await issueRecoveryCodes(newUser);
       await newUser.save();
 
+      // Accept the invitation the account was registered from (if still pending)
+      const invitation = pending.invitationToken ? await invitationService.resolve(pending.invitationToken) : null;
+      if (invitation && invitation.email === newUser.email) {
+        await invitationService.accept(invitation, newUser);
+        await newUser.save();
+        await auditService.logInvitation(newUser._id, 'INVITATION_ACCEPTED', newUser.email, `${invitation.role} for paper ${invitation.paperId._id}`, clientIP);
+      }
+
       // Clear pending registration from session
       delete req.session.pendingRegistration;
 
       // Establish authenticated session
-      req.session.userId = newUser._id;
-      req.session.mfaVerified = true;
+      authMiddleware.createSession(req, newUser._id, true);
+      await authMiddleware.trackSession(req, newUser._id);
+      await loginAlertService.recordLogin(newUser, req.headers['user-agent'], clientIP);
 
       // Log successful registration and MFA
       await auditService.logRegistration(newUser._id, newUser.email, clientIP);
       await auditService.logMFAVerification(newUser._id, newUser.email, true, clientIP);
+      if (newUser.requestedRole) {
+        await auditService.logRoleRequest(newUser._id, newUser.email, newUser.requestedRole, clientIP);
+      }
 
       return res.status(201).json({
-        message: 'Registration complete. Account created and verified.',
+        message: invitation
+          ? `Registration complete. You are now ${invitation.role} for "${invitation.paperId.title}".`
+          : newUser.requestedRole
+            ? `Registration complete. You can submit papers as an Author; your ${newUser.requestedRole} access is awaiting administrator approval.`
+            : 'Registration complete. Account created and verified.',
         user: {
           id: newUser._id,
           username: newUser.username,
           email: newUser.email,
           fullName: newUser.fullName,
-          role: newUser.role,
+          roles: newUser.roleNames(),
+          requestedRole: newUser.requestedRole,
         },
+        // Plaintext codes are only ever returned once
+        recoveryCodes: recoveryCodes,
       });
     }
 
@@ -234,8 +618,11 @@ exports.verifyOTP = async (req, res) => {
       return res.status(401).json({ error: 'Please login first' });
     }
 
+    // Recovery codes (xxxx-xxxx) are accepted in place of the OTP after MFA lockout
+    const isRecoveryCode = RECOVERY_CODE_PATTERN.test(otp.toString().trim());
+
     // Validate OTP format
-    if (!/^\d{6}$/.test(otp.toString())) {
+    if (!isRecoveryCode && !/^\d{6}$/.test(otp.toString())) {
       return res.status(400).json({ error: 'OTP must be 6 digits' });
     }
 
@@ -245,30 +632,85 @@ exports.verifyOTP = async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Check OTP validity
-    if (user.otpCode !== otp) {
-      await auditService.logMFAVerification(userId, user.email, false, clientIP);
-      return res.status(401).json({ error: 'Invalid OTP' });
+    // Brute-force protection: guesses are throttled per account and per IP
+    const throttleKeys = [`ip:${clientIP}`, `account:${user._id}`];
+    if (await rejectIfThrottled(res, throttleKeys, user.email, clientIP)) {
+      return;
     }
 
-    // Check OTP expiration (5 minutes)
-    if (new Date() > user.otpExpiry) {
-      await auditService.logMFAVerification(userId, user.email, false, clientIP);
-      return res.status(401).json({ error: 'OTP expired. Please login again.' });
+    let verifiedWith = 'OTP';
+
+    if (isRecoveryCode) {
+      const consumed = await consumeRecoveryCode(user, otp.toString());
+      if (!consumed) {
+        await auditService.logMFAVerification(userId, user.email, false, clientIP, 'Recovery code');
+        await recordAuthFailure(throttleKeys, clientIP, user.email);
+        return res.status(401).json({ error: 'Invalid recovery code' });
+      }
+      verifiedWith = 'Recovery code';
+    } else {
+      // Authenticator app code (RFC 6238, clock drift tolerated)
+      const totpStep = matchTOTP(user, otp);
+      const totpAccepted = totpStep !== null && (await useTOTPStep(user, totpStep));
+
+      if (!totpAccepted) {
+        // Fall back to the emailed OTP (TOTP users may request one via resend-otp; security key
+        // users may not, so a code left over from before their key was registered is ignored)
+        if (!user.otpCode || user.otpCode !== otp || hasSecurityKey(user)) {
+          await auditService.logMFAVerification(userId, user.email, false, clientIP);
+          await recordAuthFailure(throttleKeys, clientIP, user.email);
+          const invalidated = await registerInvalidOTP(user);
+          return res.status(401).json({
+            error: invalidated ? 'Too many invalid codes. Please request a new OTP.' : 'Invalid OTP',
+          });
+        }
+
+        // Check OTP expiration (5 minutes)
+        if (new Date() > user.otpExpiry) {
+          await auditService.logMFAVerification(userId, user.email, false, clientIP);
+          await recordAuthFailure(throttleKeys, clientIP, user.email);
+          return res.status(401).json({ error: 'OTP expired. Please login again.' });
+        }
+
+        // Used up or exhausted by a parallel request since the user was loaded
+        if (!(await consumeEmailedOTP(user, otp))) {
+          await auditService.logMFAVerification(userId, user.email, false, clientIP);
+          await recordAuthFailure(throttleKeys, clientIP, user.email);
+          return res.status(401).json({ error: 'Invalid OTP' });
+        }
+
+        user.isEmailVerified = true;
+      } else {
+        verifiedWith = 'TOTP';
+      }
     }
 
+    // Accounts created before recovery codes existed receive a set now
+    const newRecoveryCodes = user.recoveryCodes.length === 0 ? await issueRecoveryCodes(user) : null;
+
     // Clear OTP after successful verification
     user.otpCode = null;
     user.otpExpiry = null;
-    user.isEmailVerified = true;
+    user.otpAttempts = 0;
     user.lastLogin = new Date();
     await user.save();
 
+    // Successful MFA clears the account's failure counter
+    await throttleService.reset(`account:${user._id}`);
+
     // Complete session (MFA verified)
     req.session.mfaVerified = true;
+    authMiddleware.markAuthenticated(req);
+    await authMiddleware.trackSession(req, user._id);
+    await loginAlertService.recordLogin(user, req.headers['user-agent'], clientIP);
 
     // Log successful authentication
-    await auditService.logMFAVerification(userId, user.email, true, clientIP);
+    await auditService.logMFAVerification(userId, user.email, true, clientIP, verifiedWith);
+
+    if (verifiedWith === 'Recovery code') {
+      await auditService.logRecoveryCodeUsed(userId, user.email, user.recoveryCodes.length, clientIP);
+      await emailService.sendRecoveryCodeAlert(user.email, user.fullName, user.recoveryCodes.length, clientIP);
+    }
 
     res.status(200).json({
       message: 'Login successful',
@@ -277,8 +719,11 @@ exports.verifyOTP = async (req, res) => {
         username: user.username,
         email: user.email,
         fullName: user.fullName,
-        role: user.role,
+        roles: user.roleNames(),
       },
+      // Plaintext codes are only ever returned once
+      recoveryCodes: newRecoveryCodes || undefined,
+      recoveryCodesRemaining: verifiedWith === 'Recovery code' ? user.recoveryCodes.length : undefined,
     });
   } catch (error) {
     console.error('OTP verification error:', error);
@@ -291,6 +736,11 @@ exports.verifyOTP = async (req, res) => {
  */
 exports.logout = async (req, res) => {
   try {
+    // Logging out while viewing as a user ends that first (the Admin is the one logging out)
+    if (req.session.impersonation) {
+      await authMiddleware.endImpersonation(req, 'LOGOUT');
+    }
+
     const userId = req.session.userId;
     const clientIP = authMiddleware.getClientIP(req);
 
@@ -299,6 +749,7 @@ exports.logout = async (req, res) => {
       await auditService.log(userId, 'LOGOUT', user?.email || 'unknown', 'SUCCESS', '', clientIP);
     }
 
+    await sessionService.forget(req.sessionID);
     await authMiddleware.destroySession(req);
 
     res.status(200).json({ message: 'Logged out successfully' });
@@ -315,12 +766,23 @@ exports.resendOTP = async (req, res) => {
   try {
     const userId = req.session.userId;
 
+    // Throttle OTP emails per account (or per pending registration email)
+    const sendKey = `otp-send:${userId || req.session.pendingRegistration?.email}`;
+    if (userId || req.session.pendingRegistration) {
+      const retryAfter = await throttleService.consumeRate(sendKey, OTP_RESEND_INTERVAL, OTP_RESEND_MAX_PER_HOUR, 3600000);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter: retryAfter });
+      }
+    }
+
     // Support resending for pending registration stored in session
     if (!userId && req.session.pendingRegistration) {
       const pending = req.session.pendingRegistration;
       const otp = cryptoService.generateOTP();
       pending.otpCode = otp;
       pending.otpExpiry = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000));
+      pending.otpAttempts = 0;
       req.session.pendingRegistration = pending;
 
       const emailSent = await emailService.sendOTP(pending.email, otp, pending.fullName);
@@ -338,10 +800,20 @@ exports.resendOTP = async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    // Security key accounts complete login with the key (or a recovery code), never by email
+    if (!req.session.mfaVerified && hasSecurityKey(user)) {
+      await auditService.logAuthAttempt(user.email, false, authMiddleware.getClientIP(req), 'Email OTP refused: security key registered');
+      return res.status(403).json({
+        error: 'This account signs in with a security key. If your key is lost, enter one of your recovery codes.',
+        mfaMethod: 'webauthn',
+      });
+    }
+
     // Generate new OTP for existing user
     const otp = cryptoService.generateOTP();
     user.otpCode = otp;
     user.otpExpiry = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000));
+    user.otpAttempts = 0;
     await user.save();
 
     // Send OTP
@@ -358,6 +830,15 @@ exports.resendOTP = async (req, res) => {
   }
 };
 
+/**
+ * Current session's CSRF token
+ * Pages refresh their token with this after the session changed (e.g. expired and restarted);
+ * only same-origin pages can read it (CORS is limited to APP_URL, cookie is SameSite=Strict)
+ */
+exports.getCSRFToken = (req, res) => {
+  res.status(200).json({ csrfToken: csrfMiddleware.issueToken(req) });
+};
+
 /**
  * Get current user info (protected)
  */
@@ -367,13 +848,1284 @@ exports.getCurrentUser = async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const user = await User.findById(req.session.userId).select('-passwordHash -otpCode');
+    const user = await User.findById(req.session.userId).select('-passwordHash -otpCode -mfaSecret -mfaPendingSecret -webauthnCredentials.publicKey -recoveryCodes');
 
     res.status(200).json({
-      user: user,
+      // roles holds the role grants (with venue/paper scope); roleNames the distinct active roles
+      user: { ...user.toObject(), roleNames: user.roleNames() },
     });
   } catch (error) {
     console.error('Get current user error:', error);
     res.status(500).json({ error: 'Failed to get user info' });
   }
 };
+
+/**
+ * Begin authenticator app (TOTP) enrollment
+ * Generates a pending secret; it only takes effect once confirmed with a valid code
+ */
+exports.setupTOTP = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.mfaMethod === 'totp' && user.mfaSecret) {
+      return res.status(409).json({ error: 'Authenticator app already enrolled' });
+    }
+
+    const secret = cryptoService.generateTOTPSecret();
+    user.mfaPendingSecret = encryptTOTPSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      secret: secret,
+      otpauthUri: cryptoService.buildTOTPUri(secret, user.email, TOTP_ISSUER),
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({ error: 'Failed to start authenticator enrollment' });
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * Proves the app was provisioned correctly before email OTP is replaced
+ */
+exports.confirmTOTP = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    if (!otp) {
+      return res.status(400).json({ error: 'OTP required' });
+    }
+
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({ error: 'No authenticator enrollment in progress' });
+    }
+
+    const secret = decryptTOTPSecret(user.mfaPendingSecret);
+    const step = cryptoService.verifyTOTP(secret, otp, TOTP_WINDOW);
+
+    if (step === null) {
+      await auditService.logMFAVerification(user._id, user.email, false, clientIP, 'TOTP');
+      return res.status(401).json({ error: 'Invalid authenticator code' });
+    }
+
+    // Conditional on the pending secret, so parallel confirmations enrol it once
+    const enrolled = await User.updateOne(
+      { _id: user._id, mfaPendingSecret: user.mfaPendingSecret },
+      { $set: { mfaSecret: user.mfaPendingSecret, mfaPendingSecret: null, mfaMethod: 'totp', totpLastUsedStep: step } }
+    );
+    if (enrolled.modifiedCount === 0) {
+      return res.status(409).json({ error: 'Authenticator enrollment was already confirmed or restarted' });
+    }
+
+    await auditService.logTOTPChange(user._id, user.email, true, clientIP);
+
+    res.status(200).json({ message: 'Authenticator app enrolled', mfaMethod: 'totp' });
+  } catch (error) {
+    console.error('TOTP confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm authenticator enrollment' });
+  }
+};
+
+/**
+ * Disable TOTP and return to email OTP
+ * Requires re-authentication: current password and a current authenticator code
+ */
+exports.disableTOTP = async (req, res) => {
+  try {
+    const { password, otp } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    if (!password || !otp) {
+      return res.status(400).json({ error: 'Password and authenticator code required' });
+    }
+
+    if (user.mfaMethod !== 'totp' || !user.mfaSecret) {
+      return res.status(400).json({ error: 'Authenticator app is not enrolled' });
+    }
+
+    const isPasswordValid = await cryptoService.comparePassword(password, user.passwordHash);
+    const totpStep = isPasswordValid ? matchTOTP(user, otp) : null;
+
+    if (totpStep === null || !(await useTOTPStep(user, totpStep))) {
+      await auditService.logMFAVerification(user._id, user.email, false, clientIP, 'TOTP');
+      return res.status(401).json({ error: 'Invalid password or authenticator code' });
+    }
+
+    user.mfaMethod = 'email';
+    user.mfaSecret = null;
+    user.mfaPendingSecret = null;
+    user.totpLastUsedStep = null;
+    await user.save();
+
+    await auditService.logTOTPChange(user._id, user.email, false, clientIP);
+
+    res.status(200).json({ message: 'Authenticator app disabled. Email OTP will be used.', mfaMethod: 'email' });
+  } catch (error) {
+    console.error('TOTP disable error:', error);
+    res.status(500).json({ error: 'Failed to disable authenticator app' });
+  }
+};
+
+/**
+ * WebAuthn: generate options for binding a security key or passkey
+ * Challenge is kept server-side in the session
+ */
+exports.webauthnRegisterOptions = async (req, res) => {
+  try {
+    const options = await webauthnService.registrationOptions(req.user);
+    req.session.webauthnChallenge = options.challenge;
+
+    res.status(200).json({ options: options });
+  } catch (error) {
+    console.error('WebAuthn registration options error:', error);
+    res.status(500).json({ error: 'Failed to start security key registration' });
+  }
+};
+
+/**
+ * WebAuthn: verify attestation and store the credential public key
+ */
+exports.webauthnRegisterVerify = async (req, res) => {
+  try {
+    const { response, name } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const expectedChallenge = req.session.webauthnChallenge;
+
+    // Challenges are single-use
+    delete req.session.webauthnChallenge;
+
+    if (!response || !expectedChallenge) {
+      return res.status(400).json({ error: 'No security key registration in progress' });
+    }
+
+    let credential = null;
+    try {
+      credential = await webauthnService.verifyRegistration(response, expectedChallenge);
+    } catch (verifyError) {
+      console.error('WebAuthn attestation rejected:', verifyError.message);
+    }
+
+    if (!credential) {
+      return res.status(400).json({ error: 'Security key registration could not be verified' });
+    }
+
+    credential.name = (name || '').trim().substring(0, 100) || 'Security key';
+    user.webauthnCredentials.push(credential);
+    await user.save();
+
+    await auditService.logWebAuthnChange(user._id, user.email, credential.name, true, clientIP);
+
+    res.status(201).json({
+      message: 'Security key registered',
+      credential: {
+        id: credential.credentialId,
+        name: credential.name,
+        deviceType: credential.deviceType,
+      },
+    });
+  } catch (error) {
+    console.error('WebAuthn registration error:', error);
+    res.status(500).json({ error: 'Security key registration failed' });
+  }
+};
+
+/**
+ * WebAuthn: generate assertion options
+ * After password login (session pending MFA): second factor, limited to the user's keys
+ * Without a pending login: passwordless sign-in with a discoverable passkey
+ */
+exports.webauthnLoginOptions = async (req, res) => {
+  try {
+    const pendingUserId = req.session.userId && !req.session.mfaVerified ? req.session.userId : null;
+    let options;
+
+    if (pendingUserId) {
+      const user = await User.findById(pendingUserId);
+      if (!user || user.webauthnCredentials.length === 0) {
+        return res.status(400).json({ error: 'No security keys registered' });
+      }
+      options = await webauthnService.authenticationOptions(user.webauthnCredentials, 'preferred');
+    } else {
+      // Passwordless: passkey must verify the user (PIN/biometric) to stand in for the password
+      options = await webauthnService.authenticationOptions([], 'required');
+    }
+
+    req.session.webauthnChallenge = options.challenge;
+
+    res.status(200).json({ options: options });
+  } catch (error) {
+    console.error('WebAuthn login options error:', error);
+    res.status(500).json({ error: 'Failed to start security key login' });
+  }
+};
+
+/**
+ * WebAuthn: verify assertion and complete authentication (mfaVerified = true)
+ */
+exports.webauthnLoginVerify = async (req, res) => {
+  try {
+    const { response } = req.body;
+    const clientIP = authMiddleware.getClientIP(req);
+    const expectedChallenge = req.session.webauthnChallenge;
+    const pendingUserId = req.session.userId && !req.session.mfaVerified ? req.session.userId : null;
+
+    // Challenges are single-use
+    delete req.session.webauthnChallenge;
+
+    if (!response || !response.id || !expectedChallenge) {
+      return res.status(400).json({ error: 'No security key login in progress' });
+    }
+
+    // Brute-force protection, as for password and OTP attempts
+    const throttleKeys = [`ip:${clientIP}`];
+    if (pendingUserId) {
+      throttleKeys.push(`account:${pendingUserId}`);
+    }
+    if (await rejectIfThrottled(res, throttleKeys, response.id, clientIP)) {
+      return;
+    }
+
+    const user = await User.findOne({ 'webauthnCredentials.credentialId': response.id });
+
+    // Second factor must come from the same account that passed the password check
+    if (!user || (pendingUserId && user._id.toString() !== pendingUserId.toString())) {
+      await auditService.logMFAVerification(pendingUserId, response.id, false, clientIP, 'WebAuthn');
+      await recordAuthFailure(throttleKeys, clientIP, response.id);
+      return res.status(401).json({ error: 'Security key not recognized' });
+    }
+
+    if (!pendingUserId) {
+      throttleKeys.push(`account:${user._id}`);
+      if (await rejectIfThrottled(res, throttleKeys, user.email, clientIP)) {
+        return;
+      }
+    }
+
+    if (!user.isActive) {
+      await auditService.logAuthAttempt(user.email, false, clientIP, 'Account inactive');
+      return res.status(403).json({ error: 'Account is inactive' });
+    }
+
+    // Institutional SSO policy: a passkey stands in for the password, so it is refused too
+    // (as the second factor of an SSO or password login the policy was already applied)
+    if (!pendingUserId && (await rejectIfSSORequired(res, user.email))) {
+      await auditService.logAuthAttempt(user.email, false, clientIP, 'Passkey login blocked: SSO required');
+      return;
+    }
+
+    const credential = user.webauthnCredentials.find((cred) => cred.credentialId === response.id);
+
+    let newCounter = null;
+    try {
+      newCounter = await webauthnService.verifyAuthentication(response, expectedChallenge, credential, !pendingUserId);
+    } catch (verifyError) {
+      console.error('WebAuthn assertion rejected:', verifyError.message);
+    }
+
+    if (newCounter === null) {
+      await auditService.logMFAVerification(user._id, user.email, false, clientIP, 'WebAuthn');
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
+      return res.status(401).json({ error: 'Security key verification failed' });
+    }
+
+    credential.counter = newCounter;
+    credential.lastUsedAt = new Date();
+    user.otpCode = null;
+    user.otpExpiry = null;
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Successful MFA clears the account's failure counter
+    await throttleService.reset(`account:${user._id}`);
+
+    // Complete session (MFA verified)
+    authMiddleware.createSession(req, user._id, true);
+    await authMiddleware.trackSession(req, user._id);
+    await loginAlertService.recordLogin(user, req.headers['user-agent'], clientIP);
+
+    if (!pendingUserId) {
+      await auditService.logAuthAttempt(user.email, true, clientIP, 'Passwordless passkey login');
+    }
+    await auditService.logMFAVerification(user._id, user.email, true, clientIP, 'WebAuthn');
+
+    res.status(200).json({
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.fullName,
+        roles: user.roleNames(),
+      },
+    });
+  } catch (error) {
+    console.error('WebAuthn login error:', error);
+    res.status(500).json({ error: 'Security key login failed' });
+  }
+};
+
+/**
+ * Read a cookie from the request
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map((cookie) => cookie.trim().split('='));
+  const match = cookies.find(([key]) => key === name);
+  return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+};
+
+const ssoRedirectUri = (provider) =>
+  `${process.env.APP_URL || 'http://localhost:3000'}/api/auth/sso/${provider.key}/callback`;
+
+/**
+ * Derive an unused username from the IdP's preferred username or the email local part
+ */
+const generateUniqueUsername = async (claims) => {
+  // preferred_username is often itself an email address
+  let base = (claims.preferred_username || claims.email)
+    .toLowerCase()
+    .split('@')[0]
+    .replace(/[^a-z0-9_-]/g, '-')
+    .substring(0, 30);
+  if (base.length < 3) {
+    base = `${base}-user`;
+  }
+
+  let candidate = base;
+  while (await User.exists({ username: candidate })) {
+    candidate = `${base}-${cryptoService.generateOTP().substring(0, 4)}`;
+  }
+  return candidate;
+};
+
+/**
+ * Find the portal user for an SSO identity
+ * Order: identity already linked, then an existing account with the same verified email
+ * (linked now), then a new account (if the provider allows provisioning).
+ * An IdP is only trusted for the email domains configured for it.
+ * @returns {Promise<Object>} { user, outcome } or { error }
+ */
+const resolveSSOUser = async (provider, claims) => {
+  let user = await User.findOne({
+    ssoIdentities: { $elemMatch: { provider: provider.key, subject: claims.sub } },
+  });
+  if (user) {
+    return { user: user, outcome: 'login' };
+  }
+
+  const email = (claims.email || '').toLowerCase();
+  if (!email || claims.email_verified !== true) {
+    return { error: 'Your institution did not provide a verified email address.' };
+  }
+  if (!provider.emailDomains.includes(email.split('@')[1])) {
+    return { error: `${provider.name} cannot sign in accounts for ${email.split('@')[1]}.` };
+  }
+
+  user = await User.findOne({ email: email });
+  if (user) {
+    user.ssoIdentities.push({ provider: provider.key, subject: claims.sub });
+    return { user: user, outcome: 'linked' };
+  }
+
+  if (!provider.autoProvision) {
+    return { error: `No portal account exists for ${email}. Please contact the editorial office.` };
+  }
+
+  user = new User({
+    fullName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+    username: await generateUniqueUsername({ ...claims, email: email }),
+    email: email,
+    // Random, never-disclosed password: SSO accounts sign in through their IdP
+    passwordHash: await cryptoService.hashPassword(cryptoService.generateNonce(32)),
+    roles: [{ role: 'Author' }],
+    institution: claims[provider.institutionClaim] || provider.name,
+    isEmailVerified: true,
+    mfaEnabled: true,
+    ssoIdentities: [{ provider: provider.key, subject: claims.sub }],
+  });
+  return { user: user, outcome: 'provisioned' };
+};
+
+/**
+ * List enabled SSO providers for the login page
+ */
+exports.listSSOProviders = async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find({ enabled: true }).select('key name').sort({ name: 1 });
+
+    res.status(200).json({
+      providers: providers.map((provider) => ({
+        key: provider.key,
+        name: provider.name,
+        loginUrl: `/api/auth/sso/${provider.key}/login`,
+      })),
+    });
+  } catch (error) {
+    console.error('List SSO providers error:', error);
+    res.status(500).json({ error: 'Failed to list sign-in providers' });
+  }
+};
+
+/**
+ * SSO step 1: redirect to the institution's IdP (authorization code + PKCE)
+ * State, nonce and PKCE verifier travel in a signed, short-lived SameSite=Lax cookie,
+ * since the session cookie (SameSite=Strict) is not sent on the IdP's redirect back
+ */
+exports.ssoLogin = async (req, res) => {
+  try {
+    const provider = await oidcService.findProvider(req.params.providerKey);
+    if (!provider) {
+      return res.redirect(`/login?ssoError=${encodeURIComponent('Unknown sign-in provider')}`);
+    }
+
+    const metadata = await oidcService.discover(provider.issuer);
+    const state = cryptoService.generateNonce();
+    const nonce = cryptoService.generateNonce();
+    const { codeVerifier, codeChallenge } = oidcService.generatePKCE();
+
+    const transaction = cryptoService.createSignedToken(
+      { provider: provider.key, state: state, nonce: nonce, codeVerifier: codeVerifier },
+      SSO_TRANSACTION_EXPIRY,
+      TOKEN_SECRET
+    );
+    res.cookie(SSO_TRANSACTION_COOKIE, transaction, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: SSO_TRANSACTION_EXPIRY,
+      path: '/api/auth/sso',
+    });
+
+    res.redirect(oidcService.buildAuthorizationUrl(metadata, provider, ssoRedirectUri(provider), state, nonce, codeChallenge));
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.redirect(`/login?ssoError=${encodeURIComponent('Institutional sign-in is currently unavailable')}`);
+  }
+};
+
+/**
+ * SSO step 2: IdP redirects back with an authorization code
+ * Validates state, exchanges the code, validates the ID token, then links or provisions the user
+ */
+exports.ssoCallback = async (req, res) => {
+  const clientIP = authMiddleware.getClientIP(req);
+  const failSSO = async (message, detail = message) => {
+    await auditService.logAuthAttempt(req.params.providerKey, false, clientIP, `SSO: ${detail}`);
+    res.redirect(`/login?ssoError=${encodeURIComponent(message)}`);
+  };
+
+  try {
+    const transaction = cryptoService.verifySignedToken(readCookie(req, SSO_TRANSACTION_COOKIE), TOKEN_SECRET);
+    res.clearCookie(SSO_TRANSACTION_COOKIE, { path: '/api/auth/sso' });
+
+    if (req.query.error) {
+      return await failSSO('Sign-in was cancelled or refused by your institution.', `IdP error ${req.query.error}`);
+    }
+
+    if (!transaction || transaction.provider !== req.params.providerKey || !req.query.code || req.query.state !== transaction.state) {
+      return await failSSO('Sign-in expired or was invalid. Please try again.', 'Invalid or missing state');
+    }
+
+    const provider = await oidcService.findProvider(transaction.provider);
+    if (!provider) {
+      return await failSSO('Unknown sign-in provider');
+    }
+
+    const metadata = await oidcService.discover(provider.issuer);
+    const tokens = await oidcService.exchangeCode(metadata, provider, req.query.code, ssoRedirectUri(provider), transaction.codeVerifier);
+    let claims = await oidcService.verifyIdToken(metadata, tokens.id_token, provider.clientId, transaction.nonce);
+
+    // Some IdPs only release email/profile claims through userinfo
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await oidcService.fetchUserInfo(metadata, tokens.access_token);
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    const { user, outcome, error } = await resolveSSOUser(provider, claims);
+    if (error) {
+      return await failSSO(error, `${provider.name}: ${error}`);
+    }
+
+    if (!user.isActive) {
+      return await failSSO('Account is inactive', `${user.email}: account inactive`);
+    }
+
+    // Keep the institution in sync with the IdP
+    const institution = claims[provider.institutionClaim];
+    if (institution) {
+      user.institution = institution;
+    }
+    const identity = user.ssoIdentities.find((entry) => entry.provider === provider.key && entry.subject === claims.sub);
+    identity.lastLoginAt = new Date();
+    await user.save();
+
+    if (outcome !== 'login') {
+      await auditService.logSSOAccount(user._id, user.email, provider.name, outcome === 'linked', clientIP);
+    }
+    await auditService.logAuthAttempt(user.email, true, clientIP, `SSO via ${provider.name}`);
+
+    // The IdP's authentication counts as MFA when it reports MFA or the provider is trusted
+    if (provider.trustIdpMfa || oidcService.reportsMFA(claims)) {
+      user.lastLogin = new Date();
+      await user.save();
+
+      authMiddleware.createSession(req, user._id, true);
+      await authMiddleware.trackSession(req, user._id);
+      await loginAlertService.recordLogin(user, req.headers['user-agent'], clientIP);
+      await auditService.logMFAVerification(user._id, user.email, true, clientIP, `SSO (${provider.name})`);
+
+      return res.render('sso-complete', { redirectTo: '/dashboard' });
+    }
+
+    // Otherwise continue with the portal's own second factor
+    const mfaMethod = await beginSecondFactor(req, user);
+    if (!mfaMethod) {
+      return await failSSO('Failed to send OTP. Please try again.', `${user.email}: OTP email failed`);
+    }
+
+    // Same-site page load so the new (SameSite=Strict) session cookie is sent on the next request
+    res.render('sso-complete', { redirectTo: `/login?mfa=${mfaMethod}` });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    await failSSO('Institutional sign-in failed. Please try again.', error.message);
+  }
+};
+
+/**
+ * List the current user's registered security keys / passkeys
+ */
+exports.listWebAuthnCredentials = async (req, res) => {
+  try {
+    const credentials = req.user.webauthnCredentials.map((cred) => ({
+      id: cred.credentialId,
+      name: cred.name,
+      deviceType: cred.deviceType,
+      backedUp: cred.backedUp,
+      transports: cred.transports,
+      createdAt: cred.createdAt,
+      lastUsedAt: cred.lastUsedAt,
+    }));
+
+    res.status(200).json({ credentials: credentials, count: credentials.length });
+  } catch (error) {
+    console.error('List WebAuthn credentials error:', error);
+    res.status(500).json({ error: 'Failed to list security keys' });
+  }
+};
+
+/**
+ * Remove a registered security key / passkey
+ */
+exports.removeWebAuthnCredential = async (req, res) => {
+  try {
+    const { credentialId } = req.params;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const credential = user.webauthnCredentials.find((cred) => cred.credentialId === credentialId);
+    if (!credential) {
+      return res.status(404).json({ error: 'Security key not found' });
+    }
+
+    user.webauthnCredentials.pull(credential._id);
+    await user.save();
+
+    await auditService.logWebAuthnChange(user._id, user.email, credential.name, false, clientIP);
+
+    res.status(200).json({ message: 'Security key removed' });
+  } catch (error) {
+    console.error('Remove WebAuthn credential error:', error);
+    res.status(500).json({ error: 'Failed to remove security key' });
+  }
+};
+
+/**
+ * Get how many unused recovery codes remain
+ */
+exports.getRecoveryCodeStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      remaining: req.user.recoveryCodes.length,
+      generatedAt: req.user.recoveryCodesGeneratedAt,
+    });
+  } catch (error) {
+    console.error('Recovery code status error:', error);
+    res.status(500).json({ error: 'Failed to get recovery code status' });
+  }
+};
+
+/**
+ * Regenerate recovery codes (invalidates all previous codes)
+ * Requires re-authentication with the current password
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+
+    const isPasswordValid = await cryptoService.comparePassword(password, user.passwordHash);
+    if (!isPasswordValid) {
+      await auditService.logAccessDenied(user._id, 'RECOVERY_CODES_REGENERATE', user.email, clientIP, 'Invalid password');
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user);
+    await user.save();
+
+    await auditService.logRecoveryCodesGenerated(user._id, user.email, recoveryCodes.length, clientIP);
+
+    res.status(200).json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+};
+
+/**
+ * Request a password reset link (forgot password)
+ * Always returns the same response to prevent user enumeration
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const clientIP = authMiddleware.getClientIP(req);
+    const genericResponse = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const user = await User.findOne({ email: email.toString().toLowerCase() });
+
+    if (!user || !user.isActive) {
+      await auditService.logPasswordEvent(null, 'PASSWORD_RESET_REQUESTED', email, false, clientIP, 'Unknown or inactive account');
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the latest link is valid: its nonce hash is stored, and cleared once used
+    const nonce = cryptoService.generateNonce();
+    user.passwordResetNonce = cryptoService.hashSHA256(nonce);
+    await user.save();
+
+    const token = cryptoService.createSignedToken(
+      { sub: user._id.toString(), purpose: 'password-reset', nonce: nonce },
+      PASSWORD_RESET_EXPIRY,
+      TOKEN_SECRET
+    );
+    const resetLink = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await emailService.sendPasswordResetLink(user.email, user.fullName, resetLink);
+    await auditService.logPasswordEvent(user._id, 'PASSWORD_RESET_REQUESTED', user.email, true, clientIP, 'Reset link emailed');
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+};
+
+/**
+ * Complete a password reset using the emailed link
+ * Token must be correctly signed, unexpired, and not yet used (claimed atomically)
+ * All existing sessions are invalidated
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const payload = cryptoService.verifySignedToken(token, TOKEN_SECRET);
+    const user = payload && payload.purpose === 'password-reset' ? await User.findById(payload.sub) : null;
+
+    if (!user || !user.passwordResetNonce || user.passwordResetNonce !== cryptoService.hashSHA256(payload.nonce)) {
+      await auditService.logPasswordEvent(user?._id || null, 'PASSWORD_RESET', user?.email || 'unknown', false, clientIP, 'Invalid, expired or used reset link');
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const passwordError = validateNewPassword(password, confirmPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    // Use up the link atomically, so of parallel requests with the same link only one resets
+    const claimed = await User.updateOne(
+      { _id: user._id, passwordResetNonce: user.passwordResetNonce },
+      { $set: { passwordResetNonce: null } }
+    );
+    if (claimed.modifiedCount === 0) {
+      await auditService.logPasswordEvent(user._id, 'PASSWORD_RESET', user.email, false, clientIP, 'Reset link already used');
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    user.passwordHash = await cryptoService.hashPassword(password);
+    user.passwordChangedAt = new Date();
+    user.passwordResetNonce = null;
+    user.otpCode = null;
+    user.otpExpiry = null;
+    await authMiddleware.revokeUserSessions(user, req);
+    await user.save();
+
+    await auditService.logPasswordEvent(user._id, 'PASSWORD_RESET', user.email, true, clientIP, 'Password reset via emailed link; all sessions revoked');
+    await emailService.sendPasswordChangedNotice(user.email, user.fullName, clientIP);
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+/**
+ * "This wasn't me": disown a sign-in from the new-login alert email
+ * Signs the account out everywhere (API tokens created before now stop working too)
+ * and forgets the reported browser/network so it alerts again next time
+ * Body: { token }
+ */
+exports.reportLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const report = loginAlertService.verifyReportToken(token);
+    const user = report ? await User.findById(report.userId) : null;
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired link' });
+    }
+
+    // Sessions already revoked after that sign-in (link used before, or password reset since)
+    if (user.sessionsValidAfter && user.sessionsValidAfter >= report.loginAt) {
+      return res.status(200).json({ message: 'All sessions have already been signed out since that sign-in.' });
+    }
+
+    const device = user.knownDevices.id(report.deviceId);
+    if (device) {
+      user.knownDevices.pull(device._id);
+    }
+    const revoked = await authMiddleware.revokeUserSessions(user, req);
+    await user.save();
+
+    await auditService.logLoginReported(
+      user._id,
+      user.email,
+      `User reported sign-in at ${report.loginAt.toISOString()}${device ? ` from ${device.device} (${device.lastIpAddress})` : ''} as not theirs; ${revoked} session(s) revoked`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'All sessions have been signed out. Please reset your password now.' });
+  } catch (error) {
+    console.error('Login report error:', error);
+    res.status(500).json({ error: 'Failed to secure account' });
+  }
+};
+
+/**
+ * List the browsers and networks this account has signed in from
+ */
+exports.listKnownDevices = async (req, res) => {
+  try {
+    const devices = [...req.user.knownDevices]
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map((entry) => ({
+        id: entry._id,
+        device: entry.device,
+        ipRange: entry.ipRange,
+        lastIpAddress: entry.lastIpAddress,
+        firstSeenAt: entry.firstSeenAt,
+        lastSeenAt: entry.lastSeenAt,
+        loginCount: entry.loginCount,
+      }));
+
+    res.status(200).json({ devices: devices, count: devices.length });
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({ error: 'Failed to list devices' });
+  }
+};
+
+/**
+ * Change password (authenticated)
+ * Requires the current password plus an OTP (authenticator code, or emailed via /resend-otp)
+ * Wrong passwords and codes count towards the login throttle and the emailed code's guess cap
+ * All other sessions are invalidated
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword, otp } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    if (!currentPassword || !newPassword || !otp) {
+      return res.status(400).json({ error: 'Current password, new password and OTP required' });
+    }
+
+    const passwordError = validateNewPassword(newPassword, confirmPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'New password must differ from the current password' });
+    }
+
+    // Brute-force protection: a hijacked session must not be able to guess the password or code
+    const throttleKeys = [`ip:${clientIP}`, `account:${user._id}`];
+    if (await rejectIfThrottled(res, throttleKeys, user.email, clientIP)) {
+      return;
+    }
+
+    const isPasswordValid = await cryptoService.comparePassword(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      await auditService.logPasswordEvent(user._id, 'PASSWORD_CHANGED', user.email, false, clientIP, 'Invalid current password');
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const verifiedWith = await matchOneTimeCode(user, otp.toString());
+    if (!verifiedWith) {
+      await auditService.logPasswordEvent(user._id, 'PASSWORD_CHANGED', user.email, false, clientIP, 'Invalid or expired OTP');
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
+      const invalidated = await registerInvalidOTP(user);
+      return res.status(401).json({
+        error: invalidated ? 'Too many invalid codes. Please request a new OTP.' : 'Invalid or expired OTP',
+      });
+    }
+
+    user.passwordHash = await cryptoService.hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    user.passwordResetNonce = null;
+    await authMiddleware.revokeUserSessions(user, req, true);
+    await user.save();
+    await throttleService.reset(`account:${user._id}`);
+
+    await auditService.logPasswordEvent(user._id, 'PASSWORD_CHANGED', user.email, true, clientIP, `Password changed (${verifiedWith} confirmed); other sessions revoked`);
+    await emailService.sendPasswordChangedNotice(user.email, user.fullName, clientIP);
+
+    res.status(200).json({ message: 'Password changed. Other sessions have been signed out.' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+/**
+ * Start an email-address change
+ * A code is emailed to the current address (proves the request comes from the owner) and
+ * another to the new address (proves the user receives mail there); both are required
+ * by /email/change/verify. A new request replaces any outstanding one.
+ * Body: { newEmail }
+ */
+exports.startEmailChange = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const newEmail = (req.body.newEmail || '').toString().toLowerCase().trim();
+
+    if (!/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(newEmail)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    // Two emails per request; shares the OTP email rate limit with resend-otp
+    const retryAfter = await throttleService.consumeRate(`otp-send:${user._id}`, OTP_RESEND_INTERVAL, OTP_RESEND_MAX_PER_HOUR, 3600000);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter: retryAfter });
+    }
+
+    const currentCode = cryptoService.generateOTP();
+    const newCode = cryptoService.generateOTP();
+    const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRY);
+    user.pendingEmailChange = {
+      email: newEmail,
+      currentCodeHash: hashEmailChangeCode(user, currentCode),
+      newCodeHash: hashEmailChangeCode(user, newCode),
+      expiresAt: expiresAt,
+      attempts: 0,
+    };
+    await user.save();
+
+    const sentToCurrent = await emailService.sendEmailChangeCode(user.email, user.fullName, currentCode, {
+      newEmail: newEmail,
+      isNewAddress: false,
+      expiresAt: expiresAt,
+    });
+    const sentToNew = await emailService.sendEmailChangeCode(newEmail, user.fullName, newCode, {
+      newEmail: newEmail,
+      isNewAddress: true,
+      expiresAt: expiresAt,
+    });
+    if (!sentToCurrent || !sentToNew) {
+      return res.status(500).json({ error: 'Failed to send confirmation codes' });
+    }
+
+    await auditService.logEmailChange(user._id, 'EMAIL_CHANGE_REQUESTED', user.email, true, clientIP, `Change to ${newEmail} requested`);
+
+    res.status(200).json({
+      message: `Confirmation codes have been sent to ${user.email} and ${newEmail}`,
+      expiresAt: expiresAt,
+    });
+  } catch (error) {
+    console.error('Email change start error:', error);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+};
+
+/**
+ * Complete an email-address change with the codes sent to both addresses
+ * Copies of the address on papers, reviews, decisions and invitations are updated,
+ * the previous address is notified, and all other sessions are signed out
+ * Body: { currentCode, newCode }
+ */
+exports.verifyEmailChange = async (req, res) => {
+  try {
+    const { currentCode, newCode } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const pending = user.pendingEmailChange;
+
+    if (!pending || !pending.email || new Date() > pending.expiresAt) {
+      return res.status(400).json({ error: 'No email change is pending, or it has expired. Please start again.' });
+    }
+    if (!/^\d{6}$/.test(String(currentCode)) || !/^\d{6}$/.test(String(newCode))) {
+      return res.status(400).json({ error: 'Both codes must be 6 digits' });
+    }
+
+    const throttleKeys = [`ip:${clientIP}`, `account:${user._id}`];
+    if (await rejectIfThrottled(res, throttleKeys, user.email, clientIP)) {
+      return;
+    }
+
+    // Identifies this request, so parallel requests cannot act on a replaced one
+    const thisRequest = { _id: user._id, 'pendingEmailChange.currentCodeHash': pending.currentCodeHash };
+    const codesMatch =
+      hashEmailChangeCode(user, String(currentCode)) === pending.currentCodeHash &&
+      hashEmailChangeCode(user, String(newCode)) === pending.newCodeHash;
+
+    // Matching codes claim the request atomically (once, and only within the guess cap)
+    const claimed =
+      codesMatch &&
+      (await User.updateOne(
+        { ...thisRequest, 'pendingEmailChange.expiresAt': { $gte: new Date() }, 'pendingEmailChange.attempts': { $lt: OTP_MAX_ATTEMPTS } },
+        { $unset: { pendingEmailChange: 1 } }
+      )).modifiedCount === 1;
+
+    if (!claimed) {
+      await auditService.logEmailChange(user._id, 'EMAIL_CHANGED', user.email, false, clientIP, `Invalid confirmation code (change to ${pending.email})`);
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
+
+      // Counted atomically, so parallel wrong guesses all add up
+      const counted = await User.findOneAndUpdate(thisRequest, { $inc: { 'pendingEmailChange.attempts': 1 } }, { new: true });
+      const exhausted = !counted || counted.pendingEmailChange.attempts >= OTP_MAX_ATTEMPTS;
+      if (exhausted) {
+        await User.updateOne(thisRequest, { $unset: { pendingEmailChange: 1 } });
+      }
+      return res.status(401).json({
+        error: exhausted ? 'Too many invalid codes. Please start the email change again.' : 'Invalid confirmation code',
+      });
+    }
+
+    // The address may have been taken since the request was made
+    const oldEmail = user.email;
+    const newEmail = pending.email;
+    if (await User.exists({ _id: { $ne: user._id }, email: newEmail })) {
+      user.pendingEmailChange = undefined;
+      await user.save();
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    user.email = newEmail;
+    user.isEmailVerified = true;
+    user.pendingEmailChange = undefined;
+    // An outstanding reset link was sent to the old address
+    user.passwordResetNonce = null;
+    await authMiddleware.revokeUserSessions(user, req, true);
+    await user.save();
+    await throttleService.reset(`account:${user._id}`);
+
+    const counts = await accountService.replaceEmailReferences(user._id, oldEmail, newEmail);
+
+    await auditService.logEmailChange(
+      user._id,
+      'EMAIL_CHANGED',
+      oldEmail,
+      true,
+      clientIP,
+      `Email changed from ${oldEmail} to ${newEmail}; records updated: ${JSON.stringify(counts)}; other sessions revoked`
+    );
+    await emailService.sendEmailChangedNotice(oldEmail, user.fullName, newEmail, clientIP);
+
+    res.status(200).json({ message: 'Your email address has been changed. Other sessions have been signed out.', email: newEmail });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+    console.error('Email change verify error:', error);
+    res.status(500).json({ error: 'Failed to change email address' });
+  }
+};
+
+/**
+ * Step-up: issue an emailed code to re-authenticate before a sensitive action
+ * Users with an authenticator app enter its current code instead, unless they ask for email
+ * Body: { method } ('email' to force an emailed code)
+ */
+exports.startStepUp = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.mfaMethod === 'totp' && user.mfaSecret && req.body.method !== 'email') {
+      return res.status(200).json({ message: 'Enter the current code from your authenticator app', method: 'totp' });
+    }
+
+    // Shares the OTP email rate limit with resend-otp
+    const retryAfter = await throttleService.consumeRate(`otp-send:${user._id}`, OTP_RESEND_INTERVAL, OTP_RESEND_MAX_PER_HOUR, 3600000);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter: retryAfter });
+    }
+
+    const otp = cryptoService.generateOTP();
+    user.otpCode = otp;
+    user.otpExpiry = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY || 300000));
+    user.otpAttempts = 0;
+    await user.save();
+
+    const emailSent = await emailService.sendOTP(user.email, otp, user.fullName);
+    if (!emailSent) {
+      return res.status(500).json({ error: 'Failed to send OTP' });
+    }
+
+    res.status(200).json({ message: 'A confirmation code has been sent to your email', method: 'email' });
+  } catch (error) {
+    console.error('Step-up start error:', error);
+    res.status(500).json({ error: 'Failed to start re-authentication' });
+  }
+};
+
+/**
+ * Step-up: verify an authenticator or emailed code and refresh the session's authentication time
+ * Sensitive actions are then allowed for STEP_UP_WINDOW
+ */
+exports.verifyStepUp = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    if (!otp || !/^\d{6}$/.test(otp.toString())) {
+      return res.status(400).json({ error: 'OTP must be 6 digits' });
+    }
+
+    const throttleKeys = [`ip:${clientIP}`, `account:${user._id}`];
+    if (await rejectIfThrottled(res, throttleKeys, user.email, clientIP)) {
+      return;
+    }
+
+    const verifiedWith = await matchOneTimeCode(user, otp.toString());
+    if (!verifiedWith) {
+      await auditService.logStepUp(user._id, user.email, false, clientIP);
+      await recordAuthFailure(throttleKeys, clientIP, user.email);
+      const invalidated = await registerInvalidOTP(user);
+      return res.status(401).json({
+        error: invalidated ? 'Too many invalid codes. Please request a new code.' : 'Invalid or expired code',
+      });
+    }
+
+    user.otpAttempts = 0;
+    await user.save();
+    await throttleService.reset(`account:${user._id}`);
+
+    authMiddleware.markAuthenticated(req);
+    await auditService.logStepUp(user._id, user.email, true, clientIP, verifiedWith);
+
+    res.status(200).json({ message: 'Identity confirmed', validUntil: new Date(req.session.authenticatedAt + STEP_UP_WINDOW) });
+  } catch (error) {
+    console.error('Step-up verify error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+};
+
+/**
+ * Download a copy of the user's personal data (GDPR access / portability)
+ * Profile, papers metadata, reviews, decisions, access grants, sessions and audit entries as JSON
+ */
+exports.exportMyData = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const archive = await privacyService.exportUserData(user);
+    await auditService.log(user._id, 'DATA_EXPORTED', user.email, 'SUCCESS', 'Personal data export downloaded', clientIP);
+
+    const fileName = `research-portal-data-${user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+};
+
+/**
+ * Erase the user's account (GDPR erasure)
+ * The account is pseudonymized and signed out everywhere; papers, reviews and signed
+ * decisions remain as editorial records under the pseudonym
+ * Body: { confirmEmail } (must match the account email)
+ */
+exports.eraseMyAccount = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const { confirmEmail } = req.body;
+
+    if (!confirmEmail || confirmEmail.toString().toLowerCase().trim() !== user.email) {
+      return res.status(400).json({ error: 'Type your account email address to confirm erasure' });
+    }
+
+    const blocker = await privacyService.erasureBlocker(user);
+    if (blocker) {
+      return res.status(400).json({ error: blocker });
+    }
+
+    // Confirmation goes to the real address before it is erased
+    await emailService.sendAccountUpdateNotice(
+      user.email,
+      user.fullName,
+      'Your account was erased at your request. Your personal data has been removed; papers, reviews and decisions remain as anonymous editorial records.'
+    );
+
+    await authMiddleware.revokeUserSessions(user, req);
+    const { pseudonym, counts } = await privacyService.eraseUser(user);
+
+    await auditService.log(
+      user._id,
+      'ACCOUNT_ERASED',
+      pseudonym.email,
+      'SUCCESS',
+      `Account erased at the user's request; records pseudonymized: ${JSON.stringify(counts)}`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'Your account has been erased.' });
+  } catch (error) {
+    console.error('Account erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase account' });
+  }
+};
+
+/**
+ * Request an elevated role (Reviewer or Editor), pending Admin approval
+ */
+exports.requestRole = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const { role, note } = req.body;
+
+    if (!REQUESTABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${REQUESTABLE_ROLES.join(', ')}` });
+    }
+
+    if (user.hasGlobalRole(role)) {
+      return res.status(400).json({ error: `You already have the ${role} role` });
+    }
+
+    user.requestedRole = role;
+    user.roleRequestedAt = new Date();
+    user.roleRequestNote = (note || '').toString().substring(0, 500);
+    await user.save();
+
+    await auditService.logRoleRequest(user._id, user.email, role, clientIP);
+
+    res.status(200).json({ message: `${role} role requested. An administrator will review your request.` });
+  } catch (error) {
+    console.error('Role request error:', error);
+    res.status(500).json({ error: 'Failed to submit role request' });
+  }
+};
+
+/**
+ * List active brute-force lockouts (Admin only)
+ */
+exports.listLockouts = async (req, res) => {
+  try {
+    const lockouts = await throttleService.getActiveLockouts();
+    const recentLockEvents = await auditService.getLockoutHistory();
+
+    res.status(200).json({ lockouts: lockouts, count: lockouts.length, history: recentLockEvents });
+  } catch (error) {
+    console.error('List lockouts error:', error);
+    res.status(500).json({ error: 'Failed to list lockouts' });
+  }
+};
+
+/**
+ * Sign-ins from new browsers/networks and sign-ins users reported as not theirs (Admin only)
+ * Query: hours (default 168, max 720)
+ */
+exports.listSuspiciousLogins = async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 168, 1), 720);
+    const events = await auditService.getSuspiciousLogins(hours);
+
+    res.status(200).json({
+      events: events,
+      count: events.length,
+      reported: events.filter((event) => event.action === 'LOGIN_REPORTED').length,
+    });
+  } catch (error) {
+    console.error('List suspicious logins error:', error);
+    res.status(500).json({ error: 'Failed to list suspicious logins' });
+  }
+};
+
+/**
+ * Lift a lockout early (Admin only)
+ */
+exports.unlockLockout = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const lockout = await throttleService.unlock(req.params.lockoutId);
+
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    await auditService.log(
+      req.session.userId,
+      'ACCOUNT_UNLOCKED',
+      lockout.key,
+      'SUCCESS',
+      `Lockout lifted for ${lockout.identifier || lockout.key}`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'Lockout lifted' });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    res.status(500).json({ error: 'Failed to lift lockout' });
+  }
+};
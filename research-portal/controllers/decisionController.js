@@ -19,10 +19,12 @@ const privateKeyPath = path.join(keyDir, 'private.pem');
 const publicKeyPath = path.join(keyDir, 'public.pem');
 
 /**
- * Create/Update final decision for a paper
+ * Create/Update the decision on the paper's current version
+ * Decisions on earlier versions are kept (one per version)
  * Only Editor can create decisions
  * Digitally signs the decision using RSA-PSS
  * This ensures non-repudiation: Editor cannot deny making the decision
+ * The route requires a recent step-up authentication, so an idle session cannot sign
  */
 exports.makeDecision = async (req, res) => {
   try {
@@ -50,7 +52,8 @@ exports.makeDecision = async (req, res) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    const reviews = await Review.find({ paperId: paperId });
+    // Reviews of the current round (the version being decided on)
+    const reviews = await Review.find(Review.roundFilter(paperId, paper.currentVersion));
 
     // Calculate average rating
     let averageRating = 0;
@@ -70,6 +73,7 @@ exports.makeDecision = async (req, res) => {
     // Create decision document
     const decisionData = {
       paperId: paperId,
+      version: paper.currentVersion,
       decision: decision,
       summary: summary.trim(),
       editorId: userId,
@@ -96,8 +100,8 @@ exports.makeDecision = async (req, res) => {
       decisionData.signature = signature;
       decisionData.signatureAlgorithm = 'RSA-PSS with SHA-256';
 
-      // Check if decision already exists
-      let finalDecision = await Decision.findOne({ paperId: paperId });
+      // Check if this version was already decided
+      let finalDecision = await Decision.findOne({ paperId: paperId, version: paper.currentVersion });
 
       if (finalDecision) {
         // Update existing decision
@@ -141,6 +145,7 @@ exports.makeDecision = async (req, res) => {
 
 /**
  * Get decision for a paper
+ * The decision on the latest decided version, with those on earlier versions
  * Authors can view their own decisions
  * Editors can view all decisions
  */
@@ -155,19 +160,26 @@ exports.getDecision = async (req, res) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    const decision = await Decision.findOne({ paperId: paperId }).populate('editorId', 'fullName email');
+    const decisions = await Decision.find({ paperId: paperId }).populate('editorId', 'fullName email').sort({ version: -1 });
+    const decision = decisions[0];
 
     if (!decision) {
       return res.status(404).json({ error: 'No decision yet for this paper' });
     }
 
-    // ACL: Authors can only view their own, Editors can view all
-    if (user.role === 'Author' && paper.authorId.toString() !== userId.toString()) {
+    // ACL: Authors can only view their own, Editors/Reviewers can view papers within their grants
+    const scope = { venue: paper.venue, paperId: paper._id };
+    const isOwner = paper.authorId.toString() === userId.toString();
+    if (!isOwner && !user.hasRole('Editor', scope) && !user.hasRole('Reviewer', scope)) {
       await auditService.logAccessDenied(userId, 'DECISION_VIEW', decision._id, authMiddleware.getClientIP(req), 'Not author');
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.status(200).json({ decision: decision });
+    res.status(200).json({
+      decision: decision,
+      // Decisions on earlier versions (e.g. the revision requests), newest first
+      previousDecisions: decisions.slice(1),
+    });
   } catch (error) {
     console.error('Get decision error:', error);
     res.status(500).json({ error: 'Failed to get decision' });
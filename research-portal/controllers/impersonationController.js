@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Impersonation Controller ("view as user")
+ * Support staff reproduce what a user sees. The Admin's browser session acts as the user
+ * for IMPERSONATION_DURATION, read-only unless changes are explicitly allowed; account and
+ * admin settings can never be changed. The user is emailed when the session ends.
+ */
+
+/**
+ * Shape an impersonation record for administrators
+ */
+const formatImpersonation = (record) => ({
+  id: record._id,
+  adminId: record.adminId,
+  userId: record.userId,
+  reason: record.reason,
+  readOnly: record.readOnly,
+  startedAt: record.startedAt,
+  expiresAt: record.expiresAt,
+  endedAt: record.endedAt,
+  endReason: record.endReason,
+  notifiedAt: record.notifiedAt,
+});
+
+/**
+ * Start viewing as a user (Admin, recent authentication required)
+ * Body: { reason, allowChanges } (allowChanges: true permits paper/review actions; default read-only)
+ */
+exports.startImpersonation = async (req, res) => {
+  try {
+    const admin = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const reason = (req.body.reason || '').toString().trim();
+    const readOnly = req.body.allowChanges !== true;
+
+    if (reason.length < 5 || reason.length > 500) {
+      return res.status(400).json({ error: 'A reason (support ticket or explanation, 5-500 characters) is required' });
+    }
+
+    const target = await User.findById(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocker = impersonationService.impersonationBlocker(admin, target);
+    if (blocker) {
+      return res.status(400).json({ error: blocker });
+    }
+
+    const record = await impersonationService.start(admin, target, { reason: reason, readOnly: readOnly, ipAddress: clientIP });
+
+    req.session.impersonation = {
+      id: record._id.toString(),
+      adminId: admin._id.toString(),
+      adminName: admin.fullName,
+      userName: target.fullName,
+      userEmail: target.email,
+      readOnly: readOnly,
+      expiresAt: record.expiresAt.getTime(),
+    };
+    req.session.userId = target._id.toString();
+
+    await auditService.log(
+      admin._id,
+      'IMPERSONATION_STARTED',
+      target.email,
+      'SUCCESS',
+      `Viewing as ${target.fullName} (${readOnly ? 'read-only' : 'changes allowed'}) until ${record.expiresAt.toISOString()}: ${reason}`,
+      clientIP
+    );
+
+    res.status(200).json({
+      message: `Now viewing as ${target.fullName}`,
+      readOnly: readOnly,
+      expiresAt: record.expiresAt,
+      redirect: '/dashboard',
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ error: 'Failed to start viewing as user' });
+  }
+};
+
+/**
+ * Stop viewing as a user and return to the Admin's own session
+ */
+exports.stopImpersonation = async (req, res) => {
+  try {
+    if (!req.session.impersonation) {
+      return res.status(400).json({ error: 'You are not viewing as another user' });
+    }
+
+    await authMiddleware.endImpersonation(req, 'STOPPED');
+    res.status(200).json({ message: 'Returned to your own account', redirect: '/admin' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ error: 'Failed to stop viewing as user' });
+  }
+};
+
+/**
+ * Past and current impersonation sessions of a user (Admin)
+ */
+exports.listImpersonations = async (req, res) => {
+  try {
+    const records = await impersonationService.listForUser(req.params.userId);
+    res.status(200).json({ impersonations: records.map(formatImpersonation) });
+  } catch (error) {
+    console.error('List impersonations error:', error);
+    res.status(500).json({ error: 'Failed to load impersonation history' });
+  }
+};
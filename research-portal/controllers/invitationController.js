@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const invitationService = require('../services/invitationService');
+const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Invitation Controller
+ * Editors invite external experts by email to review (or co-edit) a specific paper.
+ * The signed link pre-fills registration; the new account is bound to the invited role and paper.
+ */
+
+const INVITABLE_ROLES = ['Reviewer', 'Editor'];
+
+/**
+ * Shape an invitation for the inviting editor (nonce hash never exposed)
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status === 'PENDING' && invitation.expiresAt <= new Date() ? 'EXPIRED' : invitation.status,
+  message: invitation.message,
+  invitedBy: invitation.invitedBy,
+  acceptedBy: invitation.acceptedBy,
+  createdAt: invitation.createdAt,
+  expiresAt: invitation.expiresAt,
+  respondedAt: invitation.respondedAt,
+});
+
+/**
+ * Describe an invitation for audit logs
+ */
+const describeInvitation = (invitation) =>
+  `${invitation.role} for paper ${invitation.paperId._id || invitation.paperId}`;
+
+/**
+ * Invite someone by email to review or co-edit a paper (Editor only)
+ * Body: { email, role (Reviewer|Editor, default Reviewer), message }
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const paper = req.paper;
+    const { email, message } = req.body;
+    const role = req.body.role || 'Reviewer';
+
+    if (!email || !/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(email)) {
+      return res.status(400).json({ error: 'Valid email required' });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+    }
+
+    if (message && message.length > 1000) {
+      return res.status(400).json({ error: 'Message must not exceed 1000 characters' });
+    }
+
+    // Conflict of interest: authors never review or edit their own paper
+    if (email.toLowerCase() === paper.authorEmail.toLowerCase()) {
+      return res.status(400).json({ error: 'The paper\'s author cannot be invited to it' });
+    }
+
+    const { invitation, link } = await invitationService.create({
+      email: email,
+      role: role,
+      paperId: paper._id,
+      invitedBy: req.session.userId,
+      message: message,
+    });
+
+    await emailService.sendReviewInvitation(invitation.email, paper.title, link, {
+      role: role,
+      inviterName: req.user.fullName,
+      message: invitation.message,
+      expiresAt: invitation.expiresAt,
+    });
+    await auditService.logInvitation(req.session.userId, 'INVITATION_SENT', invitation.email, describeInvitation(invitation), clientIP);
+
+    res.status(201).json({
+      message: `Invitation sent to ${invitation.email}`,
+      invitation: formatInvitation(invitation),
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+};
+
+/**
+ * List invitations for a paper (Editor only)
+ */
+exports.listInvitations = async (req, res) => {
+  try {
+    const invitations = await invitationService.listForPaper(req.paper._id);
+
+    res.status(200).json({ invitations: invitations.map(formatInvitation), count: invitations.length });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Failed to list invitations' });
+  }
+};
+
+/**
+ * Withdraw a pending invitation (Editor only)
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const invitation = await invitationService.revoke(req.paper._id, req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    await auditService.logInvitation(req.session.userId, 'INVITATION_REVOKED', invitation.email, describeInvitation(invitation), clientIP);
+
+    res.status(200).json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to withdraw invitation' });
+  }
+};
+
+/**
+ * Look up an invitation from its link (public)
+ * Used by the registration page to pre-fill the form
+ * Query: token
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.resolve(req.query.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid, has expired, or was already answered' });
+    }
+
+    res.status(200).json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        paperTitle: invitation.paperId.title,
+        venue: invitation.paperId.venue,
+        invitedBy: invitation.invitedBy ? invitation.invitedBy.fullName : null,
+        message: invitation.message,
+        expiresAt: invitation.expiresAt,
+        // Existing users sign in and accept instead of registering
+        accountExists: !!(await User.exists({ email: invitation.email })),
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to load invitation' });
+  }
+};
+
+/**
+ * Decline an invitation (public: holding the link is sufficient)
+ * Body: { token }
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const invitation = await invitationService.resolve(req.body.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid, has expired, or was already answered' });
+    }
+
+    await invitationService.decline(invitation);
+    await auditService.logInvitation(null, 'INVITATION_DECLINED', invitation.email, describeInvitation(invitation), clientIP);
+
+    res.status(200).json({ message: 'Invitation declined. Thank you for letting us know.' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+};
+
+/**
+ * Accept an invitation with an existing account
+ * The signed-in account's email must match the invited email
+ * Body: { token }
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const user = req.user;
+    const invitation = await invitationService.resolve(req.body.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid, has expired, or was already answered' });
+    }
+
+    if (invitation.email !== user.email) {
+      return res.status(403).json({ error: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.` });
+    }
+
+    await invitationService.accept(invitation, user);
+    await user.save();
+    await auditService.logInvitation(user._id, 'INVITATION_ACCEPTED', invitation.email, describeInvitation(invitation), clientIP);
+
+    res.status(200).json({
+      message: `You are now ${invitation.role} for "${invitation.paperId.title}"`,
+      paperId: invitation.paperId._id,
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+};
@@ -1,87 +1,248 @@
 const Paper = require('../models/Paper');
+const PaperRevision = require('../models/PaperRevision');
+const Supplement = require('../models/Supplement');
+const User = require('../models/User');
 const Review = require('../models/Review');
 const Decision = require('../models/Decision');
 const PaperAccess = require('../models/PaperAccess');
-const cryptoService = require('../services/cryptoService');
+const manuscriptService = require('../services/manuscriptService');
+const supplementService = require('../services/supplementService');
+const emailService = require('../services/emailService');
 const auditService = require('../services/auditService');
 const authMiddleware = require('../middleware/authMiddleware');
-const fs = require('fs');
-const path = require('path');
+const mongoose = require('mongoose');
+const stream = require('stream');
 
 /**
  * Paper Controller
  * Handles paper uploads, downloads, and submissions
- * Implements hybrid encryption: AES-256-CBC + RSA-2048
+ * Implements hybrid encryption: AES-256-CBC + RSA-2048 (see manuscriptService)
+ * Every version of a manuscript is a PaperRevision with its own encrypted file in the blob store;
+ * supplementary files (Supplement) are encrypted and stored the same way
  */
 
-const keyDir = path.join(__dirname, '../keys');
-const publicKeyPath = path.join(keyDir, 'public.pem');
-const privateKeyPath = path.join(keyDir, 'private.pem');
+// Revision fields that are ciphertext references or key material, never returned by the API
+const REVISION_SECRET_FIELDS = '-blob -encryptedData -encryptedIV -encryptedAESKey';
+
+// Papers whose supplementary materials can no longer be changed (final decision made)
+const DECIDED_STATUSES = ['ACCEPTED', 'REJECTED'];
+
+/**
+ * Whether the caller may read a version of a paper
+ * Anyone allowed by canAccessPaper reads the current version; owners and editors read every
+ * version; reviewers read earlier versions only from rounds they were assigned to
+ * @param {Object} req - Request (after canAccessPaper)
+ * @param {Object} paper - Paper document
+ * @param {Object} revision - Revision (reviewers populated or not)
+ * @returns {boolean}
+ */
+const canReadRevision = (req, paper, revision) => {
+  if (revision.version === paper.currentVersion || ['owner', 'editor'].includes(req.accessLevel)) {
+    return true;
+  }
+  const userId = req.session.userId.toString();
+  return revision.reviewers.some((reviewer) => (reviewer._id || reviewer).toString() === userId);
+};
+
+/**
+ * Shape a revision for API responses (reviewer identities omitted: reviews are blind)
+ */
+const formatRevision = (revision, paper) => ({
+  version: revision.version,
+  current: revision.version === paper.currentVersion,
+  fileName: revision.fileName,
+  fileSize: revision.fileSize,
+  fileHash: revision.fileHash,
+  changelog: revision.changelog,
+  responseLetter: revision.responseLetter,
+  reviewerCount: revision.reviewers.length,
+  submittedAt: revision.submittedAt,
+});
+
+/**
+ * Shape a supplementary file for API responses (blob reference and key material omitted)
+ */
+const formatSupplement = (supplement) => ({
+  id: supplement._id,
+  type: supplement.type,
+  typeLabel: supplementService.types[supplement.type].label,
+  description: supplement.description,
+  fileName: supplement.fileName,
+  fileSize: supplement.fileSize,
+  fileHash: supplement.fileHash,
+  version: supplement.version,
+  uploadedAt: supplement.uploadedAt,
+});
+
+/**
+ * Stream a decryption pipeline (manuscriptService.openDecryption) to the response
+ * Resolves once the whole file was verified and handed to the response; rejects with the
+ * stream's error otherwise (code CLIENT_DISCONNECTED if the client went away first)
+ */
+const streamToResponse = (streams, res) =>
+  new Promise((resolve, reject) => {
+    const plaintext = stream.pipeline(...streams, (error) => (error ? reject(error) : resolve()));
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        const disconnected = new Error('Client disconnected');
+        disconnected.code = 'CLIENT_DISCONNECTED';
+        plaintext.destroy(disconnected);
+      }
+    });
+    plaintext.pipe(res);
+  });
+
+/**
+ * Send a stored file decrypted (manuscript version or supplementary file), auditing the download
+ * DECRYPTION PROCESS:
+ * 1. Decrypt AES key using RSA private key
+ * 2. Stream the ciphertext from the blob store through AES decryption to the client
+ * 3. Verify the SHA-256 hash on the way: the last decrypted chunk is held back until it
+ *    matches, on a mismatch the connection is dropped, so the client never receives a complete file
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} file - PaperRevision (or legacy equivalent) or Supplement
+ * @param {Object} headers - Response headers (removed again if the download fails before its first byte)
+ * @param {string} description - What was downloaded, for logs and the audit trail
+ */
+const sendDecrypted = async (req, res, file, headers, description) => {
+  const userId = req.session.userId;
+  const paperId = file.paperId;
+  const clientIP = authMiddleware.getClientIP(req);
+
+  let streams;
+  try {
+    streams = manuscriptService.openDecryption(file);
+  } catch (decryptError) {
+    console.error('File decryption error:', decryptError);
+    await auditService.logAccessDenied(userId, 'FILE_DOWNLOAD', paperId, clientIP, 'Decryption failed');
+    return res.status(500).json({ error: 'Failed to decrypt file' });
+  }
+
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  try {
+    await streamToResponse(streams, res);
+  } catch (streamError) {
+    if (streamError.code === 'CLIENT_DISCONNECTED') {
+      return;
+    }
+
+    const hashFailed = streamError.code === 'HASH_MISMATCH';
+    if (hashFailed) {
+      console.warn(`Hash mismatch for ${description} of paper ${paperId}: file may be corrupted`);
+    } else {
+      console.error('File decryption error:', streamError);
+    }
+    await auditService.logAccessDenied(userId, 'FILE_DOWNLOAD', paperId, clientIP, hashFailed ? 'Hash verification failed' : 'Decryption failed');
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    Object.keys(headers).forEach((name) => res.removeHeader(name));
+    return hashFailed
+      ? res.status(400).json({ error: 'File integrity check failed. File may be corrupted.' })
+      : res.status(500).json({ error: 'Failed to decrypt file' });
+  }
+
+  // Log successful file download
+  await auditService.logFileDownload(userId, paperId, description, clientIP);
+};
+
+/**
+ * Reject an upload request
+ * The file was already encrypted into the blob store while it was received, so it is deleted first
+ */
+const rejectUpload = async (req, res, status, error) => {
+  if (req.file) {
+    await manuscriptService.discard(req.file.encrypted);
+  }
+  return res.status(status).json({ error: error });
+};
 
 /**
  * Submit a new paper
- * File encrypted with hybrid encryption before storage
+ * File encrypted with hybrid encryption while it is uploaded (see manuscriptService)
  */
 exports.submitPaper = async (req, res) => {
   try {
     const { title, abstractText, keywords } = req.body;
+    const venue = req.body.venue ? req.body.venue.toString().trim() : null;
     const userId = req.session.userId;
     const clientIP = authMiddleware.getClientIP(req);
 
     // Input validation
     if (!title || !abstractText || !req.file) {
-      return res.status(400).json({ error: 'Title, abstract, and file required' });
+      return rejectUpload(req, res, 400, 'Title, abstract, and file required');
     }
 
     if (title.length < 10 || title.length > 500) {
-      return res.status(400).json({ error: 'Title must be 10-500 characters' });
+      return rejectUpload(req, res, 400, 'Title must be 10-500 characters');
     }
 
     if (abstractText.length < 100 || abstractText.length > 5000) {
-      return res.status(400).json({ error: 'Abstract must be 100-5000 characters' });
+      return rejectUpload(req, res, 400, 'Abstract must be 100-5000 characters');
+    }
+
+    if (venue && venue.length > 200) {
+      return rejectUpload(req, res, 400, 'Venue must not exceed 200 characters');
+    }
+
+    // Venue-scoped Author grants only allow submissions to that venue
+    if (!req.user.hasRole('Author', { venue: venue })) {
+      await auditService.logAccessDenied(userId, 'PAPER_SUBMIT', venue || '', clientIP, 'No Author grant for this venue');
+      return rejectUpload(req, res, 403, venue ? `You are not an Author for ${venue}` : 'Select the venue you are submitting to');
     }
 
     // Validate file type (PDF only)
     if (req.file.mimetype !== 'application/pdf') {
-      return res.status(400).json({ error: 'Only PDF files are allowed' });
+      return rejectUpload(req, res, 400, 'Only PDF files are allowed');
     }
 
     // Validate file size (max 50MB)
     if (req.file.size > 50 * 1024 * 1024) {
-      return res.status(400).json({ error: 'File size must not exceed 50MB' });
+      return rejectUpload(req, res, 400, 'File size must not exceed 50MB');
     }
 
     const user = await req.session.userId;
 
-    // ENCRYPTION PROCESS:
-    // 1. Read file content
-    const fileBuffer = req.file.buffer;
-
-    // 2. Encrypt file using hybrid encryption
+    // ENCRYPTION PROCESS (done by the upload's storage engine while the file was received):
     // - Generate AES-256 key and IV
-    // - Encrypt file with AES
+    // - Encrypt file with AES, hashing the plaintext with SHA-256
     // - Encrypt AES key with RSA public key
-    const encryptedPackage = cryptoService.encryptFile(fileBuffer, publicKeyPath);
+    // - Stream the ciphertext to the blob store
+    const encrypted = req.file.encrypted;
 
-    // 3. Create paper document
+    // Create paper document (metadata of the current version) and its encrypted components as version 1
     const newPaper = new Paper({
       title: title.trim(),
       abstractText: abstractText.trim(),
       keywords: keywords ? keywords.split(',').map((k) => k.trim()) : [],
+      venue: venue,
+      currentVersion: 1,
       fileName: req.file.originalname,
-      fileSize: req.file.size,
-      // Store encrypted components
-      encryptedData: encryptedPackage.encryptedData,
-      encryptedIV: encryptedPackage.iv,
-      encryptedAESKey: encryptedPackage.encryptedKey,
-      fileHash: encryptedPackage.hash,
+      fileSize: encrypted.fileSize,
+      fileHash: encrypted.fileHash,
       // Author info
       authorId: userId,
       authorEmail: req.user.email,
       status: 'SUBMITTED',
     });
 
-    await newPaper.save();
+    try {
+      await newPaper.save();
+      await PaperRevision.create({
+        paperId: newPaper._id,
+        version: 1,
+        fileName: req.file.originalname,
+        ...encrypted,
+        submittedBy: userId,
+      });
+    } catch (storeError) {
+      await Paper.deleteOne({ _id: newPaper._id });
+      await manuscriptService.discard(encrypted);
+      throw storeError;
+    }
 
     // Create PaperAccess entry for the author (owner)
     const paperAccess = new PaperAccess({
@@ -103,7 +264,9 @@ exports.submitPaper = async (req, res) => {
       paper: {
         id: newPaper._id,
         title: newPaper.title,
+        venue: newPaper.venue,
         status: newPaper.status,
+        currentVersion: newPaper.currentVersion,
         submittedAt: newPaper.submittedAt,
       },
     });
@@ -142,7 +305,8 @@ exports.getPaper = async (req, res) => {
 
 /**
  * Download paper file (with decryption)
- * Requires access permission and decrypts file on-the-fly
+ * Requires access permission and decrypts file on-the-fly, streaming it to the client
+ * Query: ?version=N for an earlier version (default: current version)
  * Logs file access for audit trail
  */
 exports.downloadPaper = async (req, res) => {
@@ -158,59 +322,368 @@ exports.downloadPaper = async (req, res) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    // Prepare encrypted package for decryption
-    const encryptedPackage = {
-      encryptedData: paper.encryptedData,
-      iv: paper.encryptedIV,
-      encryptedKey: paper.encryptedAESKey,
-      hash: paper.fileHash,
-    };
+    const version = req.query.version === undefined ? paper.currentVersion : Number(req.query.version);
+    if (!Number.isInteger(version) || version < 1 || version > paper.currentVersion) {
+      return res.status(400).json({ error: `Version must be between 1 and ${paper.currentVersion}` });
+    }
+
+    const revision = await manuscriptService.findRevision(paper, version);
+    if (!revision) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+
+    if (!canReadRevision(req, paper, revision)) {
+      await auditService.logAccessDenied(userId, 'FILE_DOWNLOAD', paperId, clientIP, `Not assigned to the review round of version ${version}`);
+      return res.status(403).json({ error: 'Access denied to this version' });
+    }
+
+    await sendDecrypted(
+      req,
+      res,
+      revision,
+      {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${revision.fileName}"`,
+        'Content-Length': revision.fileSize,
+        'X-Paper-Version': String(version),
+      },
+      `${revision.fileName} (version ${version})`
+    );
+  } catch (error) {
+    console.error('Download paper error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+};
+
+/**
+ * List the versions of a paper the caller may read
+ * Each entry has its file metadata, changelog and response to reviewers (no file content)
+ */
+exports.listRevisions = async (req, res) => {
+  try {
+    const paper = req.paper;
+
+    const revisions = await PaperRevision.find({ paperId: paper._id }).select(REVISION_SECRET_FIELDS).sort({ version: 1 });
+    if (paper.encryptedData && !revisions.some((revision) => revision.version === 1)) {
+      revisions.unshift(manuscriptService.legacyRevision(paper));
+    }
+
+    const readable = revisions.filter((revision) => canReadRevision(req, paper, revision));
+
+    res.status(200).json({
+      currentVersion: paper.currentVersion,
+      revisions: readable.map((revision) => formatRevision(revision, paper)).reverse(),
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+};
+
+/**
+ * Resubmit a paper after the editor requested revisions (paper owner only)
+ * Body (multipart): paper (PDF), changelog, responseLetter
+ * The new version gets its own encrypted file; the reviewers of the previous round are
+ * re-linked to the new round and notified, and the paper goes back into review
+ */
+exports.submitRevision = async (req, res) => {
+  try {
+    const paper = req.paper;
+    const paperId = paper._id;
+    const userId = req.session.userId;
+    const clientIP = authMiddleware.getClientIP(req);
+    const changelog = (req.body.changelog || '').toString().trim();
+    const responseLetter = (req.body.responseLetter || '').toString().trim();
+
+    if (paper.authorId.toString() !== userId.toString()) {
+      await auditService.logAccessDenied(userId, 'REVISION_SUBMIT', paperId, clientIP, 'User is not the paper owner');
+      return rejectUpload(req, res, 403, 'Only the paper author can submit a revision');
+    }
+
+    if (paper.status !== 'REVISION_REQUESTED') {
+      return rejectUpload(req, res, 409, 'A revision can only be submitted after the editor requests one');
+    }
+
+    if (!req.file) {
+      return rejectUpload(req, res, 400, 'Revised PDF file required');
+    }
+
+    if (changelog.length < 10 || changelog.length > 5000) {
+      return rejectUpload(req, res, 400, 'Changelog must be 10-5000 characters');
+    }
+
+    if (responseLetter.length > 20000) {
+      return rejectUpload(req, res, 400, 'Response to reviewers must not exceed 20000 characters');
+    }
+
+    // Validate file type (PDF only)
+    if (req.file.mimetype !== 'application/pdf') {
+      return rejectUpload(req, res, 400, 'Only PDF files are allowed');
+    }
+
+    // Validate file size (max 50MB)
+    if (req.file.size > 50 * 1024 * 1024) {
+      return rejectUpload(req, res, 400, 'File size must not exceed 50MB');
+    }
+
+    // An unversioned paper's file becomes its own version 1 before the paper's metadata moves on
+    await manuscriptService.migrateLegacyPaper(paper);
+
+    const previousVersion = paper.currentVersion;
+    const version = previousVersion + 1;
+    const reviewers = paper.assignedReviewers;
+    const encrypted = req.file.encrypted;
+
+    const revision = new PaperRevision({
+      paperId: paperId,
+      version: version,
+      fileName: req.file.originalname,
+      ...encrypted,
+      changelog: changelog,
+      responseLetter: responseLetter,
+      reviewers: reviewers,
+      submittedBy: userId,
+    });
 
     try {
-      // DECRYPTION PROCESS:
-      // 1. Decrypt AES key using RSA private key
-      // 2. Decrypt file using AES key and IV
-      // 3. Verify SHA-256 hash
-      const decryptedPackage = cryptoService.decryptFile(encryptedPackage, privateKeyPath);
-
-      if (!decryptedPackage.hashVerified) {
-        console.warn(`Hash mismatch for paper ${paperId}: file may be corrupted`);
-        await auditService.logAccessDenied(userId, 'FILE_DOWNLOAD', paperId, clientIP, 'Hash verification failed');
-        return res.status(400).json({
-          error: 'File integrity check failed. File may be corrupted.',
-        });
+      await revision.save();
+    } catch (saveError) {
+      await manuscriptService.discard(encrypted);
+      if (saveError.code === 11000) {
+        return res.status(409).json({ error: 'A revision of this paper was just submitted' });
       }
+      throw saveError;
+    }
+
+    // Only one resubmission per decision: the status is checked again atomically
+    const updated = await Paper.findOneAndUpdate(
+      { _id: paperId, status: 'REVISION_REQUESTED', currentVersion: previousVersion },
+      {
+        currentVersion: version,
+        fileName: revision.fileName,
+        fileSize: revision.fileSize,
+        fileHash: revision.fileHash,
+        status: reviewers.length > 0 ? 'UNDER_REVIEW' : 'SUBMITTED',
+        updatedAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await PaperRevision.deleteOne({ _id: revision._id });
+      await manuscriptService.discard(encrypted);
+      return res.status(409).json({ error: 'A revision can only be submitted after the editor requests one' });
+    }
 
-      // Log successful file download
-      await auditService.logFileDownload(userId, paperId, paper.fileName, clientIP);
+    await auditService.logRevisionSubmission(userId, paperId, version, revision.fileName, reviewers.length, clientIP);
 
-      // Send decrypted file to client
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${paper.fileName}"`);
-      res.send(decryptedPackage.data);
-    } catch (decryptError) {
-      console.error('File decryption error:', decryptError);
-      await auditService.logAccessDenied(userId, 'FILE_DOWNLOAD', paperId, clientIP, 'Decryption failed');
-      res.status(500).json({ error: 'Failed to decrypt file' });
+    // Re-linked reviewers are told the new round has started
+    const paperLink = `${process.env.APP_URL || 'http://localhost:3000'}/papers`;
+    const reviewerUsers = await User.find({ _id: { $in: reviewers }, isActive: true }).select('email');
+    for (const reviewer of reviewerUsers) {
+      await emailService.sendRevisionNotice(reviewer.email, updated.title, version, paperLink);
     }
+
+    res.status(201).json({
+      message: `Version ${version} submitted`,
+      paper: {
+        id: updated._id,
+        title: updated.title,
+        status: updated.status,
+        currentVersion: updated.currentVersion,
+      },
+      revision: formatRevision(revision, updated),
+    });
   } catch (error) {
-    console.error('Download paper error:', error);
+    console.error('Revision submission error:', error);
+    res.status(500).json({ error: 'Revision submission failed' });
+  }
+};
+
+/**
+ * List a paper's supplementary files, with the accepted types and size limits
+ * ACL: same as the paper (enforced at route level)
+ */
+exports.listSupplements = async (req, res) => {
+  try {
+    const supplements = await Supplement.find({ paperId: req.paper._id }).sort({ uploadedAt: 1 });
+
+    res.status(200).json({
+      supplements: supplements.map(formatSupplement),
+      types: supplementService.listTypes(),
+      maxPerPaper: supplementService.maxPerPaper,
+    });
+  } catch (error) {
+    console.error('List supplements error:', error);
+    res.status(500).json({ error: 'Failed to list supplementary files' });
+  }
+};
+
+/**
+ * Attach a supplementary file to a paper
+ * Body: FormData with { file, type (DATASET|CODE|APPENDIX|LATEX_SOURCE), description }
+ *       (or uploadId of a complete resumable upload instead of file)
+ * Only the paper's author, until the final decision. The file is encrypted with its own key
+ * while it is uploaded, like a manuscript (see manuscriptService).
+ */
+exports.addSupplement = async (req, res) => {
+  try {
+    const paper = req.paper;
+    const paperId = paper._id;
+    const userId = req.session.userId;
+    const clientIP = authMiddleware.getClientIP(req);
+    const type = (req.body.type || '').toString().toUpperCase();
+    const description = (req.body.description || '').toString().trim();
+
+    if (paper.authorId.toString() !== userId.toString()) {
+      await auditService.logAccessDenied(userId, 'SUPPLEMENT_ADD', paperId, clientIP, 'User is not the paper owner');
+      return rejectUpload(req, res, 403, 'Only the paper author can add supplementary files');
+    }
+
+    if (DECIDED_STATUSES.includes(paper.status)) {
+      return rejectUpload(req, res, 409, 'Supplementary files cannot be changed after the final decision');
+    }
+
+    if (!req.file) {
+      return rejectUpload(req, res, 400, 'File required');
+    }
+
+    if (!supplementService.isType(type)) {
+      return rejectUpload(req, res, 400, `Type must be one of: ${Object.keys(supplementService.types).join(', ')}`);
+    }
+
+    if (description.length > 1000) {
+      return rejectUpload(req, res, 400, 'Description must not exceed 1000 characters');
+    }
+
+    // Validate file type and size for the kind of material
+    const fileError = supplementService.fileError(type, req.file.originalname, req.file.size);
+    if (fileError) {
+      return rejectUpload(req, res, 400, fileError);
+    }
+
+    if ((await Supplement.countDocuments({ paperId: paperId })) >= supplementService.maxPerPaper) {
+      return rejectUpload(req, res, 409, `A paper can have at most ${supplementService.maxPerPaper} supplementary files`);
+    }
+
+    let supplement;
+    try {
+      supplement = await Supplement.create({
+        paperId: paperId,
+        version: paper.currentVersion,
+        type: type,
+        description: description,
+        fileName: req.file.originalname,
+        ...req.file.encrypted,
+        uploadedBy: userId,
+      });
+    } catch (storeError) {
+      await manuscriptService.discard(req.file.encrypted);
+      throw storeError;
+    }
+
+    await auditService.logSupplement(
+      userId,
+      'SUPPLEMENT_ADDED',
+      paperId,
+      `${supplementService.types[type].label} uploaded: ${supplement.fileName} (${supplement.fileSize} bytes)`,
+      clientIP
+    );
+
+    res.status(201).json({
+      message: 'Supplementary file added',
+      supplement: formatSupplement(supplement),
+    });
+  } catch (error) {
+    console.error('Add supplement error:', error);
+    res.status(500).json({ error: 'Failed to add supplementary file' });
+  }
+};
+
+/**
+ * Download a supplementary file (decrypted on-the-fly)
+ * ACL: same as the paper (enforced at route level)
+ */
+exports.downloadSupplement = async (req, res) => {
+  try {
+    const supplementId = req.params.supplementId;
+    const supplement = mongoose.isValidObjectId(supplementId)
+      ? await Supplement.findOne({ _id: supplementId, paperId: req.paper._id })
+      : null;
+
+    if (!supplement) {
+      return res.status(404).json({ error: 'Supplementary file not found' });
+    }
+
+    // Any file type: always a download, never rendered by the browser
+    await sendDecrypted(
+      req,
+      res,
+      supplement,
+      {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${supplement.fileName}"`,
+        'Content-Length': supplement.fileSize,
+      },
+      `supplementary file ${supplement.fileName}`
+    );
+  } catch (error) {
+    console.error('Download supplement error:', error);
     res.status(500).json({ error: 'Download failed' });
   }
 };
 
+/**
+ * Remove a supplementary file (e.g. attached by mistake)
+ * Only the paper's author, until the final decision
+ */
+exports.deleteSupplement = async (req, res) => {
+  try {
+    const paper = req.paper;
+    const userId = req.session.userId;
+    const clientIP = authMiddleware.getClientIP(req);
+    const supplementId = req.params.supplementId;
+
+    if (paper.authorId.toString() !== userId.toString()) {
+      await auditService.logAccessDenied(userId, 'SUPPLEMENT_REMOVE', paper._id, clientIP, 'User is not the paper owner');
+      return res.status(403).json({ error: 'Only the paper author can remove supplementary files' });
+    }
+
+    if (DECIDED_STATUSES.includes(paper.status)) {
+      return res.status(409).json({ error: 'Supplementary files cannot be changed after the final decision' });
+    }
+
+    const supplement = mongoose.isValidObjectId(supplementId)
+      ? await Supplement.findOneAndDelete({ _id: supplementId, paperId: paper._id })
+      : null;
+    if (!supplement) {
+      return res.status(404).json({ error: 'Supplementary file not found' });
+    }
+    await manuscriptService.discard(supplement);
+
+    await auditService.logSupplement(
+      userId,
+      'SUPPLEMENT_REMOVED',
+      paper._id,
+      `${supplementService.types[supplement.type].label} removed: ${supplement.fileName}`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'Supplementary file removed' });
+  } catch (error) {
+    console.error('Delete supplement error:', error);
+    res.status(500).json({ error: 'Failed to remove supplementary file' });
+  }
+};
+
 /**
  * List papers accessible to current user
- * ACL enforced: Authors see only their papers and papers they have access to,
- * Reviewers see assigned papers, Editors see all
+ * ACL enforced over all active role grants: Authors see their papers and papers they have access to,
+ * Reviewers see all papers (or those of their venue/paper), Editors see papers they were granted
+ * or those of their venue/paper
  */
 exports.listPapers = async (req, res) => {
   try {
-    console.log('[listPapers] Starting...');
-    console.log('[listPapers] Session:', req.session);
-    console.log('[listPapers] Session userId:', req.session?.userId);
-    console.log('[listPapers] req.user:', req.user);
-
     const userId = req.session.userId;
     const user = req.user;
 
@@ -220,27 +693,31 @@ exports.listPapers = async (req, res) => {
       return res.status(401).json({ error: 'User not authenticated' });
     }
 
-    if (!user.role) {
-      console.error('[listPapers] User has no role:', user);
-      return res.status(400).json({ error: 'Invalid user data' });
-    }
+    const grants = user.activeRoles();
 
-    console.log('[listPapers] User role:', user.role);
-    console.log('[listPapers] User ID:', userId);
-    let query = {};
+    // Every active role grant contributes the papers it can see; the results are combined
+    const clauses = [];
 
-    if (user.role === 'Author') {
+    if (user.hasRole('Author')) {
       // Authors see their own papers
-      query = { authorId: userId };
-      console.log('[listPapers] Author query:', query);
-    } else if (user.role === 'Reviewer') {
+      clauses.push({ authorId: userId });
+    }
+
+    if (user.hasGlobalRole('Reviewer')) {
       // Reviewers should be able to see all papers per updated requirement
-      query = {}; // all papers
-      console.log('[listPapers] Reviewer query - all papers');
-    } else if (user.role === 'Editor') {
+      clauses.push({});
+    }
+
+    // Venue- and paper-scoped Reviewer/Editor grants see the papers in their scope
+    for (const grant of grants) {
+      if (grant.role !== 'Reviewer' && grant.role !== 'Editor') continue;
+      if (grant.venue) clauses.push({ venue: grant.venue });
+      if (grant.paperId) clauses.push({ _id: grant.paperId });
+    }
+
+    if (user.hasRole('Author') || user.hasRole('Editor')) {
       // Editors should NOT see all papers automatically.
-      // Editors only see papers they have been granted editor access to (PaperAccess)
-      console.log('[listPapers] Editor - fetching editor access records...');
+      // Editors (and collaborating authors) see papers they have been granted editor access to (PaperAccess)
       const accessRecords = await PaperAccess.find({
         userId: userId,
         accessLevel: 'editor',
@@ -248,58 +725,27 @@ exports.listPapers = async (req, res) => {
       }).select('paperId');
 
       const accessPaperIds = accessRecords.map(a => a.paperId.toString());
-      console.log('[listPapers] Editor has access to', accessPaperIds.length, 'papers');
 
       if (accessPaperIds.length > 0) {
-        query = { _id: { $in: accessPaperIds } };
-      } else {
-        // No access records - return empty set
-        query = { _id: { $in: [] } };
+        clauses.push({ _id: { $in: accessPaperIds } });
       }
     }
 
-    console.log('[listPapers] Final query:', query);
-    console.log('[listPapers] Fetching papers with query...');
+    if (grants.length === 0 || grants.every((grant) => grant.role === 'Admin')) {
+      // Admins have no paper access
+      await auditService.logAccessDenied(userId, 'PAPER_LIST', null, authMiddleware.getClientIP(req), `Roles (${user.roleNames().join(', ') || 'none'}) have no paper access`);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // No clauses (e.g. an Editor with no papers yet) - return empty set
+    const query = clauses.length > 0 ? { $or: clauses } : { _id: { $in: [] } };
 
-    let papers = await Paper.find(query)
+    const papers = await Paper.find(query)
       .select('-encryptedData -encryptedAESKey -encryptedIV -fileHash')
       .populate('authorId', 'fullName email institution')
       .populate('assignedReviewers', 'fullName email')
       .sort({ submittedAt: -1 });
 
-    console.log('[listPapers] Found', papers.length, 'papers');
-    console.log('[listPapers] Papers:', papers.map(p => ({ id: p._id, title: p.title, author: p.authorId?.fullName })));
-
-    // For Authors, also get papers they have editor access to (so they can collaborate)
-    if (user.role === 'Author') {
-      console.log('[listPapers] Author - fetching editor access papers...');
-      const accessRecords = await PaperAccess.find({
-        userId: userId,
-        accessLevel: 'editor',
-        status: 'ACTIVE',
-      }).select('paperId');
-
-      const accessPaperIds = accessRecords.map(a => a.paperId.toString());
-      console.log('[listPapers] Author has editor access to', accessPaperIds.length, 'papers');
-
-      if (accessPaperIds.length > 0) {
-        const accessPapers = await Paper.find({
-          _id: { $in: accessPaperIds },
-          authorId: { $ne: userId }, // Don't duplicate own papers
-        })
-          .select('-encryptedData -encryptedAESKey -encryptedIV -fileHash')
-          .populate('authorId', 'fullName email institution')
-          .populate('assignedReviewers', 'fullName email')
-          .sort({ submittedAt: -1 });
-
-        papers.push(...accessPapers);
-        console.log('[listPapers] Added', accessPapers.length, 'editor access papers');
-      }
-    }
-
-    console.log('[listPapers] Total papers to return:', papers.length);
-    console.log('[listPapers] Returning papers:', papers.map(p => ({ id: p._id, title: p.title, author: p.authorId?.fullName })));
-
     res.status(200).json({
       papers: papers,
       count: papers.length,
@@ -333,6 +779,9 @@ exports.updatePaperStatus = async (req, res) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
+    // The assigned reviewers are the reviewers of the current version's round
+    await PaperRevision.updateOne({ paperId: paperId, version: paper.currentVersion }, { reviewers: paper.assignedReviewers });
+
     // Create PaperAccess records for newly assigned reviewers
     if (assignedReviewers && assignedReviewers.length > 0) {
       for (const reviewerId of assignedReviewers) {
@@ -626,27 +1075,19 @@ exports.reviewerDecision = async (req, res) => {
   try {
     const paperId = req.params.paperId;
     const { status } = req.body;
-    const reviewerId = req.session.userId;
-
-    console.log(`[reviewerDecision] Starting: paperId=${paperId}, status=${status}, reviewerId=${reviewerId}`);
 
     // Validate status (reviewers can only accept or reject)
     if (!['ACCEPTED', 'REJECTED'].includes(status)) {
-      console.log(`[reviewerDecision] Invalid status: ${status}`);
       return res.status(400).json({ error: 'Reviewers can only accept or reject papers' });
     }
 
     // Check if paper exists and is in reviewable status
     const paper = await Paper.findById(paperId);
     if (!paper) {
-      console.log(`[reviewerDecision] Paper not found: ${paperId}`);
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    console.log(`[reviewerDecision] Paper found: ${paper.title}, current status: ${paper.status}`);
-
     if (!['SUBMITTED', 'UNDER_REVIEW'].includes(paper.status)) {
-      console.log(`[reviewerDecision] Paper not in reviewable status: ${paper.status}`);
       return res.status(400).json({ error: 'Paper is not in a reviewable status' });
     }
 
@@ -654,8 +1095,6 @@ exports.reviewerDecision = async (req, res) => {
     paper.status = status;
     await paper.save();
 
-    console.log(`[reviewerDecision] Paper ${paperId} updated to ${status} by reviewer ${reviewerId}`);
-
     res.status(200).json({
       message: `Paper ${status.toLowerCase()} successfully`,
       paper: {
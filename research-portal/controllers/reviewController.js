@@ -10,7 +10,7 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 /**
  * Submit a review for a paper
- * Only assigned reviewers can submit
+ * Only assigned reviewers can submit; a review belongs to the round of the paper's current version
  */
 exports.submitReview = async (req, res) => {
   try {
@@ -48,14 +48,14 @@ exports.submitReview = async (req, res) => {
       return res.status(403).json({ error: 'You are not assigned to review this paper' });
     }
 
-    // Check if review already exists
-    const existingReview = await Review.findOne({ paperId: paperId, reviewerId: userId });
+    // Check if review already exists for this round
+    const existingReview = await Review.findOne({ ...Review.roundFilter(paperId, paper.currentVersion), reviewerId: userId });
     if (existingReview && existingReview.status === 'COMPLETED') {
-      return res.status(409).json({ error: 'You have already submitted a review for this paper' });
+      return res.status(409).json({ error: `You have already submitted a review for version ${paper.currentVersion} of this paper` });
     }
 
     // Create or update review
-    const review = existingReview || new Review({ paperId: paperId, reviewerId: userId });
+    const review = existingReview || new Review({ paperId: paperId, reviewerId: userId, version: paper.currentVersion });
 
     review.summary = summary.trim();
     review.strengths = strengths?.trim() || '';
@@ -75,6 +75,7 @@ exports.submitReview = async (req, res) => {
     res.status(201).json({
       message: 'Review submitted successfully',
       reviewId: review._id,
+      version: paper.currentVersion,
     });
   } catch (error) {
     console.error('Review submission error:', error);
@@ -84,14 +85,20 @@ exports.submitReview = async (req, res) => {
 
 /**
  * Get all reviews for a paper (Editor only)
+ * Query: ?version=N for the reviews of one round (default: every round, newest first)
  */
 exports.getReviewsForPaper = async (req, res) => {
   try {
     const paperId = req.params.paperId;
+    const version = req.query.version === undefined ? null : Number(req.query.version);
 
-    const reviews = await Review.find({ paperId: paperId })
+    if (version !== null && !(Number.isInteger(version) && version >= 1)) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+
+    const reviews = await Review.find(version ? Review.roundFilter(paperId, version) : { paperId: paperId })
       .populate('reviewerId', 'fullName email')
-      .sort({ submittedAt: -1 });
+      .sort({ version: -1, submittedAt: -1 });
 
     if (!reviews.length) {
       return res.status(200).json({ reviews: [], message: 'No reviews yet' });
@@ -134,14 +141,15 @@ exports.getReview = async (req, res) => {
 
     const review = await Review.findById(reviewId)
       .populate('reviewerId', 'fullName email')
-      .populate('paperId', 'title');
+      .populate('paperId', 'title venue');
 
     if (!review) {
       return res.status(404).json({ error: 'Review not found' });
     }
 
     // ACL check
-    if (user.role !== 'Editor' && review.reviewerId.toString() !== userId.toString()) {
+    const scope = review.paperId ? { venue: review.paperId.venue, paperId: review.paperId._id } : {};
+    if (!user.hasRole('Editor', scope) && review.reviewerId._id.toString() !== userId.toString()) {
       await auditService.logAccessDenied(userId, 'REVIEW_VIEW', reviewId, authMiddleware.getClientIP(req), 'Not authorized');
       return res.status(403).json({ error: 'Access denied' });
     }
@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Session Controller
+ * Lets users see where they are signed in and end those sessions
+ * Admins can force-logout a compromised account
+ */
+
+/**
+ * Shape a session record for the client (the store session ID is never exposed)
+ */
+const formatSession = (record, currentSessionId) => ({
+  id: record._id,
+  device: record.device,
+  userAgent: record.userAgent,
+  ipAddress: record.ipAddress,
+  lastIpAddress: record.lastIpAddress,
+  createdAt: record.createdAt,
+  lastActivity: record.lastActivity,
+  current: record.sessionId === currentSessionId,
+});
+
+/**
+ * List the current user's active sessions
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const records = await sessionService.listForUser(req.session.userId);
+
+    res.status(200).json({
+      sessions: records.map((record) => formatSession(record, req.sessionID)),
+      count: records.length,
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+};
+
+/**
+ * Inspect one of the current user's sessions
+ */
+exports.getSession = async (req, res) => {
+  try {
+    const record = await sessionService.findForUser(req.session.userId, req.params.sessionId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.status(200).json({ session: formatSession(record, req.sessionID) });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({ error: 'Failed to retrieve session' });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * Revoking the current session is equivalent to logging out
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+    const record = await sessionService.findForUser(user._id, req.params.sessionId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const isCurrent = record.sessionId === req.sessionID;
+    await auditService.logSessionRevocation(user._id, 'SESSION_REVOKED', user.email, 1, clientIP, `${record.device} (${record.ipAddress})${isCurrent ? ', current session' : ''}`);
+
+    if (isCurrent) {
+      await sessionService.forget(req.sessionID);
+      await authMiddleware.destroySession(req);
+      return res.status(200).json({ message: 'Current session ended. You have been logged out.' });
+    }
+
+    await sessionService.revoke(req.sessionStore, record);
+
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions except this one
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const user = req.user;
+    const clientIP = authMiddleware.getClientIP(req);
+
+    const count = await sessionService.revokeAllForUser(req.sessionStore, user._id, req.sessionID);
+    await auditService.logSessionRevocation(user._id, 'SESSION_REVOKED', user.email, count, clientIP, 'All other sessions');
+
+    res.status(200).json({ message: 'All other sessions have been signed out', revoked: count });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
+/**
+ * Force-logout a user everywhere (Admin only)
+ * Used when an account is suspected to be compromised
+ */
+exports.forceLogout = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { reason } = req.body || {};
+    const target = await User.findById(req.params.userId);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Epoch also catches sessions that were never tracked (e.g. mid-login)
+    target.sessionsValidAfter = new Date();
+    await target.save();
+    const count = await sessionService.revokeAllForUser(req.sessionStore, target._id);
+
+    await auditService.logSessionRevocation(req.session.userId, 'FORCE_LOGOUT', target.email, count, clientIP, reason || 'Forced logout');
+
+    res.status(200).json({ message: `${target.email} has been signed out of all sessions`, revoked: count });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ error: 'Failed to force logout' });
+  }
+};
@@ -0,0 +1,201 @@
+const IdentityProvider = require('../models/IdentityProvider');
+const oidcService = require('../services/oidcService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * SSO Controller
+ * Administration of institutional OpenID Connect identity providers
+ * (the login flow itself lives in authController)
+ */
+
+const EDITABLE_FIELDS = [
+  'name',
+  'issuer',
+  'clientId',
+  'scopes',
+  'emailDomains',
+  'requireSSO',
+  'autoProvision',
+  'institutionClaim',
+  'trustIdpMfa',
+  'enabled',
+];
+
+/**
+ * Shape a provider for the client (client secret never returned)
+ */
+const formatProvider = (provider) => ({
+  id: provider._id,
+  key: provider.key,
+  name: provider.name,
+  issuer: provider.issuer,
+  clientId: provider.clientId,
+  hasClientSecret: !!provider.clientSecret,
+  scopes: provider.scopes,
+  emailDomains: provider.emailDomains,
+  requireSSO: provider.requireSSO,
+  autoProvision: provider.autoProvision,
+  institutionClaim: provider.institutionClaim,
+  trustIdpMfa: provider.trustIdpMfa,
+  enabled: provider.enabled,
+  callbackUrl: `${process.env.APP_URL || 'http://localhost:3000'}/api/auth/sso/${provider.key}/callback`,
+});
+
+/**
+ * Apply request body fields to a provider document
+ * @returns {string|null} Validation error
+ */
+const applyProviderFields = (provider, body) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      provider[field] = body[field];
+    }
+  }
+
+  if (body.emailDomains !== undefined) {
+    if (!Array.isArray(body.emailDomains)) {
+      return 'emailDomains must be an array';
+    }
+    provider.emailDomains = [...new Set(body.emailDomains.map((domain) => String(domain).trim().toLowerCase().replace(/^@/, '')))];
+  }
+
+  if (body.clientSecret !== undefined) {
+    provider.clientSecret = oidcService.encryptClientSecret(body.clientSecret);
+  }
+
+  if (!(provider.scopes || '').split(' ').includes('openid')) {
+    return 'Scopes must include openid';
+  }
+  if (provider.requireSSO && provider.emailDomains.length === 0) {
+    return 'Requiring SSO needs at least one email domain';
+  }
+  return null;
+};
+
+/**
+ * List identity providers (Admin only)
+ */
+exports.listProviders = async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find().sort({ name: 1 });
+
+    res.status(200).json({ providers: providers.map(formatProvider), count: providers.length });
+  } catch (error) {
+    console.error('List identity providers error:', error);
+    res.status(500).json({ error: 'Failed to list identity providers' });
+  }
+};
+
+/**
+ * Register an identity provider (Admin only)
+ * The issuer's discovery document must be reachable
+ */
+exports.createProvider = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const { key, name, issuer, clientId } = req.body;
+
+    if (!key || !name || !issuer || !clientId) {
+      return res.status(400).json({ error: 'Key, name, issuer and clientId required' });
+    }
+
+    if (await IdentityProvider.exists({ key: key.toLowerCase() })) {
+      return res.status(409).json({ error: 'A provider with this key already exists' });
+    }
+
+    const provider = new IdentityProvider({ key: key });
+    const validationError = applyProviderFields(provider, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      await oidcService.discover(provider.issuer);
+    } catch (error) {
+      return res.status(400).json({ error: `OIDC discovery failed: ${error.message}` });
+    }
+
+    await provider.save();
+
+    await auditService.log(req.session.userId, 'SSO_PROVIDER_UPDATED', provider.key, 'SUCCESS', `Provider created: ${provider.name} (${provider.issuer})`, clientIP);
+
+    res.status(201).json({ message: 'Identity provider created', provider: formatProvider(provider) });
+  } catch (error) {
+    console.error('Create identity provider error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create identity provider' });
+  }
+};
+
+/**
+ * Update an identity provider (Admin only)
+ * Omit clientSecret to keep the stored secret
+ */
+exports.updateProvider = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const provider = await IdentityProvider.findById(req.params.providerId);
+
+    if (!provider) {
+      return res.status(404).json({ error: 'Identity provider not found' });
+    }
+
+    const issuerChanged = req.body.issuer !== undefined && req.body.issuer !== provider.issuer;
+    const validationError = applyProviderFields(provider, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (issuerChanged) {
+      try {
+        await oidcService.discover(provider.issuer);
+      } catch (error) {
+        return res.status(400).json({ error: `OIDC discovery failed: ${error.message}` });
+      }
+    }
+
+    await provider.save();
+
+    await auditService.log(
+      req.session.userId,
+      'SSO_PROVIDER_UPDATED',
+      provider.key,
+      'SUCCESS',
+      `Provider updated: ${Object.keys(req.body).filter((field) => field !== 'clientSecret' || req.body.clientSecret).join(', ')}`,
+      clientIP
+    );
+
+    res.status(200).json({ message: 'Identity provider updated', provider: formatProvider(provider) });
+  } catch (error) {
+    console.error('Update identity provider error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update identity provider' });
+  }
+};
+
+/**
+ * Remove an identity provider (Admin only)
+ * Linked users keep their accounts and can still sign in by other means
+ */
+exports.deleteProvider = async (req, res) => {
+  try {
+    const clientIP = authMiddleware.getClientIP(req);
+    const provider = await IdentityProvider.findByIdAndDelete(req.params.providerId);
+
+    if (!provider) {
+      return res.status(404).json({ error: 'Identity provider not found' });
+    }
+
+    await auditService.log(req.session.userId, 'SSO_PROVIDER_UPDATED', provider.key, 'SUCCESS', `Provider removed: ${provider.name}`, clientIP);
+
+    res.status(200).json({ message: 'Identity provider removed' });
+  } catch (error) {
+    console.error('Delete identity provider error:', error);
+    res.status(500).json({ error: 'Failed to remove identity provider' });
+  }
+};
@@ -0,0 +1,261 @@
+const uploadService = require('../services/uploadService');
+const supplementService = require('../services/supplementService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Upload Controller
+ * Resumable manuscript uploads (see uploadService). Protocol, modelled on tus:
+ * - POST   /papers/uploads             { fileName, fileSize, mimeType | supplementType } -> 201, Location, Upload-Offset: 0
+ * - PATCH  /papers/uploads/:uploadId   body: the next bytes (Content-Type application/offset+octet-stream),
+ *                                      header Upload-Offset: where they start -> 204, new Upload-Offset
+ * - HEAD / GET /papers/uploads/:uploadId   Upload-Offset / Upload-Length to resume from
+ * - DELETE /papers/uploads/:uploadId   cancel
+ * Once complete, the upload is submitted with POST /papers (or /papers/:paperId/revisions,
+ * /papers/:paperId/supplements) sending { uploadId } instead of a file; see attachUpload.
+ */
+
+// Response status for uploadService error codes
+const ERROR_STATUS = {
+  TOO_MANY_UPLOADS: 429,
+  TOO_MANY_CHUNKS: 413,
+  UPLOAD_TOO_LARGE: 413,
+  OFFSET_CONFLICT: 409,
+};
+
+/**
+ * Shape an upload for API responses (chunk blobs and key material never exposed)
+ */
+const formatUpload = (upload) => ({
+  id: upload._id,
+  fileName: upload.fileName,
+  mimeType: upload.mimeType,
+  length: upload.length,
+  offset: upload.offset,
+  status: upload.status,
+  expiresAt: upload.expiresAt,
+});
+
+/**
+ * Upload-Offset / Upload-Length headers (readable by clients without parsing the body)
+ */
+const setUploadHeaders = (res, upload) => {
+  res.set('Upload-Offset', String(upload.offset));
+  res.set('Upload-Length', String(upload.length));
+  res.set('Cache-Control', 'no-store');
+};
+
+/**
+ * Start a resumable upload
+ * Body: { fileName, fileSize (bytes), mimeType (application/pdf) } for a manuscript, or
+ *       { fileName, fileSize, supplementType } for a supplementary file
+ */
+exports.createUpload = async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const fileName = (req.body.fileName || '').toString().trim();
+    const supplementType = req.body.supplementType ? req.body.supplementType.toString().toUpperCase() : null;
+    const mimeType = (req.body.mimeType || (supplementType ? 'application/octet-stream' : '')).toString();
+    const length = Number(req.body.fileSize);
+
+    if (!fileName || fileName.length > 255) {
+      return res.status(400).json({ error: 'File name required (at most 255 characters)' });
+    }
+
+    if (!Number.isInteger(length) || length < 1) {
+      return res.status(400).json({ error: 'File size in bytes required' });
+    }
+
+    if (supplementType) {
+      // Validate file type and size for the kind of supplementary material
+      if (!supplementService.isType(supplementType)) {
+        return res.status(400).json({ error: `Supplement type must be one of: ${Object.keys(supplementService.types).join(', ')}` });
+      }
+      const fileError = supplementService.fileError(supplementType, fileName, length);
+      if (fileError) {
+        return res.status(400).json({ error: fileError });
+      }
+    } else {
+      // Validate file type (PDF only)
+      if (mimeType !== 'application/pdf') {
+        return res.status(400).json({ error: 'Only PDF files are allowed' });
+      }
+
+      // Validate file size (max 50MB)
+      if (length > uploadService.maxFileSize) {
+        return res.status(400).json({ error: 'File size must not exceed 50MB' });
+      }
+    }
+
+    const upload = await uploadService.create(userId, { fileName: fileName, mimeType: mimeType, length: length });
+
+    setUploadHeaders(res, upload);
+    res.set('Location', `${req.baseUrl}/uploads/${upload._id}`);
+    res.status(201).json({
+      message: 'Upload created',
+      upload: formatUpload(upload),
+    });
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Create upload error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+};
+
+/**
+ * Upload status (also answers HEAD: headers only)
+ */
+exports.getUpload = async (req, res) => {
+  try {
+    const upload = await uploadService.findForUser(req.params.uploadId, req.session.userId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    setUploadHeaders(res, upload);
+    res.status(200).json({ upload: formatUpload(upload) });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ error: 'Failed to get upload' });
+  }
+};
+
+/**
+ * Append a chunk
+ * Headers: Upload-Offset (must equal the bytes received so far),
+ *          Content-Type: application/offset+octet-stream
+ * A chunk interrupted mid-way is dropped whole; resume from the Upload-Offset reported by HEAD.
+ */
+exports.appendChunk = async (req, res) => {
+  try {
+    const upload = await uploadService.findForUser(req.params.uploadId, req.session.userId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    if (upload.status !== 'UPLOADING') {
+      setUploadHeaders(res, upload);
+      return res.status(409).json({ error: 'Upload is already complete' });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset !== upload.offset) {
+      setUploadHeaders(res, upload);
+      return res.status(409).json({ error: `Upload-Offset must be ${upload.offset}`, offset: upload.offset });
+    }
+
+    const declared = req.get('Content-Length');
+    if (declared !== undefined && Number(declared) > upload.length - upload.offset) {
+      res.set('Connection', 'close');
+      return res.status(413).json({ error: `Chunk exceeds the declared upload length (${upload.length - upload.offset} bytes remaining)` });
+    }
+
+    const updated = await uploadService.appendChunk(upload, req);
+
+    setUploadHeaders(res, updated);
+    res.status(204).end();
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    if (req.destroyed) {
+      // Connection dropped mid-chunk; the chunk was discarded
+      return;
+    }
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+};
+
+/**
+ * Cancel an upload (deletes the chunks received so far)
+ */
+exports.cancelUpload = async (req, res) => {
+  try {
+    const upload = await uploadService.findForUser(req.params.uploadId, req.session.userId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (upload.status === 'FINALIZING') {
+      return res.status(409).json({ error: 'Upload is being submitted' });
+    }
+
+    await uploadService.remove(upload);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+};
+
+/**
+ * Middleware: use a complete resumable upload as the request's file
+ * For submissions sent with { uploadId } instead of a multipart file (after upload.single, so
+ * req.body is parsed either way). The chunks are reassembled into req.file exactly as the
+ * upload storage engine would have produced it, so the submission handler validates and
+ * stores it like any other upload. A successful submission uses the upload up; a rejected or
+ * interrupted one leaves it in place to be submitted again (e.g. after fixing the title).
+ */
+exports.attachUpload = async (req, res, next) => {
+  if (req.file || !req.body || !req.body.uploadId) {
+    return next();
+  }
+
+  try {
+    const userId = req.session.userId;
+    const upload = await uploadService.findForUser(req.body.uploadId.toString(), userId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (upload.status === 'UPLOADING') {
+      return res.status(409).json({ error: `Upload incomplete: ${upload.offset} of ${upload.length} bytes received` });
+    }
+
+    const claimed = await uploadService.claim(upload);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Upload is already being submitted' });
+    }
+
+    let encrypted;
+    try {
+      encrypted = await uploadService.assemble(claimed, { paperId: req.params.paperId || null });
+    } catch (assembleError) {
+      await uploadService.release(claimed);
+      const clientIP = authMiddleware.getClientIP(req);
+      await auditService.logAccessDenied(userId, 'FILE_UPLOAD', claimed._id.toString(), clientIP, 'Resumable upload failed verification');
+      throw assembleError;
+    }
+
+    req.file = {
+      fieldname: 'paper',
+      originalname: claimed.fileName,
+      mimetype: claimed.mimeType,
+      size: encrypted.fileSize,
+      encrypted: encrypted,
+    };
+
+    // 'finish' only fires once the response was sent; 'close' also covers a client that went
+    // away first, so the claim is never left to the expiry sweep
+    let settled = false;
+    const settle = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      const done = res.writableFinished && res.statusCode < 300 ? uploadService.remove(claimed) : uploadService.release(claimed);
+      done.catch((error) => console.error('Upload cleanup error:', error));
+    };
+    res.on('finish', settle);
+    res.on('close', settle);
+    next();
+  } catch (error) {
+    console.error('Finalize upload error:', error);
+    res.status(500).json({ error: 'Failed to finalize upload' });
+  }
+};
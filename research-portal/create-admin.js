@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const auditService = require('./services/auditService');
+require('dotenv').config();
+
+/**
+ * Bootstrap the first administrator
+ * Promotes an existing (registered and verified) account to the Admin role.
+ * Further administrators can then be appointed from the user management console.
+ *
+ * Usage: npm run create-admin -- <email>
+ */
+async function createAdmin(email) {
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/research-portal');
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      console.error(`✗ No user registered with ${email}. Register the account first.`);
+      process.exit(1);
+    }
+
+    if (user.hasGlobalRole('Admin')) {
+      console.log(`✓ ${user.email} is already an Admin`);
+      return;
+    }
+
+    user.roles.push({ role: 'Admin' });
+    user.requestedRole = null;
+    user.roleRequestedAt = null;
+    user.isActive = true;
+    await user.save();
+
+    await auditService.logAdminAction(user._id, 'ROLE_GRANTED', user.email, 'Granted Admin (create-admin script)', 'localhost');
+
+    console.log(`✓ ${user.email} is now an Admin`);
+  } catch (error) {
+    console.error('✗ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+createAdmin(process.argv[2]);
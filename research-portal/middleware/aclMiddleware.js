@@ -18,11 +18,46 @@ const { getClientIP } = require('./authMiddleware');
  * │ Author  │ R/W own only │ Read only    │ Read only      │
  * │ Reviewer│ R assigned   │ W own only   │ None           │
  * │ Editor  │ R/W all      │ R all        │ R/W + Sign     │
+ * │ Admin   │ None         │ None         │ None           │
  * └─────────┴──────────────┴──────────────┴────────────────┘
  *
+ * Admin manages users and security settings only (separation of duties).
+ *
+ * A user may hold several role grants (User.roles); each grant is unscoped or limited to a
+ * venue or a single paper. A check passes if ANY active grant covering the paper allows it,
+ * and the strongest resulting access level wins. Venue/paper-scoped Editor and Reviewer grants
+ * are themselves the assignment; unscoped Editors still need the author's PaperAccess grant.
+ *
  * This is enforced at EVERY route using these middleware functions.
+ * Personal API tokens are additionally limited to their scopes (requireScope);
+ * the matrix above still applies, so a token never exceeds its owner's rights.
  */
 
+// Access levels on a paper, weakest first
+const ACCESS_RANK = { read: 1, editor: 2, owner: 3 };
+
+// Scope a paper presents to role grants
+const paperScope = (paper) => ({ venue: paper.venue, paperId: paper._id });
+
+// Role names for audit messages
+const describeRoles = (user) => user.roleNames().join(', ') || 'none';
+
+/**
+ * Resolve the scope of the current request for role checks
+ * Uses the paper loaded by canAccessPaper, otherwise the :paperId route parameter
+ * @returns {Promise<Object|undefined>} { venue, paperId }, or undefined (any grant of the role counts)
+ */
+const requestScope = async (req) => {
+  if (req.paper) {
+    return paperScope(req.paper);
+  }
+  if (req.params.paperId) {
+    const paper = await Paper.findById(req.params.paperId).select('venue');
+    return paper ? paperScope(paper) : undefined;
+  }
+  return undefined;
+};
+
 /**
  * Middleware: Check authorization for Paper access
  * Enforces role-based access to papers
@@ -44,58 +79,58 @@ exports.canAccessPaper = async (req, res, next) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    // Access Control Matrix for Papers
-    let hasAccess = false;
+    // Access Control Matrix for Papers, evaluated over every active role grant
+    const scope = paperScope(paper);
+    let accessLevel = null;
+    const allow = (level) => {
+      if (!accessLevel || ACCESS_RANK[level] > ACCESS_RANK[accessLevel]) {
+        accessLevel = level;
+      }
+    };
+
+    // Authors can read/write their own papers
+    if (user.hasRole('Author') && paper.authorId.toString() === userId.toString()) {
+      allow('owner');
+    }
 
-    if (user.role === 'Editor') {
-      // Editors do NOT automatically have access to all papers.
-      // They can access papers where they were granted editor access (PaperAccess)
+    // Editors (and collaborating authors) granted editor access via PaperAccess
+    if (user.hasRole('Author') || user.hasRole('Editor')) {
       const editorAccess = await PaperAccess.findOne({
         paperId: paperId,
         userId: userId,
         accessLevel: 'editor',
         status: 'ACTIVE',
       });
-
       if (editorAccess) {
-        hasAccess = true;
-        req.accessLevel = 'editor'; // Granted editor access
-      } else if (paper.assignedReviewers && paper.assignedReviewers.includes(userId)) {
-        // If editor is also an assigned reviewer, allow read access
-        hasAccess = true;
-        req.accessLevel = 'read';
-      }
-    } else if (user.role === 'Author') {
-      // Authors can only read/write their own papers
-      if (paper.authorId.toString() === userId.toString()) {
-        hasAccess = true;
-        req.accessLevel = 'owner'; // Can read, write own
-      } else {
-        // Check if author has been granted editor access via PaperAccess
-        const access = await PaperAccess.findOne({
-          paperId: paperId,
-          userId: userId,
-          accessLevel: 'editor',
-          status: 'ACTIVE',
-        });
-        if (access) {
-          hasAccess = true;
-          req.accessLevel = 'editor'; // Granted editor access
-        }
+        allow('editor');
       }
-    } else if (user.role === 'Reviewer') {
-      // Reviewers can see all papers per updated requirement
-      hasAccess = true;
-      req.accessLevel = 'read'; // Can read all
     }
 
+    // Editors of the paper's venue, or of this paper
+    if (user.hasScopedRole('Editor', scope)) {
+      allow('editor');
+    }
+
+    // Reviewers can read papers within their grant (unscoped Reviewers read all per updated requirement)
+    if (user.hasRole('Reviewer', scope)) {
+      allow('read');
+    }
+
+    // Editor who is also an assigned reviewer gets read access
+    if (user.hasRole('Editor') && paper.assignedReviewers && paper.assignedReviewers.includes(userId)) {
+      allow('read');
+    }
+
+    const hasAccess = !!accessLevel;
+    req.accessLevel = accessLevel;
+
     if (!hasAccess) {
       await auditService.logAccessDenied(
         userId,
         'PAPER_ACCESS',
         paperId,
         getClientIP(req),
-        `User role (${user.role}) not authorized for this paper`
+        `User roles (${describeRoles(user)}) not authorized for this paper`
       );
       return res.status(403).json({ error: 'Access denied to this paper' });
     }
@@ -128,22 +163,19 @@ exports.canAccessReview = async (req, res, next) => {
     }
 
     // Access Control Matrix for Reviews
+    const paper = await Paper.findById(review.paperId).select('venue');
     let hasAccess = false;
 
-    if (user.role === 'Editor') {
-      // Editors can read all reviews
+    if (paper && user.hasRole('Editor', paperScope(paper))) {
+      // Editors can read all reviews of papers within their grant
       hasAccess = true;
-      req.accessLevel = 'read'; // Can read all
-    } else if (user.role === 'Reviewer') {
+      req.accessLevel = 'read';
+    } else if (user.hasRole('Reviewer') && review.reviewerId.toString() === userId.toString()) {
       // Reviewers can write their own reviews, cannot read others
-      if (review.reviewerId.toString() === userId.toString()) {
-        hasAccess = true;
-        req.accessLevel = 'owner'; // Can read/write own
-      }
-    } else if (user.role === 'Author') {
-      // Authors cannot access reviews (they're only visible through decisions)
-      hasAccess = false;
+      hasAccess = true;
+      req.accessLevel = 'owner'; // Can read/write own
     }
+    // Authors cannot access reviews (they're only visible through decisions)
 
     if (!hasAccess) {
       await auditService.logAccessDenied(
@@ -151,7 +183,7 @@ exports.canAccessReview = async (req, res, next) => {
         'REVIEW_ACCESS',
         reviewId,
         getClientIP(req),
-        `User role (${user.role}) not authorized for this review`
+        `User roles (${describeRoles(user)}) not authorized for this review`
       );
       return res.status(403).json({ error: 'Access denied to this review' });
     }
@@ -178,7 +210,8 @@ exports.canAccessDecision = async (req, res, next) => {
     if (decisionId) {
       decision = await Decision.findById(decisionId);
     } else if (paperId) {
-      decision = await Decision.findOne({ paperId: paperId });
+      // Latest version's decision
+      decision = await Decision.findOne({ paperId: paperId }).sort({ version: -1 });
     }
 
     if (!decision) {
@@ -186,23 +219,19 @@ exports.canAccessDecision = async (req, res, next) => {
     }
 
     // Access Control Matrix for Decisions
+    const paper = await Paper.findById(decision.paperId);
     let hasAccess = false;
 
-    if (user.role === 'Editor') {
-      // Editors can read/write and sign all decisions
+    if (paper && user.hasRole('Editor', paperScope(paper))) {
+      // Editors can read/write and sign decisions within their grant
       hasAccess = true;
       req.accessLevel = 'full'; // Can read, write, sign
-    } else if (user.role === 'Author') {
+    } else if (paper && user.hasRole('Author') && paper.authorId.toString() === userId.toString()) {
       // Authors can only read decisions on their own papers
-      const paper = await Paper.findById(decision.paperId);
-      if (paper && paper.authorId.toString() === userId.toString()) {
-        hasAccess = true;
-        req.accessLevel = 'read'; // Can only read own decision
-      }
-    } else if (user.role === 'Reviewer') {
-      // Reviewers cannot access decisions
-      hasAccess = false;
+      hasAccess = true;
+      req.accessLevel = 'read'; // Can only read own decision
     }
+    // Reviewers cannot access decisions
 
     if (!hasAccess) {
       await auditService.logAccessDenied(
@@ -210,7 +239,7 @@ exports.canAccessDecision = async (req, res, next) => {
         'DECISION_ACCESS',
         decision._id,
         getClientIP(req),
-        `User role (${user.role}) not authorized for this decision`
+        `User roles (${describeRoles(user)}) not authorized for this decision`
       );
       return res.status(403).json({ error: 'Access denied to this decision' });
     }
@@ -231,11 +260,11 @@ exports.canModifyPaper = (req, res, next) => {
   const user = req.user;
   const paper = req.paper;
 
-  if (user.role === 'Editor') {
-    return next(); // Editors can always modify
+  if (user.hasRole('Editor', paperScope(paper))) {
+    return next(); // Editors can modify papers within their grant
   }
 
-  if (user.role === 'Author' && paper.authorId.toString() === user._id.toString()) {
+  if (user.hasRole('Author') && paper.authorId.toString() === user._id.toString()) {
     return next(); // Authors can modify their own
   }
 
@@ -251,59 +280,86 @@ exports.canModifyPaper = (req, res, next) => {
 };
 
 /**
- * Middleware: Check if user is an Editor
- * Used for operations that ONLY editors can perform
+ * Middleware: Check the scope of a personal API token (e.g. 'papers:read')
+ * Session (browser) requests are unaffected
  */
-exports.requireEditor = (req, res, next) => {
-  if (req.user && req.user.role === 'Editor') {
+exports.requireScope = (scope) => (req, res, next) => {
+  if (!req.apiToken || req.apiToken.scopes.includes(scope)) {
     return next();
   }
 
   auditService.logAccessDenied(
     req.session.userId,
-    'EDITOR_OPERATION',
-    '',
+    'API_TOKEN_SCOPE',
+    req.originalUrl,
     getClientIP(req),
-    'This operation requires Editor role'
+    `API token "${req.apiToken.name}" lacks scope ${scope}`
   );
 
-  res.status(403).json({ error: 'Editor role required' });
+  res.status(403).json({ error: `API token lacks required scope: ${scope}` });
 };
 
 /**
- * Middleware: Check if user is a Reviewer
+ * Build a role check middleware
+ * On paper routes only grants covering the paper (unscoped, its venue, or the paper itself) count
+ * @param {string} role - Required role
+ * @param {string} action - Audit action for denials
  */
-exports.requireReviewer = (req, res, next) => {
-  if (req.user && req.user.role === 'Reviewer') {
-    return next();
-  }
+const requireRole = (role, action) => async (req, res, next) => {
+  try {
+    if (req.user && req.user.hasRole(role, await requestScope(req))) {
+      return next();
+    }
 
-  auditService.logAccessDenied(
-    req.session.userId,
-    'REVIEWER_OPERATION',
-    '',
-    getClientIP(req),
-    'This operation requires Reviewer role'
-  );
+    await auditService.logAccessDenied(
+      req.session.userId,
+      action,
+      req.params.paperId || '',
+      getClientIP(req),
+      `This operation requires ${role} role`
+    );
 
-  res.status(403).json({ error: 'Reviewer role required' });
+    res.status(403).json({ error: `${role} role required` });
+  } catch (error) {
+    console.error('ACL check error:', error);
+    res.status(500).json({ error: 'Authorization check failed' });
+  }
 };
 
 /**
- * Middleware: Check if user is an Author
+ * Middleware: Check if user is an Editor
+ * Used for operations that ONLY editors can perform
  */
-exports.requireAuthor = (req, res, next) => {
-  if (req.user && req.user.role === 'Author') {
+exports.requireEditor = requireRole('Editor', 'EDITOR_OPERATION');
+
+/**
+ * Middleware: Check if user is an Admin
+ * Used for user management and security administration
+ * Admin grants are never scoped
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (req.user && req.user.hasGlobalRole('Admin')) {
     return next();
   }
 
   auditService.logAccessDenied(
     req.session.userId,
-    'AUTHOR_OPERATION',
+    'ADMIN_OPERATION',
     '',
     getClientIP(req),
-    'This operation requires Author role'
+    'This operation requires Admin role'
   );
 
-  res.status(403).json({ error: 'Author role required' });
+  res.status(403).json({ error: 'Admin role required' });
 };
+
+/**
+ * Middleware: Check if user is a Reviewer
+ */
+exports.requireReviewer = requireRole('Reviewer', 'REVIEWER_OPERATION');
+
+/**
+ * Middleware: Check if user is an Author
+ * Submissions: the venue is only known once the upload is parsed; submitPaper checks it
+ */
+exports.requireAuthor = requireRole('Author', 'AUTHOR_OPERATION');
@@ -1,5 +1,9 @@
 const User = require('../models/User');
 const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const clientAddressService = require('../services/clientAddressService');
+const impersonationService = require('../services/impersonationService');
 
 /**
  * Authentication Middleware
@@ -7,13 +11,83 @@ const auditService = require('../services/auditService');
  */
 
 // Middleware: Check if user is authenticated (session valid)
-exports.isAuthenticated = (req, res, next) => {
+// Alternatively accepts a personal API token: Authorization: Bearer <token>
+exports.isAuthenticated = async (req, res, next) => {
   if (req.session && req.session.userId && req.session.mfaVerified) {
     return next();
   }
+
+  const bearer = exports.getBearerToken(req);
+  if (bearer) {
+    try {
+      const token = await apiTokenService.verify(bearer, exports.getClientIP(req));
+      if (token) {
+        // Stateless request context (no session is created for token requests)
+        // createdAt lets a session revocation (password reset, force-logout) also void the token
+        req.apiToken = token;
+        req.session = {
+          userId: token.userId.toString(),
+          mfaVerified: true,
+          createdAt: token.createdAt.getTime(),
+          lastActivity: Date.now(),
+        };
+        return next();
+      }
+    } catch (error) {
+      console.error('API token verification error:', error);
+    }
+    return res.status(401).json({ error: 'Invalid or expired API token' });
+  }
+
   res.status(401).json({ error: 'Authentication required' });
 };
 
+// Extract a bearer token from the Authorization header
+exports.getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Middleware: API tokens only grant access to the papers API, never account management
+exports.rejectApiTokens = (req, res, next) => {
+  if (exports.getBearerToken(req)) {
+    return res.status(403).json({ error: 'API tokens cannot be used for account management' });
+  }
+  next();
+};
+
+// Sensitive actions accept an authentication no older than this
+const STEP_UP_WINDOW = parseInt(process.env.STEP_UP_WINDOW || 300000); // 5 minutes
+
+// Middleware: Require a recent authentication (login MFA or step-up code) for sensitive actions
+// Decisions, access grants, key operations and account changes; API tokens cannot step up
+exports.requireRecentAuth = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This action requires an interactive session with recent authentication' });
+  }
+  // The Admin's own authentication must not sign decisions or change credentials as the user
+  if (req.session.impersonation) {
+    return res.status(403).json({ error: 'Not available while viewing as another user' });
+  }
+
+  const authenticatedAt = req.session.authenticatedAt || 0;
+  if (Date.now() - authenticatedAt <= STEP_UP_WINDOW) {
+    return next();
+  }
+
+  const usesTOTP = req.user && req.user.mfaMethod === 'totp' && req.user.mfaSecret;
+  res.status(403).json({
+    error: 'Please confirm your identity to continue',
+    stepUpRequired: true,
+    method: usesTOTP ? 'totp' : 'email',
+  });
+};
+
+// Record a fresh authentication on the session (starts the step-up window)
+exports.markAuthenticated = (req) => {
+  req.session.authenticatedAt = Date.now();
+};
+
 // Middleware: Check if user has completed MFA
 exports.requireMFA = (req, res, next) => {
   if (req.session && req.session.mfaVerified) {
@@ -45,28 +119,51 @@ exports.checkSessionTimeout = (req, res, next) => {
   next();
 };
 
-// Middleware: Get client IP address
-// Handles proxies and multiple IP formats
+// Middleware: Resolve the client address once per request (forwarding headers only
+// from TRUSTED_PROXIES) and keep it, with the forwarding chain, for audit entries
+exports.resolveClientAddress = (req, res, next) => {
+  req.clientAddress = clientAddressService.resolve(req);
+  auditService.requestContext.run({ clientAddress: req.clientAddress, impersonatorId: null }, next);
+};
+
+// Get client IP address
+// Forwarding headers are honored only when set by a trusted proxy
 exports.getClientIP = (req) => {
-  return (
-    req.headers['x-forwarded-for']?.split(',')[0].trim() ||
-    req.socket.remoteAddress ||
-    'unknown'
-  );
+  return (req.clientAddress || clientAddressService.resolve(req)).address;
 };
 
 // Middleware: Refresh user session data
 exports.refreshUserSession = async (req, res, next) => {
   try {
+    if (req.session && req.session.impersonation) {
+      return await refreshImpersonatedSession(req, res, next);
+    }
+
     if (req.session && req.session.userId) {
       const user = await User.findById(req.session.userId);
+
+      // API token requests have no stored session to destroy
+      const reject = (message) => {
+        if (!req.apiToken) req.session.destroy();
+        return res.status(401).json({ error: message });
+      };
+
+      // Sessions established before a password change/reset are no longer valid
+      if (user && user.sessionsValidAfter && (req.session.createdAt || 0) < user.sessionsValidAfter.getTime()) {
+        return reject('Session revoked. Please login again.');
+      }
+
       if (user && user.isActive) {
+        // Sessions revoked from another device no longer have a tracking record
+        if (req.session.mfaVerified && !req.apiToken && !(await sessionService.touch(req.sessionID, exports.getClientIP(req)))) {
+          return reject('Session revoked. Please login again.');
+        }
+
         req.user = user;
         return next();
       } else {
         // User deactivated or deleted
-        req.session.destroy();
-        return res.status(401).json({ error: 'User account no longer active' });
+        return reject('User account no longer active');
       }
     }
     next();
@@ -76,12 +173,142 @@ exports.refreshUserSession = async (req, res, next) => {
   }
 };
 
+// Impersonation ("view as user"): the session acts as session.userId, while its owner's
+// (the Admin's) revocations, status and role still decide whether it may continue
+const refreshImpersonatedSession = async (req, res, next) => {
+  const impersonation = req.session.impersonation;
+  const [admin, user] = await Promise.all([User.findById(impersonation.adminId), User.findById(req.session.userId)]);
+
+  const adminSessionValid =
+    admin &&
+    admin.isActive &&
+    !(admin.sessionsValidAfter && (req.session.createdAt || 0) < admin.sessionsValidAfter.getTime()) &&
+    (await sessionService.touch(req.sessionID, exports.getClientIP(req)));
+  if (!adminSessionValid) {
+    await impersonationService.end(impersonation.id, 'ACCESS_LOST');
+    req.session.destroy();
+    return res.status(401).json({ error: 'Session revoked. Please login again.' });
+  }
+
+  const expired = Date.now() > impersonation.expiresAt;
+  if (expired || !admin.hasGlobalRole('Admin') || !user || !user.isActive) {
+    await exports.endImpersonation(req, expired ? 'EXPIRED' : 'ACCESS_LOST');
+    return res.status(403).json({
+      error: expired ? 'Viewing as this user has ended (time limit reached)' : 'Viewing as this user has ended',
+      impersonationEnded: true,
+    });
+  }
+
+  req.user = user;
+  req.impersonator = admin;
+  next();
+};
+
+// Switch an impersonating session back to the Admin and close the record (user is notified)
+exports.endImpersonation = async (req, endReason) => {
+  const impersonation = req.session.impersonation;
+  await impersonationService.end(impersonation.id, endReason);
+
+  req.session.userId = impersonation.adminId;
+  delete req.session.impersonation;
+  const context = auditService.requestContext.getStore();
+  if (context) {
+    context.impersonatorId = null;
+  }
+
+  await auditService.log(
+    impersonation.adminId,
+    'IMPERSONATION_ENDED',
+    impersonation.userEmail,
+    'SUCCESS',
+    `Stopped viewing as ${impersonation.userName} (${endReason.toLowerCase()})`,
+    exports.getClientIP(req)
+  );
+};
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Requests allowed to change state while impersonating (leaving the impersonation)
+const IMPERSONATION_EXIT_PATHS = ['/auth/impersonation/stop', '/auth/logout'];
+
+// Middleware (mounted on /api): attribute audit entries to the impersonating Admin and
+// reject state changes in read-only sessions; account and admin changes are never allowed
+exports.restrictImpersonation = async (req, res, next) => {
+  const impersonation = req.session && req.session.impersonation;
+  if (!impersonation) {
+    return next();
+  }
+
+  const context = auditService.requestContext.getStore();
+  if (context) {
+    context.impersonatorId = impersonation.adminId;
+  }
+
+  if (SAFE_METHODS.includes(req.method) || IMPERSONATION_EXIT_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const accountChange = req.path.startsWith('/auth/') || req.path.startsWith('/admin/');
+  if (impersonation.readOnly || accountChange) {
+    const reason = impersonation.readOnly ? 'read-only session' : 'account changes are not allowed';
+    await auditService.log(
+      req.session.userId,
+      'IMPERSONATION_BLOCKED',
+      `${req.method} ${req.originalUrl.split('?')[0]}`,
+      'FAILURE',
+      `Blocked while viewing as user: ${reason}`,
+      exports.getClientIP(req)
+    );
+    return res.status(403).json({
+      error: impersonation.readOnly
+        ? 'You are viewing as this user in read-only mode'
+        : 'Account settings cannot be changed while viewing as another user',
+      impersonationRestricted: true,
+    });
+  }
+  next();
+};
+
+// Middleware: Impersonation details for the page banner (views/includes/impersonation-banner.pug)
+exports.provideImpersonation = async (req, res, next) => {
+  const impersonation = req.session && req.session.impersonation;
+  try {
+    if (impersonation && !req.path.startsWith('/api/')) {
+      if (Date.now() > impersonation.expiresAt) {
+        await exports.endImpersonation(req, 'EXPIRED');
+      } else {
+        res.locals.impersonation = impersonation;
+      }
+    }
+  } catch (error) {
+    console.error('Impersonation banner error:', error);
+  }
+  next();
+};
+
 // Create a session for authenticated user
 exports.createSession = (req, userId, mfaVerified = false) => {
   req.session.userId = userId;
   req.session.mfaVerified = mfaVerified;
   req.session.lastActivity = Date.now();
   req.session.createdAt = Date.now();
+  if (mfaVerified) {
+    exports.markAuthenticated(req);
+  }
+};
+
+// Record an authenticated (MFA verified) session so the user can list/revoke it
+exports.trackSession = (req, userId) => {
+  return sessionService.track(req.sessionID, userId, req.headers['user-agent'], exports.getClientIP(req));
+};
+
+// Invalidate every session of a user established before now
+// With keepCurrent, the caller's session is re-stamped so it stays valid
+exports.revokeUserSessions = async (user, req, keepCurrent = false) => {
+  user.sessionsValidAfter = new Date();
+  if (keepCurrent && req.session) {
+    req.session.createdAt = Date.now();
+  }
+  return await sessionService.revokeAllForUser(req.sessionStore, user._id, keepCurrent ? req.sessionID : null);
 };
 
 // Logout: Destroy session
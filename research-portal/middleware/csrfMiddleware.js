@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const cryptoService = require('../services/cryptoService');
+const auditService = require('../services/auditService');
+const { getBearerToken, getClientIP } = require('./authMiddleware');
+
+/**
+ * CSRF Protection Middleware
+ * Synchronizer token pattern: one random token per session, stored server-side
+ *
+ * - Pages receive the token as res.locals.csrfToken (rendered into <meta name="csrf-token">)
+ * - public/js/csrf.js sends it as the X-CSRF-Token header on every state-changing fetch
+ * - Every POST/PUT/PATCH/DELETE under /api must present it (header, or _csrf form field)
+ *
+ * Requests authenticated with a personal API token carry no cookies and have no
+ * session, so they cannot be forged cross-site and are not checked.
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_HEADER = 'x-csrf-token';
+
+// Return the session's token, creating it on first use
+exports.issueToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = cryptoService.generateNonce();
+  }
+  return req.session.csrfToken;
+};
+
+// Constant-time comparison of the presented and expected tokens
+const tokensMatch = (provided, expected) => {
+  if (typeof provided !== 'string' || !expected) {
+    return false;
+  }
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+// Middleware: Make the token available to views (page requests only; API calls read it via /api/auth/csrf-token)
+exports.provideToken = (req, res, next) => {
+  if (req.session && !req.path.startsWith('/api/')) {
+    res.locals.csrfToken = exports.issueToken(req);
+  }
+  next();
+};
+
+// Middleware: Reject state-changing requests without the session's token
+exports.verifyToken = async (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || (getBearerToken(req) && !req.session)) {
+    return next();
+  }
+
+  const provided = req.headers[CSRF_HEADER] || (req.body && req.body._csrf);
+  if (req.session && tokensMatch(provided, req.session.csrfToken)) {
+    return next();
+  }
+
+  const userId = req.session ? req.session.userId || null : null;
+  await auditService.logCSRFRejected(userId, req.method, req.originalUrl.split('?')[0], getClientIP(req), provided ? 'Invalid token' : 'Missing token');
+
+  res.status(403).json({ error: 'Invalid or missing CSRF token. Please reload the page and try again.', csrfRejected: true });
+};
@@ -0,0 +1,59 @@
+const rateLimitService = require('../services/rateLimitService');
+const auditService = require('../services/auditService');
+const { getClientIP } = require('./authMiddleware');
+
+/**
+ * Rate Limiting Middleware
+ * Separate budgets for credential endpoints, paper uploads, paper downloads and the
+ * rest of the API (see rateLimitService), counted per user and per client IP
+ *
+ * - Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ *   (IETF draft "RateLimit header fields for HTTP") for the most restrictive counter
+ * - Over the limit: 429 with Retry-After; the first rejection per window is audited
+ * - If the counter store is unavailable, requests are let through (fail open) so an
+ *   outage of the limiter does not take the portal down
+ */
+
+// Authenticated user, if known at this point (browser session or personal API token)
+const requestUserId = (req) => {
+  if (req.apiToken) {
+    return req.apiToken.userId.toString();
+  }
+  return req.session && req.session.userId && req.session.mfaVerified ? req.session.userId : null;
+};
+
+// Middleware factory: count the request against a bucket
+exports.limit = (bucket) => async (req, res, next) => {
+  if (!rateLimitService.enabled) {
+    return next();
+  }
+
+  const clientIP = getClientIP(req);
+  const userId = requestUserId(req);
+
+  let result;
+  try {
+    result = await rateLimitService.consume(bucket, { userId: userId, ipAddress: clientIP });
+  } catch (error) {
+    console.error('Rate limit error:', error);
+    return next();
+  }
+
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+
+  if (!result.exceeded) {
+    return next();
+  }
+
+  if (result.firstExceeded) {
+    await auditService.logRateLimited(userId, bucket, result.subject, `${req.method} ${req.originalUrl.split('?')[0]}`, clientIP);
+  }
+
+  res.set('Retry-After', String(result.resetSeconds));
+  res.status(429).json({
+    error: `Too many requests. Try again in ${result.resetSeconds} seconds.`,
+    retryAfter: result.resetSeconds,
+  });
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Decision = require('./models/Decision');
+const Paper = require('./models/Paper');
+
+/**
+ * One-off migration: one decision per paper -> one decision per paper version
+ * - Decisions stored without a version get the version they were made on: the paper's current
+ *   version if it is still decided, otherwise (resubmitted since) the one before
+ * - The unique index on paperId is replaced by the unique (paperId, version) index, so
+ *   deciding a resubmitted version no longer overwrites the previous signed decision
+ * Until this has run, deciding a revised paper fails with a duplicate key error. Safe to run more than once.
+ *
+ * Usage: npm run migrate-decisions
+ */
+async function migrateDecisions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/research-portal');
+
+    let migrated = 0;
+    const legacy = Decision.collection.find({ version: { $exists: false } });
+    for await (const raw of legacy) {
+      const paper = await Paper.findById(raw.paperId).select('status currentVersion');
+      const decided = paper && ['ACCEPTED', 'REJECTED', 'REVISION_REQUESTED'].includes(paper.status);
+      const version = paper ? Math.max(decided ? paper.currentVersion : paper.currentVersion - 1, 1) : 1;
+      await Decision.collection.updateOne({ _id: raw._id }, { $set: { version: version } });
+      migrated += 1;
+    }
+
+    // Drops the old unique paperId index and builds the (paperId, version) one
+    const dropped = await Decision.syncIndexes();
+
+    console.log(`✓ Migrated ${migrated} decision(s); dropped indexes: ${dropped.length > 0 ? dropped.join(', ') : 'none'}`);
+  } catch (error) {
+    console.error('✗ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateDecisions();
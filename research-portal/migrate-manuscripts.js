@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Paper = require('./models/Paper');
+const PaperRevision = require('./models/PaperRevision');
+const manuscriptService = require('./services/manuscriptService');
+
+/**
+ * One-off migration: encrypted manuscripts stored inside documents -> blob store
+ * - Papers submitted before versioning: the inline file becomes a version 1 PaperRevision
+ * - Revisions holding base64 ciphertext inline: the ciphertext moves to the blob store
+ * Ciphertext is copied as-is (no decryption, no private key needed). Records not yet migrated
+ * are still readable, so the portal can keep running meanwhile. Safe to run more than once.
+ *
+ * Usage: npm run migrate-manuscripts  (BLOB_STORE selects the target backend)
+ */
+async function migrateManuscripts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/research-portal');
+
+    let papers = 0;
+    let revisions = 0;
+    let failed = 0;
+
+    // One document at a time: each may hold up to ~16MB of base64
+    const legacyPapers = Paper.find({ encryptedData: { $exists: true } }).cursor();
+    for await (const paper of legacyPapers) {
+      try {
+        if (await manuscriptService.migrateLegacyPaper(paper)) {
+          papers += 1;
+        }
+      } catch (error) {
+        console.error(`✗ Paper ${paper._id}: ${error.message}`);
+        failed += 1;
+      }
+    }
+
+    const inlineRevisions = PaperRevision.find({ encryptedData: { $exists: true } }).cursor();
+    for await (const revision of inlineRevisions) {
+      try {
+        if (await manuscriptService.migrateRevision(revision)) {
+          revisions += 1;
+        }
+      } catch (error) {
+        console.error(`✗ Paper ${revision.paperId} version ${revision.version}: ${error.message}`);
+        failed += 1;
+      }
+    }
+
+    console.log(`✓ Moved ${papers} unversioned paper(s) and ${revisions} revision(s) to the blob store`);
+    if (failed > 0) {
+      console.error(`✗ ${failed} record(s) failed; run again to retry`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('✗ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateManuscripts();
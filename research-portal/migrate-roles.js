@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('dotenv').config();
+
+/**
+ * One-off migration: single `role` string -> `roles` grant list
+ * Accounts not yet migrated are converted in memory when loaded, but searches by role
+ * (admin console, reports) only see stored grants. Safe to run more than once.
+ *
+ * Usage: npm run migrate-roles
+ */
+async function migrateRoles() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/research-portal');
+
+    let migrated = 0;
+    const legacy = User.collection.find({ role: { $exists: true } });
+    for await (const raw of legacy) {
+      const roles =
+        raw.roles && raw.roles.length > 0
+          ? raw.roles
+          : [{ _id: new mongoose.Types.ObjectId(), role: raw.role, venue: null, paperId: null, grantedBy: null, grantedAt: raw.createdAt, expiresAt: null }];
+      await User.collection.updateOne({ _id: raw._id }, { $set: { roles: roles }, $unset: { role: '' } });
+      migrated += 1;
+    }
+
+    console.log(`✓ Migrated ${migrated} account(s)`);
+  } catch (error) {
+    console.error('✗ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateRoles();
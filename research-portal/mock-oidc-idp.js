@@ -0,0 +1,150 @@
+/**
+ * Local Mock OpenID Connect Identity Provider (development only)
+ * Run: node mock-oidc-idp.js   (or: npm run mock-idp)
+ *
+ * Register it as an identity provider with:
+ *   issuer: http://localhost:4000   clientId: research-portal   clientSecret: mock-secret
+ * The sign-in page lets you choose the email, name, institution and whether MFA was used.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT || 4000);
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'research-portal';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+// Fresh signing key on every start (the portal refetches JWKS for unknown key IDs)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // authorization code -> pending grant
+const accessTokens = new Map(); // access token -> claims
+
+const escapeHtml = (value) =>
+  String(value || '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const signJWT = (claims) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: kid })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form (stands in for the institution's login page)
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge_method } = req.query;
+  if (client_id !== CLIENT_ID || response_type !== 'code' || code_challenge_method !== 'S256' || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request (client_id, response_type=code, PKCE S256 required)');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html><title>Mock IdP</title>
+    <h2>Mock Identity Provider</h2>
+    <form method="post" action="/authorize">${hidden}
+      <p><label>Email <input name="email" value="${escapeHtml(req.query.login_hint || 'reviewer@example.edu')}"></label></p>
+      <p><label>Full name <input name="name" value="Alex Reviewer"></label></p>
+      <p><label>Institution <input name="organization" value="University of Example"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <p><label><input type="checkbox" name="mfa"> Signed in with MFA</label></p>
+      <button type="submit">Sign in</button>
+    </form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const code = crypto.randomBytes(16).toString('base64url');
+  const email = (req.body.email || '').toLowerCase();
+
+  codes.set(code, {
+    redirectUri: req.body.redirect_uri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + 60000,
+    claims: {
+      sub: crypto.createHash('sha256').update(email).digest('hex').substring(0, 24),
+      email: email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name,
+      preferred_username: email.split('@')[0],
+      organization: req.body.organization,
+      amr: req.body.mfa === 'on' ? ['pwd', 'mfa'] : ['pwd'],
+    },
+  });
+
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', req.body.state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const [basicId, basicSecret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+    .toString()
+    .split(':')
+    .map(decodeURIComponent);
+
+  if (basicId !== CLIENT_ID || basicSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code); // single use
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: 300,
+    id_token: signJWT({ ...grant.claims, iss: ISSUER, aud: CLIENT_ID, iat: now, exp: now + 300, nonce: grant.nonce }),
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`✓ Mock OIDC IdP running at ${ISSUER}`);
+  console.log(`  client_id: ${CLIENT_ID}  client_secret: ${CLIENT_SECRET}`);
+});
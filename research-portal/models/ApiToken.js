@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Token Model
+ * Personal access tokens for scripted access to the papers API
+ * Only a SHA-256 hash of the token is stored; the plaintext is shown once at creation
+ */
+
+// Scopes a token may carry (role/ownership ACL checks still apply on top)
+const API_TOKEN_SCOPES = [
+  'papers:read',
+  'papers:write',
+  'reviews:read',
+  'reviews:write',
+  'decisions:read',
+  'decisions:write',
+];
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    // Owner (token acts with this user's role and permissions)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // SHA-256 of the token; the first characters are kept to help users identify it
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      required: true,
+    },
+
+    // Lifetime
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Usage
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+ApiToken.SCOPES = API_TOKEN_SCOPES;
+
+module.exports = ApiToken;
@@ -15,6 +15,13 @@ const auditLogSchema = new mongoose.Schema(
       default: null, // May be null for pre-authentication events
     },
 
+    // Real actor when an Admin performed the action while viewing as userId (impersonation)
+    impersonatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
     // Action
     action: {
       type: String,
@@ -22,12 +29,59 @@ const auditLogSchema = new mongoose.Schema(
       enum: [
         'LOGIN_SUCCESS',
         'LOGIN_FAILURE',
+        'SUSPICIOUS_LOGIN',
+        'LOGIN_REPORTED',
         'USER_REGISTRATION',
         'MFA_VERIFIED',
         'MFA_FAILED',
+        'STEP_UP_VERIFIED',
+        'STEP_UP_FAILED',
+        'TOTP_ENROLLED',
+        'TOTP_DISABLED',
+        'WEBAUTHN_REGISTERED',
+        'WEBAUTHN_REMOVED',
+        'RECOVERY_CODES_GENERATED',
+        'RECOVERY_CODE_USED',
+        'PASSWORD_RESET_REQUESTED',
+        'PASSWORD_RESET',
+        'PASSWORD_CHANGED',
+        'EMAIL_CHANGE_REQUESTED',
+        'EMAIL_CHANGED',
+        'ACCOUNT_LOCKED',
+        'ACCOUNT_UNLOCKED',
+        'SESSION_REVOKED',
+        'FORCE_LOGOUT',
+        'API_TOKEN_CREATED',
+        'API_TOKEN_REVOKED',
+        'SSO_ACCOUNT_LINKED',
+        'SSO_ACCOUNT_PROVISIONED',
+        'SSO_PROVIDER_UPDATED',
+        'ROLE_REQUESTED',
+        'ROLE_REQUEST_APPROVED',
+        'ROLE_REQUEST_REJECTED',
+        'ROLE_CHANGED',
+        'ROLE_GRANTED',
+        'ROLE_REVOKED',
+        'ACCOUNT_DEACTIVATED',
+        'ACCOUNT_ACTIVATED',
+        'MFA_RESET',
+        'DATA_EXPORTED',
+        'ACCOUNT_ERASED',
+        'INVITATION_SENT',
+        'INVITATION_ACCEPTED',
+        'INVITATION_DECLINED',
+        'INVITATION_REVOKED',
         'FILE_UPLOAD',
         'FILE_DOWNLOAD',
+        'REVISION_SUBMITTED',
+        'SUPPLEMENT_ADDED',
+        'SUPPLEMENT_REMOVED',
         'ACCESS_DENIED',
+        'CSRF_REJECTED',
+        'RATE_LIMITED',
+        'IMPERSONATION_STARTED',
+        'IMPERSONATION_ENDED',
+        'IMPERSONATION_BLOCKED',
         'REVIEW_SUBMITTED',
         'DECISION_MADE',
         'PAPER_SUBMITTED',
@@ -55,9 +109,16 @@ const auditLogSchema = new mongoose.Schema(
       default: '',
     },
     ipAddress: {
+      // Resolved client address (forwarding headers honored only from trusted proxies)
       type: String,
       required: true,
     },
+    forwardedChain: {
+      // Hops as received (Forwarded / X-Forwarded-For values, then the connecting peer);
+      // empty for events not tied to a request
+      type: [String],
+      default: [],
+    },
 
     // Timestamp
     timestamp: {
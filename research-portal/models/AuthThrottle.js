@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Throttle Model
+ * Failure counters and lockouts for brute-force protection
+ * Keyed per account ("account:<id>"), per IP ("ip:<address>") or per action ("otp-send:<id>")
+ * Stored in MongoDB so limits survive restarts and are shared between instances
+ */
+
+const authThrottleSchema = new mongoose.Schema(
+  {
+    // Counter key
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Failures (or sends) within the current window
+    count: {
+      type: Number,
+      default: 0,
+    },
+    windowStart: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Progressive delay: no further attempts accepted before this time
+    nextAllowedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Temporary lockout
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockReason: {
+      type: String,
+      default: '',
+    },
+    // Last IP address / identifier seen (for administrator review)
+    lastIpAddress: {
+      type: String,
+      default: '',
+    },
+    identifier: {
+      type: String,
+      default: '',
+    },
+
+    // Record removed automatically once no longer relevant
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB deletes stale counters
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authThrottleSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -2,8 +2,10 @@ const mongoose = require('mongoose');
 
 /**
  * Decision Model
- * Represents the final editorial decision on a paper
+ * Represents the editorial decision on one version of a paper
  * Signed by Editor using RSA-PSS digital signature
+ * One decision per version: a REVISION_REQUESTED decision stays on record after the
+ * resubmitted version is decided (the paper's finalDecision points to the latest)
  */
 
 const decisionSchema = new mongoose.Schema(
@@ -13,7 +15,12 @@ const decisionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Paper',
       required: true,
-      unique: true,
+    },
+    // Paper version decided on (see PaperRevision)
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
     },
 
     // Decision Details
@@ -73,7 +80,7 @@ const decisionSchema = new mongoose.Schema(
 );
 
 // Index for faster queries
-decisionSchema.index({ paperId: 1 });
+decisionSchema.index({ paperId: 1, version: 1 }, { unique: true });
 decisionSchema.index({ editorId: 1 });
 
 module.exports = mongoose.model('Decision', decisionSchema);
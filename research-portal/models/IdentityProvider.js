@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Identity Provider Model
+ * Institutional OpenID Connect providers used for single sign-on
+ * Client secrets are RSA-encrypted at rest (like TOTP secrets)
+ */
+
+const identityProviderSchema = new mongoose.Schema(
+  {
+    // URL-safe identifier used in login/callback URLs (e.g. "uni-example")
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]{2,40}$/, 'Key can only contain lowercase letters, numbers and hyphens'],
+    },
+    // Label shown on the login page (e.g. "University of Example")
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // OIDC client registration
+    issuer: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    clientSecret: {
+      // RSA-encrypted (Base64); empty for public clients (PKCE only)
+      type: String,
+      default: '',
+    },
+    scopes: {
+      type: String,
+      default: 'openid email profile',
+    },
+
+    // Email domains belonging to this institution (e.g. "example.edu")
+    emailDomains: {
+      type: [String],
+      default: [],
+    },
+    // Users with these email domains must sign in via this provider (no password login)
+    requireSSO: {
+      type: Boolean,
+      default: false,
+    },
+    // Create a User on first SSO login when none is linked
+    autoProvision: {
+      type: Boolean,
+      default: true,
+    },
+    // ID token / userinfo claim holding the user's institution (falls back to provider name)
+    institutionClaim: {
+      type: String,
+      default: 'organization',
+    },
+    // Accept the IdP's authentication as MFA; otherwise the portal's second factor still applies
+    // (an "amr" claim reporting MFA is always accepted)
+    trustIdpMfa: {
+      type: Boolean,
+      default: false,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+identityProviderSchema.index({ emailDomains: 1 });
+
+module.exports = mongoose.model('IdentityProvider', identityProviderSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Impersonation Model
+ * An Admin viewing the portal as another user ("view as user") to reproduce a support report
+ * The browser session switches to the user for a limited time; this record is the trail of
+ * who, why, for how long and whether changes were allowed, and drives the notice to the user
+ */
+
+const impersonationSchema = new mongoose.Schema(
+  {
+    // Administrator (real actor) and the user being viewed as
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Support ticket / explanation given by the Admin (included in the notice to the user)
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    // Read-only sessions reject every state-changing request
+    readOnly: {
+      type: Boolean,
+      default: true,
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    endReason: {
+      type: String,
+      enum: ['STOPPED', 'EXPIRED', 'LOGOUT', 'ACCESS_LOST', null],
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+
+    // Set once the user has been told about the session
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+impersonationSchema.index({ notifiedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
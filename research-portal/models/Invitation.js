@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Model
+ * Email invitation to join the portal as Reviewer or Editor of a specific paper
+ * The emailed link carries a signed token; only the SHA-256 of its nonce is stored
+ */
+
+const invitationSchema = new mongoose.Schema(
+  {
+    // Invitee
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Role granted on acceptance, scoped to the paper
+    role: {
+      type: String,
+      enum: ['Reviewer', 'Editor'],
+      required: true,
+    },
+    paperId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paper',
+      required: true,
+    },
+
+    // Inviting editor and optional personal note
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+
+    // SHA-256 of the nonce in the emailed token
+    nonceHash: {
+      type: String,
+      required: true,
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED'],
+      default: 'PENDING',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    // Account that accepted (new or existing)
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ paperId: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
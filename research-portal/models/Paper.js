@@ -3,7 +3,8 @@ const mongoose = require('mongoose');
 /**
  * Paper Model
  * Represents a research paper submitted by an Author
- * File storage: encrypted with AES-256, key encrypted with RSA-2048
+ * File storage: encrypted with AES-256, key encrypted with RSA-2048, one PaperRevision per version
+ * (ciphertext in the blob store; this document only holds metadata of the current version)
  */
 
 const paperSchema = new mongoose.Schema(
@@ -22,8 +23,19 @@ const paperSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Venue / track the paper is submitted to (scopes venue-level role grants)
+    venue: {
+      type: String,
+      default: null,
+      trim: true,
+    },
 
-    // File Storage (Encrypted)
+    // Current version of the manuscript (files are stored per version in PaperRevision)
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    // File metadata of the current version
     fileName: {
       type: String,
       required: true,
@@ -32,25 +44,28 @@ const paperSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // SHA-256 hash of the current version's file
+    fileHash: {
+      type: String,
+      required: true,
+    },
+
+    // Legacy file storage (Encrypted): papers submitted before versioning kept version 1 here.
+    // Moved to a PaperRevision in the blob store by `npm run migrate-manuscripts` (or on the first resubmission).
     // Base64-encoded encrypted PDF content
     encryptedData: {
       type: String,
-      required: true,
+      default: undefined,
     },
     // IV for AES decryption (stored as Base64)
     encryptedIV: {
       type: String,
-      required: true,
+      default: undefined,
     },
     // RSA-encrypted AES key (stored as Base64)
     encryptedAESKey: {
       type: String,
-      required: true,
-    },
-    // SHA-256 hash of original file for integrity check
-    fileHash: {
-      type: String,
-      required: true,
+      default: undefined,
     },
 
     // Author Information
@@ -104,5 +119,6 @@ const paperSchema = new mongoose.Schema(
 // Index for faster queries
 paperSchema.index({ authorId: 1 });
 paperSchema.index({ status: 1 });
+paperSchema.index({ venue: 1 });
 
 module.exports = mongoose.model('Paper', paperSchema);
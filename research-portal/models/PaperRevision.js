@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * PaperRevision Model
+ * One version of a paper's manuscript. Version 1 is the original submission; each
+ * resubmission after REVISION_REQUESTED adds the next version with its own encrypted
+ * file (AES-256, key encrypted with RSA-2048), changelog and response to reviewers.
+ * The ciphertext lives in the blob store; this document keeps the reference and crypto metadata.
+ * Old versions are never modified, so every review round can be traced to the file
+ * that was reviewed.
+ */
+
+const paperRevisionSchema = new mongoose.Schema(
+  {
+    // Paper this version belongs to
+    paperId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paper',
+      required: true,
+    },
+    // 1 for the original submission, incremented per resubmission
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // File Storage (Encrypted)
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    // Encrypted PDF content, held by the blob store (see blobStoreService)
+    blob: {
+      // Backend holding the ciphertext
+      store: {
+        type: String,
+        enum: ['gridfs', 'filesystem'],
+      },
+      // Backend-specific blob ID
+      id: {
+        type: String,
+      },
+      // Ciphertext size in bytes
+      size: {
+        type: Number,
+      },
+    },
+    // Legacy: base64-encoded encrypted PDF content stored inline (moved by `npm run migrate-manuscripts`)
+    encryptedData: {
+      type: String,
+      default: undefined,
+    },
+    // IV for AES decryption (stored as Base64)
+    encryptedIV: {
+      type: String,
+      required: true,
+    },
+    // RSA-encrypted AES key (stored as Base64)
+    encryptedAESKey: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of original file for integrity check
+    fileHash: {
+      type: String,
+      required: true,
+    },
+
+    // What changed since the previous version (empty for version 1)
+    changelog: {
+      type: String,
+      default: '',
+      maxlength: 5000,
+    },
+    // Response-to-reviewers letter (empty for version 1)
+    responseLetter: {
+      type: String,
+      default: '',
+      maxlength: 20000,
+    },
+
+    // Reviewers assigned to the review round of this version
+    reviewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+
+    // Uploader
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// One document per version; also guards against two concurrent resubmissions
+paperRevisionSchema.index({ paperId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaperRevision', paperRevisionSchema);
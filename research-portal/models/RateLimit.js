@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Model
+ * Request counters for API rate limiting, one document per key and fixed window
+ * Keyed "<bucket>:user:<id>:<window>" or "<bucket>:ip:<address>:<window>"
+ * Stored in MongoDB so limits survive restarts and are shared between instances
+ */
+
+const rateLimitSchema = new mongoose.Schema({
+  // Counter key (includes the window number, so each window starts a new document)
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Requests counted in this window
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // End of the window; MongoDB removes the counter afterwards
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// TTL index: MongoDB deletes counters of past windows
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -14,6 +14,12 @@ const reviewSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Manuscript version reviewed (review round); see PaperRevision
+    version: {
+      type: Number,
+      default: 1,
+    },
+
     // Reviewer information
     reviewerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -93,4 +99,15 @@ const reviewSchema = new mongoose.Schema(
 reviewSchema.index({ paperId: 1 });
 reviewSchema.index({ reviewerId: 1 });
 
+/**
+ * Query filter for the reviews of one round of a paper
+ * Reviews written before versioning have no version and belong to round 1
+ * @param {ObjectId|string} paperId - Paper
+ * @param {number} version - Manuscript version
+ * @returns {Object} MongoDB filter
+ */
+reviewSchema.statics.roundFilter = function (paperId, version) {
+  return { paperId: paperId, version: version === 1 ? { $in: [1, null] } : version };
+};
+
 module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplement Model
+ * A supplementary file attached to a paper (dataset, code archive, appendix, LaTeX source).
+ * Encrypted like a manuscript version: its own AES-256 key (encrypted with RSA-2048), the
+ * ciphertext in the blob store. Readable by everyone with access to the paper.
+ */
+
+const supplementSchema = new mongoose.Schema(
+  {
+    // Paper the file belongs to
+    paperId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paper',
+      required: true,
+      index: true,
+    },
+    // Paper version current when the file was attached
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    // Kind of material (see supplementService for the accepted files and size limits)
+    type: {
+      type: String,
+      enum: ['DATASET', 'CODE', 'APPENDIX', 'LATEX_SOURCE'],
+      required: true,
+    },
+    // What the file contains, for editors and reviewers
+    description: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+
+    // File Storage (Encrypted)
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    // Encrypted content, held by the blob store (see blobStoreService)
+    blob: {
+      store: {
+        type: String,
+        enum: ['gridfs', 'filesystem'],
+      },
+      id: {
+        type: String,
+      },
+      size: {
+        type: Number,
+      },
+    },
+    // IV for AES decryption (stored as Base64)
+    encryptedIV: {
+      type: String,
+      required: true,
+    },
+    // RSA-encrypted AES key (stored as Base64)
+    encryptedAESKey: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of original file for integrity check
+    fileHash: {
+      type: String,
+      required: true,
+    },
+
+    // Uploader (the paper's author)
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Supplement', supplementSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Upload Model
+ * A resumable manuscript upload in progress (see uploadService). The file arrives in chunks
+ * (PATCH with offsets); each chunk is encrypted on arrival into the blob store like a whole
+ * upload, and this document records them in order. Finalizing reassembles the chunks into a
+ * single encrypted file for a paper, revision or supplementary file submission.
+ * Abandoned uploads expire.
+ */
+
+const uploadSchema = new mongoose.Schema(
+  {
+    // Uploader; nobody else can see, extend or use the upload
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Declared when the upload is created
+    fileName: {
+      type: String,
+      required: true,
+      maxlength: 255,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // Total size in bytes (Upload-Length)
+    length: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Bytes received so far (Upload-Offset)
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Received chunks in order, each encrypted separately (fields as from manuscriptService.encryptStream)
+    chunks: [
+      {
+        _id: false,
+        // Position of the chunk in the file
+        offset: {
+          type: Number,
+          required: true,
+        },
+        blob: {
+          store: String,
+          id: String,
+          size: Number,
+        },
+        encryptedIV: String,
+        encryptedAESKey: String,
+        fileHash: String,
+        fileSize: Number,
+      },
+    ],
+
+    // UPLOADING: accepting chunks, COMPLETE: all bytes received,
+    // FINALIZING: being turned into a submission (back to COMPLETE if the submission is rejected)
+    status: {
+      type: String,
+      enum: ['UPLOADING', 'COMPLETE', 'FINALIZING'],
+      default: 'UPLOADING',
+    },
+
+    // Pushed back by every chunk; expired uploads are deleted with their chunks (uploadService.sweep)
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 /**
  * User Model
- * Stores user credentials, role, and MFA settings
+ * Stores user credentials, role grants, and MFA settings
  * Passwords are hashed with bcrypt (per-user salt, cost factor 12)
  */
 
@@ -37,12 +37,60 @@ const userSchema = new mongoose.Schema(
     },
 
     // Role-Based Access Control (RBAC)
-    // Exactly three roles per specification
-    role: {
+    // A user holds a set of role grants: e.g. Author globally, Reviewer for one paper,
+    // Editor of one venue/track. Unscoped grants apply everywhere.
+    // Admin (user management only, no paper access) is always unscoped.
+    roles: {
+      type: [
+        {
+          role: {
+            type: String,
+            enum: ['Author', 'Reviewer', 'Editor', 'Admin'],
+            required: true,
+          },
+          // Optional scope: the grant only applies to papers of this venue / this paper
+          venue: {
+            type: String,
+            default: null,
+            trim: true,
+          },
+          paperId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Paper',
+            default: null,
+          },
+          grantedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          grantedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          // Grants past this time are ignored (null = no expiry)
+          expiresAt: {
+            type: Date,
+            default: null,
+          },
+        },
+      ],
+      default: () => [{ role: 'Author' }],
+    },
+    // Pending request for an elevated role (self-registration only grants Author)
+    requestedRole: {
       type: String,
-      enum: ['Author', 'Reviewer', 'Editor'],
-      required: true,
-      default: 'Author',
+      enum: ['Reviewer', 'Editor', null],
+      default: null,
+    },
+    roleRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    roleRequestNote: {
+      type: String,
+      default: '',
+      maxlength: 500,
     },
 
     // Multi-Factor Authentication
@@ -50,11 +98,78 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Second factor used at login: emailed OTP or authenticator app (TOTP)
+    mfaMethod: {
+      type: String,
+      enum: ['email', 'totp'],
+      default: 'email',
+    },
     mfaSecret: {
-      // Encrypted OTP secret or similar
+      // RSA-encrypted TOTP secret (Base64), set once enrollment is confirmed
+      type: String,
+      default: null,
+    },
+    mfaPendingSecret: {
+      // RSA-encrypted TOTP secret awaiting confirm-on-enroll
       type: String,
       default: null,
     },
+    totpLastUsedStep: {
+      // Last accepted TOTP time step (prevents code replay within its window)
+      type: Number,
+      default: null,
+    },
+    // WebAuthn authenticators (hardware security keys / platform passkeys)
+    webauthnCredentials: [
+      {
+        credentialId: {
+          type: String, // Base64URL credential ID
+          required: true,
+        },
+        publicKey: {
+          type: String, // Base64URL COSE public key
+          required: true,
+        },
+        counter: {
+          // Signature counter (detects cloned authenticators)
+          type: Number,
+          default: 0,
+        },
+        transports: {
+          type: [String],
+          default: [],
+        },
+        deviceType: {
+          type: String,
+          enum: ['singleDevice', 'multiDevice'],
+        },
+        backedUp: {
+          type: Boolean,
+          default: false,
+        },
+        name: {
+          type: String,
+          default: 'Security key',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // Single-use MFA recovery codes ("<HMAC lookup tag>:<bcrypt hash>"; removed once used)
+    recoveryCodes: {
+      type: [String],
+      default: [],
+    },
+    recoveryCodesGeneratedAt: {
+      type: Date,
+      default: null,
+    },
     otpCode: {
       type: String,
       default: null,
@@ -63,6 +178,93 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    otpAttempts: {
+      // Wrong guesses against the current emailed OTP (code invalidated at the cap)
+      type: Number,
+      default: 0,
+    },
+
+    // Outstanding email-address change: one code is sent to the current address and one
+    // to the new address, and both must be entered before the address is switched
+    pendingEmailChange: {
+      email: {
+        type: String, // Requested new address
+        default: null,
+      },
+      currentCodeHash: {
+        type: String, // HMAC-SHA256 (keyed with TOKEN_SECRET) of the code sent to the current address
+        default: null,
+      },
+      newCodeHash: {
+        type: String, // HMAC-SHA256 (keyed with TOKEN_SECRET) of the code sent to the new address
+        default: null,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      attempts: {
+        // Wrong guesses (request cancelled at OTP_MAX_ATTEMPTS)
+        type: Number,
+        default: 0,
+      },
+    },
+
+    // Single sign-on identities (OIDC issuer subject, per provider)
+    ssoIdentities: [
+      {
+        provider: {
+          type: String, // IdentityProvider key
+          required: true,
+        },
+        subject: {
+          type: String, // ID token "sub" claim
+          required: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastLoginAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+
+    // Browsers / networks this account has signed in from (new ones trigger an email alert)
+    knownDevices: [
+      {
+        device: {
+          type: String, // Browser and OS, e.g. "Firefox on Linux"
+          required: true,
+        },
+        ipRange: {
+          type: String, // IPv4 /24 or IPv6 /48 network of the sign-in
+          required: true,
+        },
+        lastUserAgent: {
+          type: String,
+          default: '',
+        },
+        lastIpAddress: {
+          type: String,
+          default: '',
+        },
+        firstSeenAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastSeenAt: {
+          type: Date,
+          default: Date.now,
+        },
+        loginCount: {
+          type: Number,
+          default: 1,
+        },
+      },
+    ],
 
     // Account Status
     isEmailVerified: {
@@ -74,6 +276,22 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Password Management
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordResetNonce: {
+      // SHA-256 of the nonce embedded in the outstanding reset link (single-use)
+      type: String,
+      default: null,
+    },
+    sessionsValidAfter: {
+      // Sessions created before this time are rejected (set on password change/reset)
+      type: Date,
+      default: null,
+    },
+
     // Metadata
     institution: {
       type: String,
@@ -87,12 +305,83 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set when personal data was erased (GDPR); the record remains as a pseudonym so
+    // reviews, decisions and audit entries that reference it stay intact
+    erasedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Accounts created before role grants stored a single `role` string
+userSchema.pre('init', function (doc) {
+  if (doc.role && (!doc.roles || doc.roles.length === 0)) {
+    doc.roles = [{ role: doc.role, venue: null, paperId: null, grantedAt: doc.createdAt }];
+  }
+});
+
+// Whether a venue/paper-scoped grant covers { venue, paperId }
+const grantCovers = (grant, scope) =>
+  !!((grant.venue && scope.venue && grant.venue === scope.venue) ||
+    (grant.paperId && scope.paperId && grant.paperId.toString() === scope.paperId.toString()));
+
+/**
+ * Role grants currently in force (not expired)
+ * @returns {Array} Role grant subdocuments
+ */
+userSchema.methods.activeRoles = function () {
+  const now = new Date();
+  return this.roles.filter((grant) => !grant.expiresAt || grant.expiresAt > now);
+};
+
+/**
+ * Check whether the user holds a role
+ * @param {string} role - Author, Reviewer, Editor or Admin
+ * @param {Object} scope - Optional { venue, paperId }: only grants that are unscoped or
+ *                         match the venue/paper count. Without a scope any grant of the role counts.
+ * @returns {boolean}
+ */
+userSchema.methods.hasRole = function (role, scope) {
+  return this.activeRoles().some(
+    (grant) => grant.role === role && (!scope || (!grant.venue && !grant.paperId) || grantCovers(grant, scope))
+  );
+};
+
+/**
+ * Check whether a venue- or paper-scoped grant of a role covers the scope (unscoped grants ignored)
+ * @param {string} role - Role name
+ * @param {Object} scope - { venue, paperId }
+ * @returns {boolean}
+ */
+userSchema.methods.hasScopedRole = function (role, scope) {
+  return this.activeRoles().some((grant) => grant.role === role && grantCovers(grant, scope));
+};
+
+/**
+ * Check whether the user holds an unscoped (portal-wide) grant of a role
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+userSchema.methods.hasGlobalRole = function (role) {
+  return this.activeRoles().some((grant) => grant.role === role && !grant.venue && !grant.paperId);
+};
+
+/**
+ * Distinct role names currently held (for display)
+ * @returns {string[]}
+ */
+userSchema.methods.roleNames = function () {
+  return [...new Set(this.activeRoles().map((grant) => grant.role))];
+};
+
 // Index for faster lookups
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'webauthnCredentials.credentialId': 1 });
+userSchema.index({ 'ssoIdentities.provider': 1, 'ssoIdentities.subject': 1 });
+userSchema.index({ requestedRole: 1, roleRequestedAt: 1 });
+userSchema.index({ 'roles.role': 1, 'roles.venue': 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Session Model
+ * Index of authenticated sessions so users can list and revoke them
+ * The session itself lives in the express-session store; this record is keyed by its session ID
+ */
+
+const userSessionSchema = new mongoose.Schema(
+  {
+    // express-session ID (never returned to clients; the record _id is used instead)
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Device information captured at login
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+
+    // Activity
+    lastActivity: {
+      type: Date,
+      default: Date.now,
+    },
+    lastIpAddress: {
+      type: String,
+      default: '',
+    },
+
+    // Removed automatically once the session has timed out
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+userSessionSchema.index({ userId: 1, lastActivity: -1 });
+// TTL index: MongoDB deletes records of expired sessions
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
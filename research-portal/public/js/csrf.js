@@ -0,0 +1,44 @@
+/**
+ * CSRF token for the portal's pages
+ * Adds the session's token (rendered into <meta name="csrf-token">) as the X-CSRF-Token
+ * header to every state-changing same-origin fetch. If the server rejects the token
+ * (e.g. the session expired and a new one was started), the token is refreshed and
+ * the request retried once.
+ */
+(function () {
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+  const originalFetch = window.fetch.bind(window);
+  const meta = document.querySelector('meta[name="csrf-token"]');
+  let csrfToken = meta ? meta.content : '';
+
+  function needsToken(url, method) {
+    return !SAFE_METHODS.includes(method) && new URL(url, window.location.href).origin === window.location.origin;
+  }
+
+  function withToken(options) {
+    const headers = new Headers(options.headers || {});
+    headers.set('X-CSRF-Token', csrfToken);
+    return Object.assign({}, options, { headers: headers });
+  }
+
+  async function refreshToken() {
+    const response = await originalFetch('/api/auth/csrf-token', { credentials: 'include' });
+    if (!response.ok) return false;
+    csrfToken = (await response.json()).csrfToken;
+    return true;
+  }
+
+  window.fetch = async function (url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (typeof url !== 'string' || !needsToken(url, method)) {
+      return originalFetch(url, options);
+    }
+
+    const response = await originalFetch(url, withToken(options));
+    if (response.status !== 403) return response;
+
+    const data = await response.clone().json().catch(() => ({}));
+    if (!data.csrfRejected || !(await refreshToken())) return response;
+    return originalFetch(url, withToken(options));
+  };
+})();
@@ -0,0 +1,85 @@
+/**
+ * Resumable manuscript uploads (see /api/papers/uploads)
+ * resumableUpload(file, onProgress, fields) sends the file in chunks and resolves with the
+ * upload ID, which is then submitted as `uploadId` in place of the file. `fields` are extra
+ * creation fields, e.g. { supplementType } for a supplementary file. A chunk lost to a dropped
+ * connection or server error is retried from the offset the server reports, so a weak
+ * connection does not restart the whole file. Load after csrf.js (PATCH needs the token).
+ */
+(function () {
+  const CHUNK_SIZE = 5 * 1024 * 1024;
+  const MAX_RETRIES = 6;
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  async function errorMessage(response, fallback) {
+    const data = await response.json().catch(() => ({}));
+    return data.error || fallback;
+  }
+
+  // Bytes the server has, or null if it cannot be asked right now
+  async function serverOffset(location) {
+    try {
+      const response = await fetch(location, { method: 'HEAD', credentials: 'include' });
+      return response.ok ? Number(response.headers.get('Upload-Offset')) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function resumableUpload(file, onProgress, fields = {}) {
+    const created = await fetch('/api/papers/uploads', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({ fileName: file.name, fileSize: file.size, mimeType: file.type }, fields)),
+    });
+    if (!created.ok) {
+      throw new Error(await errorMessage(created, 'Failed to start upload'));
+    }
+    const upload = (await created.json()).upload;
+    const location = `/api/papers/uploads/${upload.id}`;
+
+    let offset = 0;
+    let failures = 0;
+    while (offset < file.size) {
+      let response = null;
+      try {
+        response = await fetch(location, {
+          method: 'PATCH',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+          body: file.slice(offset, offset + CHUNK_SIZE),
+        });
+      } catch (error) {
+        // Connection dropped: resume below
+      }
+
+      if (response && response.status === 204) {
+        offset = Number(response.headers.get('Upload-Offset'));
+        failures = 0;
+        if (onProgress) onProgress(offset / file.size);
+        continue;
+      }
+      // Rejected for good (expired, too large, ...); 409 and 5xx are resumed
+      if (response && response.status !== 409 && response.status < 500) {
+        throw new Error(await errorMessage(response, 'Upload failed'));
+      }
+
+      failures += 1;
+      if (failures > MAX_RETRIES) {
+        throw new Error('Upload failed: the connection keeps dropping. Please try again later.');
+      }
+      await wait(1000 * 2 ** (failures - 1));
+      const resumeAt = await serverOffset(location);
+      if (resumeAt !== null) offset = resumeAt;
+    }
+    return upload.id;
+  }
+
+  // Files up to one chunk are simply sent with the form
+  resumableUpload.chunkSize = CHUNK_SIZE;
+  window.resumableUpload = resumableUpload;
+})();
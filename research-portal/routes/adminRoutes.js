@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const impersonationController = require('../controllers/impersonationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const aclMiddleware = require('../middleware/aclMiddleware');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+
+/**
+ * Admin Routes
+ * User management console API
+ * All routes require an MFA-verified browser session with the Admin role
+ * Changes to roles, account status and MFA also require recent authentication (step-up)
+ */
+router.use(authMiddleware.rejectApiTokens);
+router.use(authMiddleware.checkSessionTimeout);
+router.use(authMiddleware.isAuthenticated);
+router.use(authMiddleware.refreshUserSession);
+router.use(rateLimitMiddleware.limit('api'));
+router.use(aclMiddleware.requireAdmin);
+
+/**
+ * GET /admin/users
+ * Search users
+ * Query: search, role, status (active|inactive), roleRequests (true), page
+ */
+router.get('/users', adminController.listUsers);
+
+/**
+ * GET /admin/role-requests
+ * Pending Reviewer/Editor role requests
+ */
+router.get('/role-requests', adminController.listRoleRequests);
+
+/**
+ * GET /admin/users/:userId
+ * User details (role, status, MFA summary, SSO links)
+ */
+router.get('/users/:userId', adminController.getUser);
+
+/**
+ * POST /admin/users/:userId/role-request
+ * Approve (optionally scoped to a venue) or reject a pending role request
+ * Body: { approve, venue, reason }
+ */
+router.post('/users/:userId/role-request', authMiddleware.requireRecentAuth, adminController.decideRoleRequest);
+
+/**
+ * POST /admin/users/:userId/roles
+ * Grant a role, optionally scoped to a venue or paper and/or time-limited
+ * Body: { role, venue, paperId, expiresAt, reason }
+ */
+router.post('/users/:userId/roles', authMiddleware.requireRecentAuth, adminController.grantRole);
+
+/**
+ * DELETE /admin/users/:userId/roles/:grantId
+ * Revoke a role grant
+ * Body: { reason }
+ */
+router.delete('/users/:userId/roles/:grantId', authMiddleware.requireRecentAuth, adminController.revokeRole);
+
+/**
+ * PUT /admin/users/:userId/status
+ * Activate or deactivate an account
+ * Body: { active, reason }
+ */
+router.put('/users/:userId/status', authMiddleware.requireRecentAuth, adminController.setAccountStatus);
+
+/**
+ * POST /admin/users/:userId/reset-mfa
+ * Remove TOTP, security keys and recovery codes (falls back to email OTP)
+ * Body: { reason }
+ */
+router.post('/users/:userId/reset-mfa', authMiddleware.requireRecentAuth, adminController.resetMFA);
+
+/**
+ * POST /admin/users/:userId/erase
+ * Erase (pseudonymize) an account on the user's behalf (GDPR)
+ * Body: { reason }
+ */
+router.post('/users/:userId/erase', authMiddleware.requireRecentAuth, adminController.eraseUser);
+
+/**
+ * POST /admin/users/:userId/impersonate
+ * View the portal as the user (support), for IMPERSONATION_DURATION; the user is notified afterwards
+ * Body: { reason, allowChanges } (read-only unless allowChanges is true)
+ */
+router.post('/users/:userId/impersonate', authMiddleware.requireRecentAuth, impersonationController.startImpersonation);
+
+/**
+ * GET /admin/users/:userId/impersonations
+ * Impersonation history of a user
+ */
+router.get('/users/:userId/impersonations', impersonationController.listImpersonations);
+
+module.exports = router;
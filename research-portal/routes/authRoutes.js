@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const invitationController = require('../controllers/invitationController');
+const sessionController = require('../controllers/sessionController');
+const apiTokenController = require('../controllers/apiTokenController');
+const ssoController = require('../controllers/ssoController');
+const impersonationController = require('../controllers/impersonationController');
 const authMiddleware = require('../middleware/authMiddleware');
+const aclMiddleware = require('../middleware/aclMiddleware');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
 
 /**
  * Authentication Routes
@@ -9,14 +16,22 @@ const authMiddleware = require('../middleware/authMiddleware');
  * Protected endpoints for user operations
  */
 
+// Personal API tokens are for the papers API only
+router.use(authMiddleware.rejectApiTokens);
+
+// Every auth request counts against the general API budget; credential endpoints
+// (password, OTP, reset, SSO sign-in) also against the smaller auth budget
+router.use(rateLimitMiddleware.limit('api'));
+const authRateLimit = rateLimitMiddleware.limit('auth');
+
 // Public endpoints (no authentication required)
 
 /**
  * POST /auth/register
- * Register a new user
- * Body: { fullName, username, email, password, confirmPassword, role, institution }
+ * Register a new user (granted Author; a Reviewer/Editor role is recorded as a request)
+ * Body: { fullName, username, email, password, confirmPassword, role, institution, invitationToken }
  */
-router.post('/register', (req, res, next) => {
+router.post('/register', authRateLimit, (req, res, next) => {
   // Apply session timeout check even for public routes
   authMiddleware.checkSessionTimeout(req, res, next);
 }, authController.register);
@@ -26,29 +41,110 @@ router.post('/register', (req, res, next) => {
  * Step 1: Send OTP to email
  * Body: { username (email or username), password }
  */
-router.post('/login', (req, res, next) => {
+router.post('/login', authRateLimit, (req, res, next) => {
   authMiddleware.checkSessionTimeout(req, res, next);
 }, authController.login);
 
 /**
  * POST /auth/verify-otp
  * Step 2: Verify OTP and complete authentication
- * Body: { otp }
+ * Body: { otp } (emailed OTP, authenticator code, or recovery code)
  * Requires: active session from /login
  */
-router.post('/verify-otp', (req, res, next) => {
+router.post('/verify-otp', authRateLimit, (req, res, next) => {
   authMiddleware.checkSessionTimeout(req, res, next);
 }, authController.verifyOTP);
 
 /**
  * POST /auth/resend-otp
  * Resend OTP if user didn't receive it
+ * Also issues a fresh OTP to confirm account changes (e.g. password change)
  * Requires: active session from /login
  */
-router.post('/resend-otp', (req, res, next) => {
+router.post('/resend-otp', authRateLimit, (req, res, next) => {
   authMiddleware.checkSessionTimeout(req, res, next);
 }, authController.resendOTP);
 
+/**
+ * GET /auth/csrf-token
+ * Anti-CSRF token for the current session (send as X-CSRF-Token on POST/PUT/DELETE)
+ */
+router.get('/csrf-token', authController.getCSRFToken);
+
+/**
+ * POST /auth/password/forgot
+ * Email a signed, single-use password reset link
+ * Body: { email }
+ */
+router.post('/password/forgot', authRateLimit, (req, res, next) => {
+  authMiddleware.checkSessionTimeout(req, res, next);
+}, authController.forgotPassword);
+
+/**
+ * POST /auth/password/reset
+ * Set a new password using the emailed reset link
+ * Body: { token, password, confirmPassword }
+ */
+router.post('/password/reset', authRateLimit, (req, res, next) => {
+  authMiddleware.checkSessionTimeout(req, res, next);
+}, authController.resetPassword);
+
+/**
+ * POST /auth/login-report
+ * "This wasn't me" link from a new sign-in alert: signs the account out everywhere
+ * Body: { token }
+ */
+router.post('/login-report', authRateLimit, authController.reportLogin);
+
+// Invitations (signed links emailed by an Editor)
+
+/**
+ * GET /auth/invitation?token=
+ * Invitation details for pre-filling registration
+ */
+router.get('/invitation', invitationController.getInvitation);
+
+/**
+ * POST /auth/invitation/decline
+ * Decline an invitation
+ * Body: { token }
+ */
+router.post('/invitation/decline', authRateLimit, invitationController.declineInvitation);
+
+/**
+ * POST /auth/invitation/accept
+ * Accept an invitation with an existing account (email must match)
+ * Body: { token }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/invitation/accept',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  invitationController.acceptInvitation
+);
+
+// Institutional single sign-on (OpenID Connect)
+
+/**
+ * GET /auth/sso/providers
+ * Enabled identity providers (for login page buttons)
+ */
+router.get('/sso/providers', authController.listSSOProviders);
+
+/**
+ * GET /auth/sso/:providerKey/login
+ * Redirect to the institution's IdP (authorization code + PKCE)
+ */
+router.get('/sso/:providerKey/login', authRateLimit, authController.ssoLogin);
+
+/**
+ * GET /auth/sso/:providerKey/callback
+ * IdP redirect target: validates the ID token, links or provisions the user
+ */
+router.get('/sso/:providerKey/callback', authRateLimit, authController.ssoCallback);
+
 // Protected endpoints (authentication required)
 
 /**
@@ -63,6 +159,18 @@ router.post(
   authController.logout
 );
 
+/**
+ * POST /auth/impersonation/stop
+ * Stop viewing as another user and return to the Admin's own session
+ * Requires: session started with POST /admin/users/:userId/impersonate
+ */
+router.post(
+  '/impersonation/stop',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  impersonationController.stopImpersonation
+);
+
 /**
  * GET /auth/me
  * Get current authenticated user's information
@@ -76,4 +184,514 @@ router.get(
   authController.getCurrentUser
 );
 
+/**
+ * POST /auth/password/change
+ * Change password; signs out all other sessions
+ * Body: { currentPassword, newPassword, confirmPassword, otp }
+ * OTP: authenticator code, or request an emailed code via /resend-otp
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/password/change',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authRateLimit,
+  authController.changePassword
+);
+
+// Email address change (confirmed by codes sent to both the current and the new address)
+
+/**
+ * POST /auth/email/change/start
+ * Email confirmation codes to the current and the new address
+ * Body: { newEmail }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/email/change/start',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authRateLimit,
+  authController.startEmailChange
+);
+
+/**
+ * POST /auth/email/change/verify
+ * Switch to the new address; updates papers, reviews, decisions and invitations,
+ * notifies the old address and signs out all other sessions
+ * Body: { currentCode, newCode }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/email/change/verify',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authRateLimit,
+  authController.verifyEmailChange
+);
+
+// Step-up re-authentication (sensitive actions require authentication within STEP_UP_WINDOW)
+
+/**
+ * POST /auth/step-up/start
+ * Email a confirmation code (authenticator app users enter their current code instead)
+ * Body: { method } (optional: 'email' to request an emailed code with an authenticator enrolled)
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/step-up/start',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authRateLimit,
+  authController.startStepUp
+);
+
+/**
+ * POST /auth/step-up/verify
+ * Confirm identity with an authenticator or emailed code
+ * Body: { otp }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/step-up/verify',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authRateLimit,
+  authController.verifyStepUp
+);
+
+// Active session management
+
+/**
+ * GET /auth/sessions
+ * List active sessions (device, IP, created, last activity)
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/sessions',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  sessionController.listSessions
+);
+
+/**
+ * DELETE /auth/sessions
+ * Sign out all sessions except the current one
+ * Requires: authenticated session with MFA verified
+ */
+router.delete(
+  '/sessions',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  sessionController.revokeOtherSessions
+);
+
+/**
+ * GET /auth/devices
+ * Browsers and networks this account has signed in from (new ones trigger an email alert)
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/devices',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.listKnownDevices
+);
+
+/**
+ * GET /auth/sessions/:sessionId
+ * Inspect one session
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/sessions/:sessionId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  sessionController.getSession
+);
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Revoke one session (revoking the current one logs out)
+ * Requires: authenticated session with MFA verified
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  sessionController.revokeSession
+);
+
+/**
+ * POST /auth/users/:userId/force-logout
+ * Sign a (compromised) user out of every session
+ * Body: { reason } (optional, recorded in the audit log)
+ * Requires: Admin role, recent authentication
+ */
+router.post(
+  '/users/:userId/force-logout',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authMiddleware.requireRecentAuth,
+  sessionController.forceLogout
+);
+
+// Personal API tokens
+
+/**
+ * POST /auth/tokens
+ * Create a scoped, expiring personal API token (plaintext returned once)
+ * Body: { name, scopes: ['papers:read', ...], expiresInDays }
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/tokens',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  apiTokenController.createToken
+);
+
+/**
+ * GET /auth/tokens
+ * List personal API tokens (never includes the token value)
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/tokens',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  apiTokenController.listTokens
+);
+
+/**
+ * DELETE /auth/tokens/:tokenId
+ * Revoke a personal API token
+ * Requires: authenticated session with MFA verified
+ */
+router.delete(
+  '/tokens/:tokenId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  apiTokenController.revokeToken
+);
+
+// Personal data (GDPR)
+
+/**
+ * GET /auth/account/export
+ * Download a JSON archive of the account's personal data
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.get(
+  '/account/export',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.exportMyData
+);
+
+/**
+ * POST /auth/account/erase
+ * Erase the account: personal data is pseudonymized, editorial records are kept
+ * Body: { confirmEmail }
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/account/erase',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.eraseMyAccount
+);
+
+/**
+ * POST /auth/role-request
+ * Request the Reviewer or Editor role (approved by an Admin)
+ * Body: { role, note }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/role-request',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.requestRole
+);
+
+// Authenticator app (TOTP) enrollment
+
+/**
+ * POST /auth/totp/setup
+ * Generate a pending TOTP secret and otpauth:// provisioning URI (for QR display)
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/totp/setup',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.setupTOTP
+);
+
+/**
+ * POST /auth/totp/confirm
+ * Confirm enrollment with a code from the authenticator app
+ * Body: { otp }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/totp/confirm',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.confirmTOTP
+);
+
+/**
+ * POST /auth/totp/disable
+ * Disable authenticator app and revert to email OTP (re-authentication required)
+ * Body: { password, otp }
+ * Requires: authenticated session with MFA verified
+ */
+router.post(
+  '/totp/disable',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.disableTOTP
+);
+
+// MFA recovery codes
+
+/**
+ * GET /auth/recovery-codes
+ * Number of unused recovery codes remaining
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/recovery-codes',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.getRecoveryCodeStatus
+);
+
+/**
+ * POST /auth/recovery-codes/regenerate
+ * Issue a new set of recovery codes, invalidating the old set
+ * Body: { password }
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/recovery-codes/regenerate',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.regenerateRecoveryCodes
+);
+
+// WebAuthn (security keys / passkeys)
+
+/**
+ * POST /auth/webauthn/login/options
+ * Assertion options: second factor after /login, or passwordless passkey sign-in
+ */
+router.post('/webauthn/login/options', authRateLimit, (req, res, next) => {
+  authMiddleware.checkSessionTimeout(req, res, next);
+}, authController.webauthnLoginOptions);
+
+/**
+ * POST /auth/webauthn/login/verify
+ * Verify assertion and complete authentication
+ * Body: { response } (AuthenticationResponseJSON)
+ */
+router.post('/webauthn/login/verify', authRateLimit, (req, res, next) => {
+  authMiddleware.checkSessionTimeout(req, res, next);
+}, authController.webauthnLoginVerify);
+
+/**
+ * POST /auth/webauthn/register/options
+ * Credential creation options for binding a new security key / passkey
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/webauthn/register/options',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.webauthnRegisterOptions
+);
+
+/**
+ * POST /auth/webauthn/register/verify
+ * Verify attestation and store credential public key
+ * Body: { response (RegistrationResponseJSON), name }
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.post(
+  '/webauthn/register/verify',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.webauthnRegisterVerify
+);
+
+/**
+ * GET /auth/webauthn/credentials
+ * List registered security keys / passkeys
+ * Requires: authenticated session with MFA verified
+ */
+router.get(
+  '/webauthn/credentials',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authController.listWebAuthnCredentials
+);
+
+/**
+ * DELETE /auth/webauthn/credentials/:credentialId
+ * Remove a registered security key / passkey
+ * Requires: authenticated session with MFA verified and recent authentication (step-up)
+ */
+router.delete(
+  '/webauthn/credentials/:credentialId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  authMiddleware.requireRecentAuth,
+  authController.removeWebAuthnCredential
+);
+
+// Identity provider administration
+
+/**
+ * GET /auth/sso/admin/providers
+ * List identity providers with their configuration
+ * Requires: Admin role
+ */
+router.get(
+  '/sso/admin/providers',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  ssoController.listProviders
+);
+
+/**
+ * POST /auth/sso/admin/providers
+ * Register an identity provider
+ * Body: { key, name, issuer, clientId, clientSecret, scopes, emailDomains, requireSSO,
+ *         autoProvision, institutionClaim, trustIdpMfa, enabled }
+ * Requires: Admin role, recent authentication
+ */
+router.post(
+  '/sso/admin/providers',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authMiddleware.requireRecentAuth,
+  ssoController.createProvider
+);
+
+/**
+ * PUT /auth/sso/admin/providers/:providerId
+ * Update an identity provider (omit clientSecret to keep it)
+ * Requires: Admin role, recent authentication
+ */
+router.put(
+  '/sso/admin/providers/:providerId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authMiddleware.requireRecentAuth,
+  ssoController.updateProvider
+);
+
+/**
+ * DELETE /auth/sso/admin/providers/:providerId
+ * Remove an identity provider
+ * Requires: Admin role, recent authentication
+ */
+router.delete(
+  '/sso/admin/providers/:providerId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authMiddleware.requireRecentAuth,
+  ssoController.deleteProvider
+);
+
+// Brute-force lockouts (security monitoring)
+
+/**
+ * GET /auth/lockouts
+ * Active account/IP lockouts and recent lockout events
+ * Requires: Admin role
+ */
+router.get(
+  '/lockouts',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authController.listLockouts
+);
+
+/**
+ * GET /auth/suspicious-logins
+ * Sign-ins from new browsers/networks and those reported by users
+ * Query: hours (default 168)
+ * Requires: Admin role
+ */
+router.get(
+  '/suspicious-logins',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authController.listSuspiciousLogins
+);
+
+/**
+ * DELETE /auth/lockouts/:lockoutId
+ * Lift a lockout early
+ * Requires: Admin role, recent authentication
+ */
+router.delete(
+  '/lockouts/:lockoutId',
+  authMiddleware.checkSessionTimeout,
+  authMiddleware.isAuthenticated,
+  authMiddleware.refreshUserSession,
+  aclMiddleware.requireAdmin,
+  authMiddleware.requireRecentAuth,
+  authController.unlockLockout
+);
+
 module.exports = router;
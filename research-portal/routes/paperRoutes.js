@@ -4,24 +4,34 @@ const multer = require('multer');
 const paperController = require('../controllers/paperController');
 const reviewController = require('../controllers/reviewController');
 const decisionController = require('../controllers/decisionController');
+const invitationController = require('../controllers/invitationController');
+const uploadController = require('../controllers/uploadController');
 const authMiddleware = require('../middleware/authMiddleware');
 const aclMiddleware = require('../middleware/aclMiddleware');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const manuscriptService = require('../services/manuscriptService');
+const supplementService = require('../services/supplementService');
 
 /**
  * Protected Routes Middleware
  * All routes require authentication and MFA verification
+ * (browser session, or a personal API token limited by requireScope)
  */
 router.use(authMiddleware.checkSessionTimeout);
 router.use(authMiddleware.isAuthenticated);
 router.use(authMiddleware.refreshUserSession);
 
+// General API budget per user and IP; uploads and downloads have their own, smaller budgets
+router.use(rateLimitMiddleware.limit('api'));
+
 /**
  * Configure multer for file uploads
- * Stores file in memory (no disk storage)
+ * Files are encrypted while they are received and streamed to the blob store
+ * (never buffered whole in memory or written to disk in plaintext)
  * Validates file type and size
  */
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: manuscriptService.storageEngine(),
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB max
   },
@@ -35,16 +45,77 @@ const upload = multer({
   },
 });
 
+/**
+ * Configure multer for supplementary files (datasets, code archives, appendices, LaTeX sources)
+ * Same encrypting storage as manuscripts; accepts the file types of any supplement type up to
+ * the largest per-type limit (the type's own limit is checked by the controller)
+ */
+const supplementUpload = multer({
+  storage: manuscriptService.storageEngine(),
+  limits: {
+    fileSize: supplementService.maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    if (supplementService.isAllowedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not allowed for supplementary files'), false);
+    }
+  },
+});
+
+// ==================== RESUMABLE UPLOAD ROUTES ====================
+
+/**
+ * POST /papers/uploads
+ * Start a resumable upload (for large files on unreliable connections)
+ * Body: { fileName, fileSize, mimeType }
+ * Counts against the upload budget; the chunks only against the general API budget
+ */
+router.post(
+  '/uploads',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.requireAuthor,
+  rateLimitMiddleware.limit('upload'),
+  uploadController.createUpload
+);
+
+/**
+ * GET|HEAD /papers/uploads/:uploadId
+ * Bytes received so far (Upload-Offset), to resume after a dropped connection
+ */
+router.get('/uploads/:uploadId', aclMiddleware.requireScope('papers:write'), aclMiddleware.requireAuthor, uploadController.getUpload);
+
+/**
+ * PATCH /papers/uploads/:uploadId
+ * Append the next chunk at Upload-Offset (encrypted on arrival)
+ */
+router.patch('/uploads/:uploadId', aclMiddleware.requireScope('papers:write'), aclMiddleware.requireAuthor, uploadController.appendChunk);
+
+/**
+ * DELETE /papers/uploads/:uploadId
+ * Cancel an upload and delete its chunks
+ */
+router.delete('/uploads/:uploadId', aclMiddleware.requireScope('papers:write'), aclMiddleware.requireAuthor, uploadController.cancelUpload);
+
 // ==================== PAPER ROUTES ====================
 
 /**
  * POST /papers
  * Submit a new research paper
- * Required: PDF file, title, abstract
+ * Required: PDF file (or uploadId of a complete resumable upload), title, abstract
  * Only Authors can submit papers
  * File encrypted with AES-256-CBC + RSA-2048 before storage
  */
-router.post('/', aclMiddleware.requireAuthor, upload.single('paper'), paperController.submitPaper);
+router.post(
+  '/',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.requireAuthor,
+  rateLimitMiddleware.limit('upload'), // before the body is read
+  upload.single('paper'),
+  uploadController.attachUpload,
+  paperController.submitPaper
+);
 
 /**
  * GET /papers
@@ -52,37 +123,66 @@ router.post('/', aclMiddleware.requireAuthor, upload.single('paper'), paperContr
  * Authors see their own, Reviewers see assigned, Editors see all
  * ACL enforced per role
  */
-router.get('/', paperController.listPapers);
+router.get('/', aclMiddleware.requireScope('papers:read'), paperController.listPapers);
 
 /**
  * GET /papers/:paperId
  * Get paper details
  * ACL enforced: Authors (own only), Reviewers (assigned), Editors (all)
  */
-router.get('/:paperId', aclMiddleware.canAccessPaper, paperController.getPaper);
+router.get('/:paperId', aclMiddleware.requireScope('papers:read'), aclMiddleware.canAccessPaper, paperController.getPaper);
 
 /**
  * GET /papers/:paperId/download
- * Download and decrypt paper file
+ * Download and decrypt paper file (?version=N for an earlier version)
  * File decrypted using RSA-2048 private key and AES-256-CBC
  * Integrity verified using SHA-256 hash
  * Logs file access for audit trail
  */
 router.get(
   '/:paperId/download',
+  aclMiddleware.requireScope('papers:read'),
   aclMiddleware.canAccessPaper,
+  rateLimitMiddleware.limit('download'),
   paperController.downloadPaper
 );
 
+/**
+ * POST /papers/:paperId/revisions
+ * Resubmit a paper after the editor requested revisions
+ * Required: PDF file (or uploadId of a complete resumable upload), changelog; optional response to reviewers
+ * Only the paper's author, while the paper is REVISION_REQUESTED
+ */
+router.post(
+  '/:paperId/revisions',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.requireAuthor,
+  aclMiddleware.canAccessPaper,
+  rateLimitMiddleware.limit('upload'), // before the body is read
+  upload.single('paper'),
+  uploadController.attachUpload,
+  paperController.submitRevision
+);
+
+/**
+ * GET /papers/:paperId/revisions
+ * Version history (changelog, response to reviewers, file metadata)
+ * Reviewers only see the versions of rounds they were assigned to
+ */
+router.get('/:paperId/revisions', aclMiddleware.requireScope('papers:read'), aclMiddleware.canAccessPaper, paperController.listRevisions);
+
 /**
  * PUT /papers/:paperId/status
  * Update paper status and assign reviewers
  * Only Editor can perform this action
+ * Requires recent authentication (reviewer assignment grants paper access)
  */
 router.put(
   '/:paperId/status',
+  aclMiddleware.requireScope('papers:write'),
   aclMiddleware.canAccessPaper,
   aclMiddleware.requireEditor,
+  authMiddleware.requireRecentAuth,
   paperController.updatePaperStatus
 );
 
@@ -92,6 +192,7 @@ router.put(
  */
 router.put(
   '/:paperId/decision',
+  aclMiddleware.requireScope('reviews:write'),
   aclMiddleware.canAccessPaper,
   aclMiddleware.requireReviewer,
   paperController.reviewerDecision
@@ -103,11 +204,63 @@ router.put(
  */
 router.get(
   '/:paperId/with-reviews',
+  aclMiddleware.requireScope('reviews:read'),
   aclMiddleware.canAccessPaper,
   aclMiddleware.requireEditor,
   paperController.getPaperWithReviews
 );
 
+// ==================== SUPPLEMENTARY FILE ROUTES ====================
+
+/**
+ * GET /papers/:paperId/supplements
+ * Supplementary files of a paper (metadata), with the accepted types and size limits
+ * ACL: same as the paper
+ */
+router.get('/:paperId/supplements', aclMiddleware.requireScope('papers:read'), aclMiddleware.canAccessPaper, paperController.listSupplements);
+
+/**
+ * POST /papers/:paperId/supplements
+ * Attach a supplementary file
+ * Required: file (or uploadId of a complete resumable upload), type; optional description
+ * Only the paper's author, until the final decision; encrypted with its own key before storage
+ */
+router.post(
+  '/:paperId/supplements',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.requireAuthor,
+  aclMiddleware.canAccessPaper,
+  rateLimitMiddleware.limit('upload'), // before the body is read
+  supplementUpload.single('file'),
+  uploadController.attachUpload,
+  paperController.addSupplement
+);
+
+/**
+ * GET /papers/:paperId/supplements/:supplementId/download
+ * Download and decrypt a supplementary file (integrity verified, access audited)
+ * ACL: same as the paper
+ */
+router.get(
+  '/:paperId/supplements/:supplementId/download',
+  aclMiddleware.requireScope('papers:read'),
+  aclMiddleware.canAccessPaper,
+  rateLimitMiddleware.limit('download'),
+  paperController.downloadSupplement
+);
+
+/**
+ * DELETE /papers/:paperId/supplements/:supplementId
+ * Remove a supplementary file (paper's author, until the final decision)
+ */
+router.delete(
+  '/:paperId/supplements/:supplementId',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.requireAuthor,
+  aclMiddleware.canAccessPaper,
+  paperController.deleteSupplement
+);
+
 // ==================== REVIEW ROUTES ====================
 
 /**
@@ -115,14 +268,14 @@ router.get(
  * Submit a peer review
  * Only assigned Reviewers can submit
  */
-router.post('/:paperId/reviews', aclMiddleware.requireReviewer, reviewController.submitReview);
+router.post('/:paperId/reviews', aclMiddleware.requireScope('reviews:write'), aclMiddleware.requireReviewer, reviewController.submitReview);
 
 /**
  * GET /reviews/my
  * Get current reviewer's reviews
  * Only Reviewers
  */
-router.get('/reviews/my', aclMiddleware.requireReviewer, reviewController.getMyReviews);
+router.get('/reviews/my', aclMiddleware.requireScope('reviews:read'), aclMiddleware.requireReviewer, reviewController.getMyReviews);
 
 /**
  * GET /papers/:paperId/reviews
@@ -131,6 +284,7 @@ router.get('/reviews/my', aclMiddleware.requireReviewer, reviewController.getMyR
  */
 router.get(
   '/:paperId/reviews',
+  aclMiddleware.requireScope('reviews:read'),
   aclMiddleware.canAccessPaper,
   aclMiddleware.requireEditor,
   reviewController.getReviewsForPaper
@@ -143,6 +297,7 @@ router.get(
  */
 router.get(
   '/reviews/:reviewId',
+  aclMiddleware.requireScope('reviews:read'),
   aclMiddleware.canAccessReview,
   reviewController.getReview
 );
@@ -154,11 +309,14 @@ router.get(
  * Make final editorial decision
  * Only Editor can create decisions
  * Decision is digitally signed using RSA-PSS (non-repudiation)
+ * Requires recent authentication (step-up), so API tokens cannot sign decisions
  */
 router.post(
   '/:paperId/decision',
+  aclMiddleware.requireScope('decisions:write'),
   aclMiddleware.canAccessPaper,
   aclMiddleware.requireEditor,
+  authMiddleware.requireRecentAuth,
   decisionController.makeDecision
 );
 
@@ -167,7 +325,7 @@ router.post(
  * Get final decision for a paper
  * ACL: Authors (own only), Editors (all)
  */
-router.get('/:paperId/decision', aclMiddleware.canAccessPaper, decisionController.getDecision);
+router.get('/:paperId/decision', aclMiddleware.requireScope('decisions:read'), aclMiddleware.canAccessPaper, decisionController.getDecision);
 
 /**
  * GET /decisions/:decisionId/verify
@@ -176,6 +334,7 @@ router.get('/:paperId/decision', aclMiddleware.canAccessPaper, decisionControlle
  */
 router.get(
   '/:decisionId/verify-signature',
+  aclMiddleware.requireScope('decisions:read'),
   aclMiddleware.canAccessDecision,
   decisionController.verifyDecisionSignature
 );
@@ -184,7 +343,7 @@ router.get(
  * GET /decisions
  * List all decisions (Editor only)
  */
-router.get('/list-all', aclMiddleware.requireEditor, decisionController.listDecisions);
+router.get('/list-all', aclMiddleware.requireScope('decisions:read'), aclMiddleware.requireEditor, decisionController.listDecisions);
 
 // ==================== EDITOR ACCESS ROUTES ====================
 
@@ -192,21 +351,66 @@ router.get('/list-all', aclMiddleware.requireEditor, decisionController.listDeci
  * POST /papers/:paperId/add-editor
  * Grant editor access to a paper
  * Only the paper author can grant editor access
+ * Requires recent authentication
  */
-router.post('/:paperId/add-editor', authMiddleware.isAuthenticated, paperController.grantEditorAccess);
+router.post('/:paperId/add-editor', aclMiddleware.requireScope('papers:write'), authMiddleware.requireRecentAuth, paperController.grantEditorAccess);
 
 /**
  * GET /papers/:paperId/editors
  * Get list of editors with access to a paper
  * Only the paper author can view editors
  */
-router.get('/:paperId/editors', authMiddleware.isAuthenticated, paperController.getPaperEditors);
+router.get('/:paperId/editors', aclMiddleware.requireScope('papers:read'), paperController.getPaperEditors);
 
 /**
  * DELETE /papers/:paperId/revoke-editor
  * Revoke editor access from a paper
  * Only the paper author can revoke editor access
+ * Requires recent authentication
+ */
+router.delete('/:paperId/revoke-editor', aclMiddleware.requireScope('papers:write'), authMiddleware.requireRecentAuth, paperController.revokeEditorAccess);
+
+// ==================== INVITATION ROUTES ====================
+
+/**
+ * POST /papers/:paperId/invitations
+ * Invite someone by email to review (or co-edit) this paper
+ * Body: { email, role (Reviewer|Editor), message }
+ * Only Editors with access to the paper; requires recent authentication
+ */
+router.post(
+  '/:paperId/invitations',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.canAccessPaper,
+  aclMiddleware.requireEditor,
+  authMiddleware.requireRecentAuth,
+  invitationController.createInvitation
+);
+
+/**
+ * GET /papers/:paperId/invitations
+ * List invitations sent for this paper
  */
-router.delete('/:paperId/revoke-editor', authMiddleware.isAuthenticated, paperController.revokeEditorAccess);
+router.get(
+  '/:paperId/invitations',
+  aclMiddleware.requireScope('papers:read'),
+  aclMiddleware.canAccessPaper,
+  aclMiddleware.requireEditor,
+  invitationController.listInvitations
+);
+
+/**
+ * DELETE /papers/:paperId/invitations/:invitationId
+ * Withdraw a pending invitation
+ * Requires recent authentication
+ */
+router.delete(
+  '/:paperId/invitations/:invitationId',
+  aclMiddleware.requireScope('papers:write'),
+  aclMiddleware.canAccessPaper,
+  aclMiddleware.requireEditor,
+  authMiddleware.requireRecentAuth,
+  invitationController.revokeInvitation
+);
 
 module.exports = router;
@@ -9,6 +9,12 @@ const sessionMiddleware = require('./config/session');
 // Load environment variables
 dotenv.config();
 
+// Loaded after dotenv: its services read configuration from the environment
+const authMiddleware = require('./middleware/authMiddleware');
+const csrfMiddleware = require('./middleware/csrfMiddleware');
+const impersonationService = require('./services/impersonationService');
+const uploadService = require('./services/uploadService');
+
 // Initialize Express app
 const app = express();
 
@@ -17,9 +23,13 @@ connectDB();
 
 // ==================== MIDDLEWARE ====================
 
-// Body parsing
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
+// Client IP address (honors Forwarded / X-Forwarded-For only from TRUSTED_PROXIES)
+app.use(authMiddleware.resolveClientAddress);
+
+// Body parsing (paper files are multipart uploads, handled and size-limited by multer)
+const bodyLimit = process.env.BODY_LIMIT || '1mb';
+app.use(bodyParser.json({ limit: bodyLimit }));
+app.use(bodyParser.urlencoded({ limit: bodyLimit, extended: true }));
 
 // CORS configuration
 app.use(cors({
@@ -28,7 +38,13 @@ app.use(cors({
 }));
 
 // Session management (NIST SP 800-63-2 compliant)
-app.use(sessionMiddleware);
+// API requests carrying a personal API token are stateless and never create a session
+app.use((req, res, next) => {
+  if (req.path.startsWith('/api/') && authMiddleware.getBearerToken(req)) {
+    return next();
+  }
+  sessionMiddleware(req, res, next);
+});
 
 // Set view engine (for frontend pages)
 app.set('view engine', 'pug');
@@ -59,6 +75,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Admin "view as user" sessions: audit attribution and read-only enforcement
+app.use('/api', authMiddleware.restrictImpersonation);
+
+// CSRF protection: state-changing API requests must carry the session's token
+app.use('/api', csrfMiddleware.verifyToken);
+
+// Pages render the token for public/js/csrf.js
+app.use(csrfMiddleware.provideToken);
+
+// Pages show a banner while an Admin is viewing as another user
+app.use(authMiddleware.provideImpersonation);
+
 // ==================== ROUTES ====================
 
 // Auth routes
@@ -67,6 +95,9 @@ app.use('/api/auth', require('./routes/authRoutes'));
 // Paper, review, decision routes
 app.use('/api/papers', require('./routes/paperRoutes'));
 
+// User management console (Admin only)
+app.use('/api/admin', require('./routes/adminRoutes'));
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -94,6 +125,20 @@ app.get('/register/verify', (req, res) => {
   res.render('verify-registration');
 });
 
+app.get('/forgot-password', (req, res) => {
+  res.render('forgot-password');
+});
+
+app.get('/reset-password', (req, res) => {
+  // Token is read client-side from the query string and verified by the API
+  res.render('reset-password');
+});
+
+app.get('/report-login', (req, res) => {
+  // "This wasn't me" link from a new sign-in alert; token is verified by the API
+  res.render('report-login');
+});
+
 app.get('/dashboard', (req, res) => {
   if (!req.session.userId || !req.session.mfaVerified) {
     return res.redirect('/login');
@@ -108,6 +153,14 @@ app.get('/papers', (req, res) => {
   res.render('papers');
 });
 
+app.get('/admin', (req, res) => {
+  // Role is checked by the admin API; the page itself holds no data
+  if (!req.session.userId || !req.session.mfaVerified) {
+    return res.redirect('/login');
+  }
+  res.render('admin');
+});
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
@@ -134,6 +187,16 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 
+// Notify users about ended "view as user" sessions, including ones left to expire
+setInterval(() => {
+  impersonationService.sweep().catch((error) => console.error('Impersonation sweep error:', error));
+}, impersonationService.sweepIntervalMs).unref();
+
+// Delete abandoned resumable uploads (and their encrypted chunks)
+setInterval(() => {
+  uploadService.sweep().catch((error) => console.error('Upload sweep error:', error));
+}, uploadService.sweepIntervalMs).unref();
+
 app.listen(PORT, () => {
   console.log('\n');
   console.log('╔════════════════════════════════════════════════════════════╗');
@@ -145,7 +208,8 @@ app.listen(PORT, () => {
   console.log('');
   console.log('Security Features Enabled:');
   console.log('  ✓ NIST SP 800-63-2 Compliant Authentication');
-  console.log('  ✓ Multi-Factor Authentication (Email OTP)');
+  console.log('  ✓ Multi-Factor Authentication (Email OTP / TOTP / WebAuthn Passkeys)');
+  console.log('  ✓ OpenID Connect Single Sign-On (PKCE)');
   console.log('  ✓ Bcrypt Password Hashing (per-user salt, cost 12)');
   console.log('  ✓ AES-256-CBC File Encryption');
   console.log('  ✓ RSA-2048 Hybrid Encryption');
@@ -155,6 +219,10 @@ app.listen(PORT, () => {
   console.log('  ✓ Access Control Matrix (ACL) Enforcement');
   console.log('  ✓ Audit Logging');
   console.log('  ✓ Session Management with Timeout');
+  console.log('  ✓ Brute-Force Protection (progressive delay + lockout)');
+  console.log('  ✓ Step-Up Re-Authentication for Sensitive Actions');
+  console.log('  ✓ New Device / Network Sign-In Alerts');
+  console.log('  ✓ CSRF Tokens on State-Changing Requests');
   console.log('  ✓ CORS & Security Headers');
   console.log('');
   console.log('API Endpoints:');
@@ -162,13 +230,54 @@ app.listen(PORT, () => {
   console.log('  POST   /api/auth/login');
   console.log('  POST   /api/auth/verify-otp');
   console.log('  POST   /api/auth/logout');
+  console.log('  POST   /api/auth/impersonation/stop');
+  console.log('  GET    /api/auth/csrf-token');
   console.log('  GET    /api/auth/me');
+  console.log('  GET    /api/auth/sessions');
+  console.log('  DELETE /api/auth/sessions/:sessionId');
+  console.log('  POST   /api/auth/password/forgot');
+  console.log('  POST   /api/auth/password/reset');
+  console.log('  POST   /api/auth/password/change');
+  console.log('  POST   /api/auth/email/change/start');
+  console.log('  POST   /api/auth/email/change/verify');
+  console.log('  POST   /api/auth/step-up/start');
+  console.log('  POST   /api/auth/step-up/verify');
+  console.log('  POST   /api/auth/totp/setup');
+  console.log('  POST   /api/auth/totp/confirm');
+  console.log('  POST   /api/auth/totp/disable');
+  console.log('  POST   /api/auth/webauthn/register/options');
+  console.log('  POST   /api/auth/webauthn/register/verify');
+  console.log('  POST   /api/auth/webauthn/login/options');
+  console.log('  POST   /api/auth/webauthn/login/verify');
+  console.log('  GET    /api/auth/sso/providers');
+  console.log('  GET    /api/auth/sso/:providerKey/login');
+  console.log('  GET    /api/auth/lockouts');
+  console.log('  GET    /api/auth/suspicious-logins');
+  console.log('  GET    /api/auth/devices');
+  console.log('  POST   /api/auth/login-report');
+  console.log('  POST   /api/auth/tokens');
+  console.log('  GET    /api/auth/tokens');
+  console.log('  POST   /api/auth/role-request');
+  console.log('  GET    /api/admin/users');
+  console.log('  GET    /api/admin/role-requests');
+  console.log('  POST   /api/admin/users/:userId/roles');
+  console.log('  PUT    /api/admin/users/:userId/status');
+  console.log('  POST   /api/admin/users/:userId/reset-mfa');
+  console.log('  POST   /api/admin/users/:userId/erase');
+  console.log('  POST   /api/admin/users/:userId/impersonate');
+  console.log('  GET    /api/admin/users/:userId/impersonations');
+  console.log('  GET    /api/auth/account/export');
+  console.log('  POST   /api/auth/account/erase');
   console.log('  POST   /api/papers');
   console.log('  GET    /api/papers');
   console.log('  GET    /api/papers/:paperId');
   console.log('  GET    /api/papers/:paperId/download');
+  console.log('  POST   /api/papers/uploads');
+  console.log('  PATCH  /api/papers/uploads/:uploadId');
+  console.log('  POST   /api/papers/:paperId/supplements');
   console.log('  POST   /api/papers/:paperId/reviews');
   console.log('  POST   /api/papers/:paperId/decision');
+  console.log('  POST   /api/papers/:paperId/invitations');
   console.log('  GET    /api/papers/:paperId/decision');
   console.log('');
 });
@@ -0,0 +1,67 @@
+const Paper = require('../models/Paper');
+const Review = require('../models/Review');
+const Decision = require('../models/Decision');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Account Service
+ * Papers, reviews, decisions and invitations keep their own copy of a user's email
+ * address (for display and for matching invitations). When the address changes
+ * (email change, or pseudonymization on erasure) every copy is rewritten here so the
+ * records stay consistent. Signed decision fields (paperId, decision, summary,
+ * decidedAt) never contain the address, so signatures still verify.
+ */
+
+// Literal match of a user-supplied string inside a MongoDB regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AccountService {
+  /**
+   * Replace a user's email address wherever it was copied
+   * @param {ObjectId} userId - User whose address changed
+   * @param {string} oldEmail - Previous address
+   * @param {string} newEmail - New address
+   * @returns {Promise<Object>} Records updated per collection
+   */
+  async replaceEmailReferences(userId, oldEmail, newEmail) {
+    const counts = {};
+
+    counts.papers = (await Paper.updateMany({ authorId: userId }, { authorEmail: newEmail })).modifiedCount;
+    counts.reviews = (await Review.updateMany({ reviewerId: userId }, { reviewerEmail: newEmail })).modifiedCount;
+    counts.decisions = (await Decision.updateMany({ editorId: userId }, { editorEmail: newEmail })).modifiedCount;
+
+    // Reviewer lines in other editors' decisions ("Reviewer: <email>, ...") are not part of the signature
+    const summaries = await Decision.find({ reviewsSummary: { $regex: escapeRegex(oldEmail) } });
+    for (const decision of summaries) {
+      decision.reviewsSummary = this.replaceInText(decision.reviewsSummary, oldEmail, newEmail);
+      await decision.save();
+    }
+    counts.decisions += summaries.length;
+
+    counts.invitations = (await Invitation.updateMany({ email: oldEmail }, { email: newEmail })).modifiedCount;
+
+    return counts;
+  }
+
+  /**
+   * Replace every occurrence of an address in free text
+   * @param {string} text - Text (non-strings are returned unchanged)
+   * @param {string} oldEmail - Address to replace
+   * @param {string} newEmail - Replacement
+   * @returns {string}
+   */
+  replaceInText(text, oldEmail, newEmail) {
+    return typeof text === 'string' ? text.split(oldEmail).join(newEmail) : text;
+  }
+
+  /**
+   * Regex matching an address literally (for MongoDB $regex queries)
+   * @param {string} email - Address
+   * @returns {string}
+   */
+  emailPattern(email) {
+    return escapeRegex(email);
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,88 @@
+const ApiToken = require('../models/ApiToken');
+const cryptoService = require('./cryptoService');
+
+/**
+ * Personal API Token Service
+ * Issues, verifies and revokes scoped, expiring bearer tokens
+ */
+
+class ApiTokenService {
+  constructor() {
+    this.tokenPrefix = 'rpp_';
+    this.defaultLifetimeDays = parseInt(process.env.API_TOKEN_DEFAULT_DAYS || 90);
+    this.maxLifetimeDays = parseInt(process.env.API_TOKEN_MAX_DAYS || 365);
+    this.scopes = ApiToken.SCOPES;
+  }
+
+  /**
+   * Create a token
+   * @param {string} userId - Token owner
+   * @param {string} name - Label chosen by the user
+   * @param {string[]} scopes - Granted scopes
+   * @param {number} lifetimeDays - Days until expiry
+   * @returns {Promise<Object>} { token (plaintext, shown once), record }
+   */
+  async create(userId, name, scopes, lifetimeDays) {
+    const token = this.tokenPrefix + cryptoService.generateNonce(32);
+
+    const record = new ApiToken({
+      userId: userId,
+      name: name,
+      tokenHash: cryptoService.hashSHA256(token),
+      tokenPrefix: token.substring(0, this.tokenPrefix.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000),
+    });
+    await record.save();
+
+    return { token: token, record: record };
+  }
+
+  /**
+   * Verify a presented token and record its use
+   * @param {string} token - Plaintext bearer token
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} Token record, or null if unknown/expired/revoked
+   */
+  async verify(token, ipAddress) {
+    if (!token || !token.startsWith(this.tokenPrefix)) {
+      return null;
+    }
+
+    const record = await ApiToken.findOne({
+      tokenHash: cryptoService.hashSHA256(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (record) {
+      await ApiToken.updateOne({ _id: record._id }, { lastUsedAt: new Date(), lastUsedIp: ipAddress });
+    }
+    return record;
+  }
+
+  /**
+   * List a user's tokens (never includes the hash)
+   * @param {string} userId - Token owner
+   * @returns {Promise<Array>} Token records, newest first
+   */
+  async listForUser(userId) {
+    return await ApiToken.find({ userId: userId }).select('-tokenHash').sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {string} userId - Token owner
+   * @param {string} tokenId - ApiToken document ID
+   * @returns {Promise<Object|null>} Revoked record, or null if not found
+   */
+  async revoke(userId, tokenId) {
+    return await ApiToken.findOneAndUpdate(
+      { _id: tokenId, userId: userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new ApiTokenService();
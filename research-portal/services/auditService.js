@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const AuditLog = require('../models/AuditLog');
 
 /**
@@ -7,6 +8,12 @@ const AuditLog = require('../models/AuditLog');
  */
 
 class AuditService {
+  constructor() {
+    // Request being handled: { clientAddress: { address, chain }, impersonatorId }
+    // Set per request by authMiddleware; recorded on every entry written while handling it
+    this.requestContext = new AsyncLocalStorage();
+  }
+
   /**
    * Log user action to database
    * @param {string} userId - User performing the action
@@ -19,6 +26,9 @@ class AuditService {
    */
   async log(userId, action, resource, status, details, ipAddress) {
     try {
+      // Forwarding chain of the request being handled, when the entry is about its client
+      const request = this.requestContext.getStore();
+      const clientAddress = request ? request.clientAddress : null;
       const auditLog = new AuditLog({
         userId: userId,
         action: action,
@@ -26,6 +36,8 @@ class AuditService {
         status: status,
         details: details,
         ipAddress: ipAddress,
+        forwardedChain: clientAddress && clientAddress.address === ipAddress ? clientAddress.chain : [],
+        impersonatorId: request ? request.impersonatorId : null,
         timestamp: new Date(),
       });
 
@@ -69,17 +81,222 @@ class AuditService {
   /**
    * Log MFA verification
    */
-  async logMFAVerification(userId, email, success, ipAddress) {
+  async logMFAVerification(userId, email, success, ipAddress, method = 'OTP') {
     await this.log(
       userId,
       success ? 'MFA_VERIFIED' : 'MFA_FAILED',
       email,
       success ? 'SUCCESS' : 'FAILURE',
-      `OTP verification ${success ? 'successful' : 'failed'}`,
+      `${method} verification ${success ? 'successful' : 'failed'}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log a sign-in from a browser or network not seen before for the account
+   */
+  async logSuspiciousLogin(userId, email, reasons, device, ipAddress) {
+    await this.log(
+      userId,
+      'SUSPICIOUS_LOGIN',
+      email,
+      'SUCCESS',
+      `Sign-in from ${reasons.join(' and ')} [${device}]; user alerted by email`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log a user disowning a sign-in via the alert email link
+   */
+  async logLoginReported(userId, email, details, ipAddress) {
+    await this.log(userId, 'LOGIN_REPORTED', email, 'SUCCESS', details, ipAddress);
+  }
+
+  /**
+   * Log a step-up re-authentication before a sensitive action
+   */
+  async logStepUp(userId, email, success, ipAddress, method = 'OTP') {
+    await this.log(
+      userId,
+      success ? 'STEP_UP_VERIFIED' : 'STEP_UP_FAILED',
+      email,
+      success ? 'SUCCESS' : 'FAILURE',
+      `Re-authentication with ${method} ${success ? 'successful' : 'failed'}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log TOTP authenticator enrollment or removal
+   */
+  async logTOTPChange(userId, email, enabled, ipAddress) {
+    await this.log(
+      userId,
+      enabled ? 'TOTP_ENROLLED' : 'TOTP_DISABLED',
+      email,
+      'SUCCESS',
+      `Authenticator app ${enabled ? 'enrolled' : 'disabled'}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log WebAuthn authenticator registration or removal
+   */
+  async logWebAuthnChange(userId, email, credentialName, added, ipAddress) {
+    await this.log(
+      userId,
+      added ? 'WEBAUTHN_REGISTERED' : 'WEBAUTHN_REMOVED',
+      email,
+      'SUCCESS',
+      `Security key ${added ? 'registered' : 'removed'}: ${credentialName}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log (re)generation of MFA recovery codes
+   */
+  async logRecoveryCodesGenerated(userId, email, count, ipAddress) {
+    await this.log(
+      userId,
+      'RECOVERY_CODES_GENERATED',
+      email,
+      'SUCCESS',
+      `${count} recovery codes generated; previous codes invalidated`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log sign-in with an MFA recovery code
+   */
+  async logRecoveryCodeUsed(userId, email, remaining, ipAddress) {
+    await this.log(
+      userId,
+      'RECOVERY_CODE_USED',
+      email,
+      'SUCCESS',
+      `Recovery code used for MFA (${remaining} remaining)`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log password reset / change events
+   */
+  async logPasswordEvent(userId, action, email, success, ipAddress, details = '') {
+    await this.log(
+      userId,
+      action,
+      email,
+      success ? 'SUCCESS' : 'FAILURE',
+      details,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log email-address change events (request and completion)
+   * Resource is the address the account had when the event happened
+   */
+  async logEmailChange(userId, action, email, success, ipAddress, details = '') {
+    await this.log(
+      userId,
+      action,
+      email,
+      success ? 'SUCCESS' : 'FAILURE',
+      details,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log a brute-force lockout (account or IP)
+   */
+  async logLockout(key, identifier, reason, ipAddress) {
+    await this.log(
+      null,
+      'ACCOUNT_LOCKED',
+      key,
+      'FAILURE',
+      `Temporarily locked${identifier ? ` (${identifier})` : ''}: ${reason}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log session revocation (by the owner) or forced logout (by an administrator)
+   */
+  async logSessionRevocation(userId, action, targetEmail, count, ipAddress, details = '') {
+    await this.log(
+      userId,
+      action,
+      targetEmail,
+      'SUCCESS',
+      `${count} session(s) revoked${details ? `: ${details}` : ''}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log personal API token creation / revocation
+   */
+  async logApiTokenChange(userId, email, token, created, ipAddress) {
+    await this.log(
+      userId,
+      created ? 'API_TOKEN_CREATED' : 'API_TOKEN_REVOKED',
+      email,
+      'SUCCESS',
+      `${token.name} (${token.tokenPrefix}…)${created ? ` scopes: ${token.scopes.join(', ')}; expires ${token.expiresAt.toISOString()}` : ''}`,
       ipAddress
     );
   }
 
+  /**
+   * Log an SSO identity being linked to an existing account or provisioning a new one
+   */
+  async logSSOAccount(userId, email, providerName, linked, ipAddress) {
+    await this.log(
+      userId,
+      linked ? 'SSO_ACCOUNT_LINKED' : 'SSO_ACCOUNT_PROVISIONED',
+      email,
+      'SUCCESS',
+      linked ? `Linked to ${providerName} identity` : `Account provisioned from ${providerName}`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log an invitation event (sent, accepted, declined, revoked)
+   * @param {string} userId - Acting user (null for an anonymous decline)
+   * @param {string} action - INVITATION_SENT, INVITATION_ACCEPTED, INVITATION_DECLINED, INVITATION_REVOKED
+   * @param {string} email - Invitee email
+   * @param {string} details - Role and paper
+   */
+  async logInvitation(userId, action, email, details, ipAddress) {
+    await this.log(userId, action, email, 'SUCCESS', details, ipAddress);
+  }
+
+  /**
+   * Log a request for an elevated role
+   */
+  async logRoleRequest(userId, email, requestedRole, ipAddress) {
+    await this.log(userId, 'ROLE_REQUESTED', email, 'SUCCESS', `Requested role: ${requestedRole}`, ipAddress);
+  }
+
+  /**
+   * Log a user management action by an Admin
+   * @param {string} adminId - Admin performing the action
+   * @param {string} action - ROLE_GRANTED, ACCOUNT_DEACTIVATED, MFA_RESET, etc.
+   * @param {string} targetEmail - Affected user
+   * @param {string} details - What changed (and why)
+   */
+  async logAdminAction(adminId, action, targetEmail, details, ipAddress) {
+    await this.log(adminId, action, targetEmail, 'SUCCESS', details, ipAddress);
+  }
+
   /**
    * Log file upload
    */
@@ -108,6 +325,28 @@ class AuditService {
     );
   }
 
+  /**
+   * Log a revised manuscript (resubmission after REVISION_REQUESTED)
+   */
+  async logRevisionSubmission(userId, paperId, version, fileName, reviewerCount, ipAddress) {
+    await this.log(
+      userId,
+      'REVISION_SUBMITTED',
+      paperId,
+      'SUCCESS',
+      `Version ${version} uploaded: ${fileName}; ${reviewerCount} reviewer(s) re-linked`,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log a supplementary file added to or removed from a paper
+   * @param {string} action - SUPPLEMENT_ADDED or SUPPLEMENT_REMOVED
+   */
+  async logSupplement(userId, action, paperId, description, ipAddress) {
+    await this.log(userId, action, paperId, 'SUCCESS', description, ipAddress);
+  }
+
   /**
    * Log access control denial
    */
@@ -122,6 +361,34 @@ class AuditService {
     );
   }
 
+  /**
+   * Log a state-changing request rejected for a missing or invalid CSRF token
+   */
+  async logCSRFRejected(userId, method, path, ipAddress, reason) {
+    await this.log(
+      userId,
+      'CSRF_REJECTED',
+      `${method} ${path}`,
+      'FAILURE',
+      reason,
+      ipAddress
+    );
+  }
+
+  /**
+   * Log a request rejected by the API rate limiter (first rejection per window)
+   */
+  async logRateLimited(userId, bucket, subject, request, ipAddress) {
+    await this.log(
+      userId,
+      'RATE_LIMITED',
+      request,
+      'FAILURE',
+      `Rate limit exceeded: ${bucket} budget for ${subject}`,
+      ipAddress
+    );
+  }
+
   /**
    * Log review submission
    */
@@ -168,6 +435,30 @@ class AuditService {
       .limit(limit);
   }
 
+  /**
+   * Get recent lockout events (for administrator review)
+   */
+  async getLockoutHistory(hours = 24) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    return await AuditLog.find({
+      action: { $in: ['ACCOUNT_LOCKED', 'ACCOUNT_UNLOCKED'] },
+      timestamp: { $gte: since },
+    }).sort({ timestamp: -1 });
+  }
+
+  /**
+   * Get sign-ins from new browsers/networks and the ones users reported (for security review)
+   */
+  async getSuspiciousLogins(hours = 168) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    return await AuditLog.find({
+      action: { $in: ['SUSPICIOUS_LOGIN', 'LOGIN_REPORTED'] },
+      timestamp: { $gte: since },
+    })
+      .populate('userId', 'fullName username email')
+      .sort({ timestamp: -1 });
+  }
+
   /**
    * Get all failed access attempts (for security monitoring)
    */
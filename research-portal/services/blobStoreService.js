@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Blob Store Service
+ * Stores encrypted manuscripts outside the Paper/PaperRevision documents, which only keep a
+ * reference ({ store, id, size }) and the crypto metadata (IV, RSA-encrypted key, hash).
+ * Blobs are ciphertext: the stores never see plaintext or key material.
+ *
+ * Backends (BLOB_STORE):
+ * - gridfs (default): GridFS bucket BLOB_STORE_BUCKET in the portal's MongoDB database
+ * - filesystem: files under BLOB_STORE_DIR on local disk (or a mounted volume)
+ *
+ * New blobs go to the configured backend; existing blobs are always read from the backend
+ * recorded in their reference, so switching backends does not strand old files.
+ * Blobs are written and read as streams, so a file is never held in memory whole.
+ */
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../storage/blobs');
+
+/**
+ * GridFS backend (chunks in MongoDB, no 16MB document limit)
+ */
+class GridFSBlobStore {
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+  }
+
+  bucket() {
+    if (!mongoose.connection.db) {
+      throw new Error('GridFS blob store used before the database connection was opened');
+    }
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  async putStream(source, metadata) {
+    const upload = this.bucket().openUploadStream(metadata.fileName || 'blob', { metadata: metadata });
+    try {
+      await pipeline(source, upload);
+    } catch (error) {
+      // Drop the chunks written so far
+      await upload.abort().catch(() => {});
+      throw error;
+    }
+    return upload.id.toString();
+  }
+
+  openReadStream(id) {
+    return this.bucket().openDownloadStream(new mongoose.Types.ObjectId(id));
+  }
+
+  async remove(id) {
+    await this.bucket().delete(new mongoose.Types.ObjectId(id));
+  }
+}
+
+/**
+ * Local filesystem backend
+ * Blobs are named by random IDs and sharded by their first two characters
+ */
+class FileSystemBlobStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  pathFor(id) {
+    if (!/^[0-9a-f]{32}$/.test(id)) {
+      throw new Error('Invalid blob ID');
+    }
+    return path.join(this.directory, id.slice(0, 2), id);
+  }
+
+  async putStream(source) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const target = this.pathFor(id);
+    const temporary = `${target}.tmp`;
+
+    // Written under a temporary name and renamed, so a crash never leaves a truncated blob
+    await fs.promises.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+    try {
+      await pipeline(source, fs.createWriteStream(temporary, { mode: 0o600 }));
+    } catch (error) {
+      await fs.promises.rm(temporary, { force: true });
+      throw error;
+    }
+    await fs.promises.rename(temporary, target);
+    return id;
+  }
+
+  openReadStream(id) {
+    return fs.createReadStream(this.pathFor(id));
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.pathFor(id), { force: true });
+  }
+}
+
+class BlobStoreService {
+  constructor() {
+    this.defaultStore = (process.env.BLOB_STORE || 'gridfs').toLowerCase();
+    this.stores = {
+      gridfs: new GridFSBlobStore(process.env.BLOB_STORE_BUCKET || 'manuscripts'),
+      filesystem: new FileSystemBlobStore(process.env.BLOB_STORE_DIR || DEFAULT_DIRECTORY),
+    };
+
+    if (!this.stores[this.defaultStore]) {
+      console.warn(`⚠ Unknown BLOB_STORE "${this.defaultStore}", using gridfs`);
+      this.defaultStore = 'gridfs';
+    }
+  }
+
+  /**
+   * Backend for a store name
+   * @param {string} name - 'gridfs' or 'filesystem'
+   * @returns {Object} Backend
+   */
+  backend(name) {
+    const store = this.stores[name];
+    if (!store) {
+      throw new Error(`Unknown blob store: ${name}`);
+    }
+    return store;
+  }
+
+  /**
+   * Store a stream in the configured backend
+   * @param {Readable} source - Content (ciphertext)
+   * @param {Object} metadata - Non-secret description, e.g. { paperId, version, fileName }
+   * @returns {Promise<Object>} Reference { store, id, size } (nothing is kept if the stream fails)
+   */
+  async putStream(source, metadata = {}) {
+    let size = 0;
+    const counter = new stream.Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    // A failing source destroys the counter, which fails (and cleans up) the backend write
+    const counted = stream.pipeline(source, counter, () => {});
+    const id = await this.backend(this.defaultStore).putStream(counted, metadata);
+    return { store: this.defaultStore, id: id, size: size };
+  }
+
+  /**
+   * Store a buffer in the configured backend
+   * @param {Buffer} buffer - Content (ciphertext)
+   * @param {Object} metadata - See putStream
+   * @returns {Promise<Object>} Reference { store, id, size }
+   */
+  async put(buffer, metadata = {}) {
+    return this.putStream(stream.Readable.from([buffer]), metadata);
+  }
+
+  /**
+   * Read a blob as a stream
+   * @param {Object} ref - Reference from put/putStream
+   * @returns {Readable}
+   */
+  openReadStream(ref) {
+    return this.backend(ref.store).openReadStream(ref.id);
+  }
+
+  /**
+   * Delete a blob (cleanup after a failed write; manuscripts are otherwise never deleted)
+   * Errors are logged, not thrown
+   * @param {Object} ref - Reference from put
+   */
+  async remove(ref) {
+    try {
+      await this.backend(ref.store).remove(ref.id);
+    } catch (error) {
+      console.error(`Failed to delete blob ${ref.store}:${ref.id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new BlobStoreService();
@@ -0,0 +1,142 @@
+const net = require('net');
+
+/**
+ * Client Address Service
+ * Resolves the client IP address behind reverse proxies
+ *
+ * Forwarding headers (RFC 7239 `Forwarded`, or `X-Forwarded-For`) are only believed when
+ * they were added by a configured trusted proxy (TRUSTED_PROXIES). The chain of hops is
+ * walked from the connecting peer towards the client, skipping trusted proxies; the first
+ * untrusted hop is the client. A client talking to the portal directly cannot influence
+ * its recorded address, and one behind the proxy can only prepend hops that are ignored.
+ *
+ * Audit entries record both the resolved address and the full chain (as claimed, client
+ * first, connecting peer last).
+ */
+
+// Named sets usable in TRUSTED_PROXIES besides CIDRs and single addresses
+const PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+};
+
+class ClientAddressService {
+  constructor() {
+    this.trustedProxies = new net.BlockList();
+    this.trustedProxyList = [];
+    for (const entry of (process.env.TRUSTED_PROXIES || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+      for (const cidr of PRESETS[entry.toLowerCase()] || [entry]) {
+        this.addTrustedProxy(cidr);
+      }
+    }
+  }
+
+  /**
+   * Trust a proxy address or CIDR range
+   * @param {string} cidr - e.g. "10.0.0.0/8", "2001:db8::/32", "203.0.113.7"
+   */
+  addTrustedProxy(cidr) {
+    const [address, prefix] = cidr.split('/');
+    const normalized = this.normalize(address);
+    const family = normalized && net.isIP(normalized) === 6 ? 'ipv6' : 'ipv4';
+    const maxPrefix = family === 'ipv6' ? 128 : 32;
+    const prefixLength = prefix === undefined ? maxPrefix : parseInt(prefix, 10);
+
+    if (!normalized || !(prefixLength >= 0 && prefixLength <= maxPrefix)) {
+      console.warn(`⚠ Ignoring invalid TRUSTED_PROXIES entry: ${cidr}`);
+      return;
+    }
+    this.trustedProxies.addSubnet(normalized, prefixLength, family);
+    this.trustedProxyList.push(`${normalized}/${prefixLength}`);
+  }
+
+  /**
+   * Canonical form of an address as found in a header or socket
+   * Strips quotes, brackets, ports and IPv6 zone IDs; IPv4-mapped IPv6 becomes IPv4
+   * @param {string} value - Raw address
+   * @returns {string|null} Canonical address, or null if not an IP address ("unknown", "_hidden")
+   */
+  normalize(value) {
+    let address = (value || '').trim().replace(/^"|"$/g, '');
+
+    const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) {
+      address = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(address)) {
+      address = address.split(':')[0]; // IPv4 with port
+    }
+    address = address.split('%')[0].toLowerCase();
+
+    const mapped = address.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (mapped) {
+      address = mapped[1];
+    }
+
+    const version = net.isIP(address);
+    if (version === 6) {
+      return new net.SocketAddress({ address: address, family: 'ipv6' }).address;
+    }
+    return version === 4 ? address : null;
+  }
+
+  /**
+   * Hops listed in an RFC 7239 Forwarded header, client first
+   * e.g. `for=192.0.2.60;proto=https, for="[2001:db8:cafe::17]:4711"`
+   * @param {string} header - Forwarded header value
+   * @returns {string[]} Raw "for" values ("unknown" where an element has none)
+   */
+  parseForwarded(header) {
+    return header.split(',').map((element) => {
+      const forPair = element
+        .split(';')
+        .map((pair) => pair.trim())
+        .find((pair) => pair.toLowerCase().startsWith('for='));
+      return forPair ? forPair.slice(4).trim().replace(/^"|"$/g, '') : 'unknown';
+    });
+  }
+
+  /**
+   * Whether an address belongs to a trusted proxy
+   * @param {string} address - Canonical address
+   * @returns {boolean}
+   */
+  isTrustedProxy(address) {
+    return !!address && this.trustedProxies.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Resolve a request's client address
+   * @param {Object} req - Express request
+   * @returns {Object} { address, chain } (chain: raw hops, client first, connecting peer last)
+   */
+  resolve(req) {
+    const peer = (req.socket && req.socket.remoteAddress) || 'unknown';
+    const forwarded = req.headers.forwarded;
+    const forwardedFor = req.headers['x-forwarded-for'];
+
+    // Standard header preferred; X-Forwarded-For for proxies that only send that
+    let claimed = [];
+    if (forwarded) {
+      claimed = this.parseForwarded(forwarded);
+    } else if (forwardedFor) {
+      claimed = forwardedFor.split(',').map((hop) => hop.trim());
+    }
+    const chain = [...claimed, peer];
+    const hops = chain.map((hop) => this.normalize(hop));
+
+    // Walk back from the peer while the hop is a trusted proxy
+    let index = hops.length - 1;
+    while (index > 0 && this.isTrustedProxy(hops[index])) {
+      index -= 1;
+    }
+    // An obfuscated or malformed hop ("unknown", "_hidden") is attributed to the proxy that reported it
+    while (!hops[index] && index < hops.length - 1) {
+      index += 1;
+    }
+
+    return { address: hops[index] || peer, chain: chain };
+  }
+}
+
+module.exports = new ClientAddressService();
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { Transform } = require('stream');
 
 /**
  * Cryptography Service
@@ -113,6 +114,18 @@ class CryptoService {
     return crypto.createHash(this.hashAlgorithm).update(data).digest('hex');
   }
 
+  /**
+   * Calculate a keyed HMAC-SHA256 of data
+   * For short secrets (e.g. 6-digit codes) stored server-side: unlike a plain hash, it cannot be
+   * reversed by trying every value without the key
+   * @param {string|Buffer} data - Data to authenticate
+   * @param {string} secret - HMAC secret
+   * @returns {string} Hex-encoded HMAC
+   */
+  hmacSHA256(data, secret) {
+    return crypto.createHmac(this.hashAlgorithm, secret).update(data).digest('hex');
+  }
+
   /**
    * Sign data using RSA-PSS (Probabilistic Signature Scheme)
    * More secure than PKCS#1 v1.5 padding
@@ -199,7 +212,7 @@ class CryptoService {
 
   /**
    * Decrypt a file for retrieval
-   * @param {Object} encryptedPackage - Object from encryptFile
+   * @param {Object} encryptedPackage - Object from encryptFile (encryptedData as Base64 or a Buffer)
    * @param {string} privateKeyPath - Path to RSA private key
    * @returns {Object} Decrypted file and verification status
    */
@@ -211,7 +224,9 @@ class CryptoService {
 
       // Decrypt file using AES
       const iv = Buffer.from(encryptedPackage.iv, 'base64');
-      const encryptedFileBuffer = Buffer.from(encryptedPackage.encryptedData, 'base64');
+      const encryptedFileBuffer = Buffer.isBuffer(encryptedPackage.encryptedData)
+        ? encryptedPackage.encryptedData
+        : Buffer.from(encryptedPackage.encryptedData, 'base64');
       const decryptedFile = this.decryptAES(encryptedFileBuffer, aesKey, iv);
 
       // Verify hash
@@ -229,6 +244,91 @@ class CryptoService {
     }
   }
 
+  /**
+   * Streaming hybrid encryption (same format as encryptFile, without holding the file in memory)
+   * Plaintext written to `stream` comes out as AES-256-CBC ciphertext; the SHA-256 hash and
+   * size of the plaintext are computed incrementally and set once the stream has ended.
+   * @param {string} publicKeyPath - Path to RSA public key
+   * @returns {Object} { stream (Transform), iv, encryptedKey (Base64), hash, size (set on end) }
+   */
+  createEncryptionStream(publicKeyPath) {
+    const aesKey = this.generateAESKey();
+    const iv = this.generateIV();
+    const cipher = crypto.createCipheriv(this.algorithm, aesKey, iv);
+    const hash = crypto.createHash(this.hashAlgorithm);
+
+    const result = {
+      iv: iv.toString('base64'),
+      encryptedKey: this.encryptKeyWithRSA(aesKey, publicKeyPath).toString('base64'),
+      hash: null,
+      size: 0,
+    };
+
+    result.stream = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        result.size += chunk.length;
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        result.hash = hash.digest('hex');
+        callback(null, cipher.final());
+      },
+    });
+    return result;
+  }
+
+  /**
+   * Streaming decryption with integrity check
+   * Ciphertext written to the stream comes out as plaintext, hashed as it passes. The most
+   * recent decrypted chunk is held back and only released once the SHA-256 hash matches,
+   * otherwise the stream fails with code HASH_MISMATCH, so a tampered or corrupted file is
+   * never delivered complete (whatever the plaintext length).
+   * Throws immediately if the AES key cannot be unwrapped with the private key.
+   * @param {Object} encryptedPackage - { iv, encryptedKey, hash } as from encryptFile
+   * @param {string} privateKeyPath - Path to RSA private key
+   * @returns {Transform}
+   */
+  createDecryptionStream(encryptedPackage, privateKeyPath) {
+    const aesKey = this.decryptKeyWithRSA(Buffer.from(encryptedPackage.encryptedKey, 'base64'), privateKeyPath);
+    const decipher = crypto.createDecipheriv(this.algorithm, aesKey, Buffer.from(encryptedPackage.iv, 'base64'));
+    const hash = crypto.createHash(this.hashAlgorithm);
+
+    // decipher.update() alone only keeps back the padding block, which carries no plaintext
+    // when the length is a multiple of 16, so the last decrypted chunk is kept here instead
+    let held = null;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const plaintext = decipher.update(chunk);
+        if (plaintext.length === 0) {
+          return callback();
+        }
+        hash.update(plaintext);
+        if (held) {
+          this.push(held);
+        }
+        held = plaintext;
+        callback();
+      },
+      flush(callback) {
+        let last;
+        try {
+          last = decipher.final();
+        } catch (error) {
+          return callback(new Error(`File decryption failed: ${error.message}`));
+        }
+        hash.update(last);
+        if (hash.digest('hex') !== encryptedPackage.hash) {
+          const mismatch = new Error('File integrity check failed');
+          mismatch.code = 'HASH_MISMATCH';
+          return callback(mismatch);
+        }
+        callback(null, held ? Buffer.concat([held, last]) : last);
+      },
+    });
+  }
+
   /**
    * Generate cryptographic OTP (One-Time Password)
    * Uses crypto.randomInt for secure random number generation
@@ -239,6 +339,199 @@ class CryptoService {
     return crypto.randomInt(100000, 999999).toString();
   }
 
+  /**
+   * Create an HMAC-SHA256 signed, expiring token (for emailed links)
+   * Format: base64url(JSON payload).base64url(signature)
+   * @param {Object} payload - Claims to embed (e.g. { sub, purpose, nonce })
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @param {string} secret - HMAC secret
+   * @returns {string} Signed token
+   */
+  createSignedToken(payload, ttlMs, secret) {
+    const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString('base64url');
+    const signature = crypto.createHmac(this.hashAlgorithm, secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Verify a token from createSignedToken
+   * Signature compared in constant time; expired tokens rejected
+   * @param {string} token - Signed token
+   * @param {string} secret - HMAC secret
+   * @returns {Object|null} Payload if valid and unexpired, otherwise null
+   */
+  verifySignedToken(token, secret) {
+    if (typeof token !== 'string' || token.split('.').length !== 2) {
+      return null;
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac(this.hashAlgorithm, secret).update(body).digest();
+    const provided = Buffer.from(signature, 'base64url');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload.exp && Date.now() <= payload.exp ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Generate a random URL-safe nonce
+   * @param {number} bytes - Entropy in bytes
+   * @returns {string} Base64URL string
+   */
+  generateNonce(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
+
+  /**
+   * Generate single-use MFA recovery codes
+   * Each code carries 40 bits of entropy, formatted xxxx-xxxx (Base32 alphabet)
+   * @param {number} count - Number of codes to generate
+   * @returns {string[]} Plaintext recovery codes
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const code = this.base32Encode(crypto.randomBytes(5)).toLowerCase();
+      codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+    }
+    return codes;
+  }
+
+  /**
+   * Generate a random TOTP shared secret (160 bits, RFC 4226 recommendation)
+   * @returns {string} Base32-encoded secret (for authenticator apps)
+   */
+  generateTOTPSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Compute an RFC 6238 TOTP code (HMAC-SHA1, 30-second steps, 6 digits)
+   * @param {string} secret - Base32-encoded shared secret
+   * @param {number} step - Time step counter (floor(unixTime / 30))
+   * @returns {string} 6-digit TOTP code
+   */
+  generateTOTP(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % 1000000).toString().padStart(6, '0');
+  }
+
+  /**
+   * Verify a TOTP code, tolerating clock drift of +/- `window` steps
+   * Comparison is constant-time to avoid leaking partial matches
+   * @param {string} secret - Base32-encoded shared secret
+   * @param {string} token - 6-digit code entered by the user
+   * @param {number} window - Number of 30-second steps accepted either side
+   * @param {number|null} lastUsedStep - Last accepted step; it and earlier steps are rejected (replay protection)
+   * @returns {number|null} Matched time step, or null if invalid
+   */
+  verifyTOTP(secret, token, window = 1, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(String(token))) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / 30);
+    const tokenBuffer = Buffer.from(String(token));
+
+    for (let drift = -window; drift <= window; drift++) {
+      const step = currentStep + drift;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+      const expected = Buffer.from(this.generateTOTP(secret, step));
+      if (crypto.timingSafeEqual(expected, tokenBuffer)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build otpauth:// provisioning URI (rendered as a QR code by the client)
+   * @param {string} secret - Base32-encoded shared secret
+   * @param {string} accountName - User's email address
+   * @param {string} issuer - Service name shown in the authenticator app
+   * @returns {string} Provisioning URI
+   */
+  buildTOTPUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret: secret,
+      issuer: issuer,
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Encode bytes as RFC 4648 Base32 (no padding)
+   * @param {Buffer} buffer - Data to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += alphabet[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += alphabet[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 Base32 string (padding and case ignored)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded bytes
+   */
+  base32Decode(input) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const cleaned = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = alphabet.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid Base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(output);
+  }
+
   /**
    * Compare plain text with bcrypt hash
    * Note: bcrypt is handled separately in authService
@@ -9,6 +9,10 @@ dotenv.config();
  * OTP is critical for MFA implementation per NIST SP 800-63-2
  */
 
+// User-supplied text (titles, personal notes) embedded in HTML emails
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -64,25 +68,362 @@ class EmailService {
     }
   }
 
+  /**
+   * Alert user that a recovery code was used to sign in
+   * @param {string} email - User email address
+   * @param {string} userName - User's name for personalization
+   * @param {number} remaining - Unused recovery codes left
+   * @param {string} ipAddress - IP address of the sign-in
+   * @returns {Promise<boolean>}
+   */
+  async sendRecoveryCodeAlert(email, userName, remaining, ipAddress) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Security Alert: Recovery code used on your Research Portal account',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Recovery Code Used</h2>
+            <p>Hello ${userName},</p>
+            <p>A one-time recovery code was just used to complete sign-in to your account.</p>
+            <p><strong>Time:</strong> ${new Date().toUTCString()}<br>
+            <strong>IP address:</strong> ${ipAddress}<br>
+            <strong>Recovery codes remaining:</strong> ${remaining}</p>
+            <p style="color: #c00;">
+              If this was not you, change your password immediately and regenerate your recovery codes.
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send recovery code alert:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Alert a user to a sign-in from a new browser or network
+   * @param {string} email - User email address
+   * @param {string} userName - User's name for personalization
+   * @param {Object} details - { time, ipAddress, userAgent, device, reasons, reportLink }
+   * @returns {Promise<boolean>}
+   */
+  async sendNewLoginAlert(email, userName, details) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Security Alert: New sign-in to your Research Portal account',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>New Sign-In Detected</h2>
+            <p>Hello ${escapeHtml(userName)},</p>
+            <p>Your account was just signed in to from a ${escapeHtml(details.reasons.join(' and '))}.</p>
+            <p><strong>Time:</strong> ${details.time.toUTCString()}<br>
+            <strong>IP address:</strong> ${escapeHtml(details.ipAddress)}<br>
+            <strong>Device:</strong> ${escapeHtml(details.device)}<br>
+            <strong>Browser:</strong> ${escapeHtml(details.userAgent)}</p>
+            <p>If this was you, no action is needed.</p>
+            <p><a href="${details.reportLink}" style="display: inline-block; padding: 10px 20px; background-color: #c00; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">This wasn't me</a></p>
+            <p style="color: #c00;">
+              The link signs your account out everywhere. Then reset your password.
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send new sign-in alert:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send password reset link
+   * @param {string} email - User email address
+   * @param {string} userName - User's name for personalization
+   * @param {string} resetLink - Signed, single-use reset URL
+   * @returns {Promise<boolean>}
+   */
+  async sendPasswordResetLink(email, userName, resetLink) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Reset your Research Portal password',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Password Reset</h2>
+            <p>Hello ${userName},</p>
+            <p>We received a request to reset the password for your account.</p>
+            <p><a href="${resetLink}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Reset Password</a></p>
+            <p style="color: #666;">
+              <strong>⏱️ This link expires in 30 minutes and can only be used once.</strong>
+            </p>
+            <p style="color: #666;">
+              If you did not request a password reset, please ignore this email. Your password will not change.
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send password reset link:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Notify user that their password was changed
+   * @param {string} email - User email address
+   * @param {string} userName - User's name for personalization
+   * @param {string} ipAddress - IP address the change came from
+   * @returns {Promise<boolean>}
+   */
+  async sendPasswordChangedNotice(email, userName, ipAddress) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Security Alert: Your Research Portal password was changed',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Password Changed</h2>
+            <p>Hello ${userName},</p>
+            <p>The password for your account was just changed and all other sessions were signed out.</p>
+            <p><strong>Time:</strong> ${new Date().toUTCString()}<br>
+            <strong>IP address:</strong> ${ipAddress}</p>
+            <p style="color: #c00;">
+              If you did not make this change, reset your password immediately and contact the editorial office.
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send password change notice:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a code confirming an email-address change
+   * Sent to both the current and the requested address, each with its own code
+   * @param {string} email - Recipient (current or new address)
+   * @param {string} userName - User's name for personalization
+   * @param {string} code - Confirmation code (6 digits)
+   * @param {Object} details - { newEmail, isNewAddress, expiresAt }
+   * @returns {Promise<boolean>}
+   */
+  async sendEmailChangeCode(email, userName, code, details) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: details.isNewAddress
+          ? 'Confirm your new Research Portal email address'
+          : 'Security Alert: Email address change requested',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Email Address Change</h2>
+            <p>Hello ${escapeHtml(userName)},</p>
+            <p>${details.isNewAddress
+              ? 'Someone asked to use this address for their Research Portal account.'
+              : `A request was made to change your account's email address to <strong>${escapeHtml(details.newEmail)}</strong>.`}
+              Enter this code together with the code sent to the ${details.isNewAddress ? 'current' : 'new'} address to confirm:</p>
+            <div style="background-color: #f0f0f0; padding: 20px; text-align: center; margin: 20px 0; border-radius: 5px;">
+              <h1 style="margin: 0; color: #007bff; letter-spacing: 5px; font-family: monospace;">${code}</h1>
+            </div>
+            <p style="color: #666;">
+              <strong>⏱️ This code expires at ${details.expiresAt.toUTCString()}.</strong>
+            </p>
+            <p style="color: ${details.isNewAddress ? '#666' : '#c00'};">
+              ${details.isNewAddress
+                ? 'If you did not request this, ignore this email; the address will not be added.'
+                : 'If you did not request this, do not share this code. Change your password and contact the editorial office.'}
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send email change code to ${email}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Notify the previous address that the account's email address was changed
+   * @param {string} email - Previous address
+   * @param {string} userName - User's name for personalization
+   * @param {string} newEmail - Address now on the account
+   * @param {string} ipAddress - IP address the change came from
+   * @returns {Promise<boolean>}
+   */
+  async sendEmailChangedNotice(email, userName, newEmail, ipAddress) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Security Alert: Your Research Portal email address was changed',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Email Address Changed</h2>
+            <p>Hello ${escapeHtml(userName)},</p>
+            <p>Your account's email address was changed to <strong>${escapeHtml(newEmail)}</strong>.
+              This address will no longer receive messages about your account.</p>
+            <p><strong>Time:</strong> ${new Date().toUTCString()}<br>
+            <strong>IP address:</strong> ${escapeHtml(ipAddress)}</p>
+            <p style="color: #c00;">
+              If you did not make this change, contact the editorial office immediately.
+            </p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send email changed notice:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tell a user that an administrator viewed the portal as them
+   * @param {string} email - User email address
+   * @param {string} userName - User's name for personalization
+   * @param {Object} details - { adminName, reason, readOnly, startedAt, endedAt }
+   * @returns {Promise<boolean>}
+   */
+  async sendImpersonationNotice(email, userName, details) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'An administrator accessed your Research Portal account',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Support Access to Your Account</h2>
+            <p>Hello ${escapeHtml(userName)},</p>
+            <p>${escapeHtml(details.adminName)} (administrator) viewed the portal as you to investigate a support request.</p>
+            <p><strong>Reason:</strong> ${escapeHtml(details.reason)}<br>
+            <strong>From:</strong> ${details.startedAt.toUTCString()}<br>
+            <strong>Until:</strong> ${details.endedAt.toUTCString()}<br>
+            <strong>Access:</strong> ${details.readOnly ? 'View only (no changes could be made)' : 'Changes allowed (recorded in the audit log)'}</p>
+            <p>Your password, sign-in methods and account settings cannot be viewed or changed this way.</p>
+            <p>If you did not expect this, please contact the editorial office.</p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send impersonation notice:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Notify a user that an administrator changed their account
+   * @param {string} email - Recipient email
+   * @param {string} userName - Recipient name
+   * @param {string} summary - What changed (e.g. "Your role is now Reviewer.")
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendAccountUpdateNotice(email, userName, summary) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Your Research Portal account was updated',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Account Updated</h2>
+            <p>Hello ${userName},</p>
+            <p>An administrator made the following change to your account:</p>
+            <p><strong>${summary}</strong></p>
+            <p>If you have questions, please contact the editorial office.</p>
+            <hr style="border: none; border-top: 1px solid #ccc; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send account update notice:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Send review invitation to reviewer
-   * @param {string} email - Reviewer email
+   * @param {string} email - Invitee email
    * @param {string} paperTitle - Paper title
-   * @param {string} reviewLink - Link to review page
+   * @param {string} reviewLink - Link to accept (signed invitation link for new users)
+   * @param {Object} details - Optional { role, inviterName, message, expiresAt }
    * @returns {Promise<boolean>}
    */
-  async sendReviewInvitation(email, paperTitle, reviewLink) {
+  async sendReviewInvitation(email, paperTitle, reviewLink, details = {}) {
     try {
+      const role = details.role || 'Reviewer';
       const mailOptions = {
         from: process.env.EMAIL_USER,
         to: email,
-        subject: `Review Invitation: ${paperTitle}`,
+        subject: `${role === 'Reviewer' ? 'Review' : 'Editor'} Invitation: ${paperTitle}`,
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2>Research Paper Review Invitation</h2>
-            <p>You have been invited to review the following paper:</p>
-            <p><strong>${paperTitle}</strong></p>
-            <p><a href="${reviewLink}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Review Paper</a></p>
+            <h2>Research Paper ${role === 'Reviewer' ? 'Review' : 'Editor'} Invitation</h2>
+            <p>${details.inviterName ? `${escapeHtml(details.inviterName)} has invited you` : 'You have been invited'} to ${role === 'Reviewer' ? 'review' : 'act as editor for'} the following paper:</p>
+            <p><strong>${escapeHtml(paperTitle)}</strong></p>
+            ${details.message ? `<blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 12px; color: #555;">${escapeHtml(details.message)}</blockquote>` : ''}
+            <p><a href="${reviewLink}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">${role === 'Reviewer' ? 'Review Paper' : 'Accept Invitation'}</a></p>
+            ${details.expiresAt ? `<p>This invitation expires on ${details.expiresAt.toUTCString()}. You can also decline it from the same link.</p>` : ''}
             <p>Please complete your review within the deadline specified.</p>
           </div>
         `,
@@ -96,6 +437,39 @@ class EmailService {
     }
   }
 
+  /**
+   * Tell a reviewer that a paper they reviewed was resubmitted for another round
+   * @param {string} email - Reviewer email
+   * @param {string} paperTitle - Paper title
+   * @param {number} version - New manuscript version
+   * @param {string} paperLink - Link to the papers page
+   * @returns {Promise<boolean>}
+   */
+  async sendRevisionNotice(email, paperTitle, version, paperLink) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `Revised Manuscript: ${paperTitle}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Revised Manuscript Ready for Review</h2>
+            <p>The authors have resubmitted the following paper after revisions were requested:</p>
+            <p><strong>${escapeHtml(paperTitle)}</strong> (version ${version})</p>
+            <p>You remain assigned as a reviewer for this round. The revised file, the authors' changelog and their response to reviewers are available in the portal.</p>
+            <p><a href="${paperLink}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Open Papers</a></p>
+          </div>
+        `,
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error(`Failed to send revision notice:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Send decision notification to author
    * @param {string} email - Author email
@@ -0,0 +1,142 @@
+const Impersonation = require('../models/Impersonation');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+
+/**
+ * Impersonation Service ("view as user")
+ * Lets an Admin reproduce what a user sees. The session acts as the user until the Admin
+ * stops, logs out, or IMPERSONATION_DURATION elapses; every audit entry written meanwhile
+ * carries the Admin as impersonatorId. The user is emailed once the session has ended.
+ */
+
+class ImpersonationService {
+  constructor() {
+    this.durationMs = parseInt(process.env.IMPERSONATION_DURATION || 900000); // 15 minutes
+    // How often ended sessions are checked for a pending notice (see server.js)
+    this.sweepIntervalMs = 60000;
+  }
+
+  /**
+   * Reason an Admin may not view as a user, if any
+   * @param {Object} admin - Administrator (User document)
+   * @param {Object} target - User to view as
+   * @returns {string|null} Error message, or null if allowed
+   */
+  impersonationBlocker(admin, target) {
+    if (admin._id.equals(target._id)) {
+      return 'You cannot view as yourself';
+    }
+    if (!target.isActive || target.erasedAt) {
+      return 'Inactive or erased accounts cannot be viewed as';
+    }
+    if (target.hasGlobalRole('Admin')) {
+      return 'Administrator accounts cannot be viewed as';
+    }
+    return null;
+  }
+
+  /**
+   * Record the start of an impersonation session
+   * @param {Object} admin - Administrator (User document)
+   * @param {Object} target - User to view as
+   * @param {Object} options - { reason, readOnly, ipAddress }
+   * @returns {Promise<Object>} Impersonation record
+   */
+  async start(admin, target, options) {
+    const now = new Date();
+    return await Impersonation.create({
+      adminId: admin._id,
+      userId: target._id,
+      reason: options.reason,
+      readOnly: options.readOnly,
+      startedAt: now,
+      expiresAt: new Date(now.getTime() + this.durationMs),
+      ipAddress: options.ipAddress,
+    });
+  }
+
+  /**
+   * End an impersonation session and notify the user
+   * Ending an already-ended session is a no-op
+   * @param {string} impersonationId - Impersonation record ID
+   * @param {string} endReason - STOPPED, EXPIRED, LOGOUT or ACCESS_LOST
+   * @returns {Promise<Object|null>} Ended record, or null if it had already ended
+   */
+  async end(impersonationId, endReason) {
+    const now = new Date();
+    const record = await Impersonation.findOneAndUpdate(
+      { _id: impersonationId, endedAt: null },
+      // An expired session ended at its expiry, not when it was noticed
+      [{ $set: { endedAt: { $min: [now, '$expiresAt'] }, endReason: endReason } }],
+      { new: true }
+    );
+    if (record) {
+      await this.notify(record);
+    }
+    return record;
+  }
+
+  /**
+   * Email the user about an ended session (once)
+   * @param {Object} record - Ended Impersonation record
+   */
+  async notify(record) {
+    const claimed = await Impersonation.findOneAndUpdate({ _id: record._id, notifiedAt: null }, { notifiedAt: new Date() });
+    if (!claimed) {
+      return;
+    }
+
+    const [user, admin] = await Promise.all([User.findById(record.userId), User.findById(record.adminId)]);
+    if (!user || user.erasedAt) {
+      return;
+    }
+    await emailService.sendImpersonationNotice(user.email, user.fullName, {
+      adminName: admin ? admin.fullName : 'An administrator',
+      reason: record.reason,
+      readOnly: record.readOnly,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+    });
+  }
+
+  /**
+   * End sessions that expired without another request (browser closed) and send pending notices
+   * @returns {Promise<number>} Sessions processed
+   */
+  async sweep() {
+    const now = new Date();
+    const pending = await Impersonation.find({
+      notifiedAt: null,
+      $or: [{ endedAt: { $ne: null } }, { expiresAt: { $lte: now } }],
+    });
+
+    for (const record of pending) {
+      if (record.endedAt) {
+        await this.notify(record);
+      } else if (await this.end(record._id, 'EXPIRED')) {
+        const user = await User.findById(record.userId).select('email');
+        await auditService.log(
+          record.adminId,
+          'IMPERSONATION_ENDED',
+          user ? user.email : record.userId.toString(),
+          'SUCCESS',
+          'Viewing as user expired without further activity',
+          record.ipAddress
+        );
+      }
+    }
+    return pending.length;
+  }
+
+  /**
+   * Impersonation sessions of a user (for administrators and the user's data export)
+   * @param {string} userId - Impersonated user
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    return await Impersonation.find({ userId: userId }).sort({ startedAt: -1 }).lean();
+  }
+}
+
+module.exports = new ImpersonationService();
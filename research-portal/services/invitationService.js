@@ -0,0 +1,150 @@
+const Invitation = require('../models/Invitation');
+const Paper = require('../models/Paper');
+const PaperRevision = require('../models/PaperRevision');
+const cryptoService = require('./cryptoService');
+
+/**
+ * Invitation Service
+ * Signed, expiring, single-use invitation links for reviewers and editors of a paper
+ */
+
+class InvitationService {
+  constructor() {
+    this.expiryMs = parseInt(process.env.INVITATION_EXPIRY || 604800000); // 7 days
+    this.secret = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+  }
+
+  /**
+   * Create an invitation and its link
+   * A newer invitation replaces any pending one for the same email, paper and role
+   * @param {Object} details - { email, role, paperId, invitedBy, message }
+   * @returns {Promise<Object>} { invitation, link }
+   */
+  async create(details) {
+    const email = details.email.toLowerCase().trim();
+
+    await Invitation.updateMany(
+      { email: email, paperId: details.paperId, role: details.role, status: 'PENDING' },
+      { status: 'REVOKED', respondedAt: new Date() }
+    );
+
+    const nonce = cryptoService.generateNonce();
+    const invitation = new Invitation({
+      email: email,
+      role: details.role,
+      paperId: details.paperId,
+      invitedBy: details.invitedBy,
+      message: details.message || '',
+      nonceHash: cryptoService.hashSHA256(nonce),
+      expiresAt: new Date(Date.now() + this.expiryMs),
+    });
+    await invitation.save();
+
+    const token = cryptoService.createSignedToken(
+      { sub: invitation._id.toString(), purpose: 'invitation', nonce: nonce },
+      this.expiryMs,
+      this.secret
+    );
+    const link = `${process.env.APP_URL || 'http://localhost:3000'}/register?invitation=${encodeURIComponent(token)}`;
+
+    return { invitation: invitation, link: link };
+  }
+
+  /**
+   * Resolve an invitation link
+   * @param {string} token - Signed token from the link
+   * @returns {Promise<Object|null>} Pending, unexpired invitation (paper title and inviter populated), or null
+   */
+  async resolve(token) {
+    const payload = cryptoService.verifySignedToken(token, this.secret);
+    if (!payload || payload.purpose !== 'invitation') {
+      return null;
+    }
+
+    const invitation = await Invitation.findById(payload.sub)
+      .populate('paperId', 'title venue')
+      .populate('invitedBy', 'fullName email');
+
+    if (
+      !invitation ||
+      invitation.nonceHash !== cryptoService.hashSHA256(payload.nonce) ||
+      invitation.status !== 'PENDING' ||
+      invitation.expiresAt <= new Date() ||
+      !invitation.paperId
+    ) {
+      return null;
+    }
+    return invitation;
+  }
+
+  /**
+   * Accept an invitation on behalf of a user
+   * Grants the invited role scoped to the paper; invited Reviewers are also assigned to it
+   * (and to the review round of its current version)
+   * Caller must save the user
+   * @param {Object} invitation - Resolved invitation
+   * @param {Object} user - Accepting user (email must match)
+   */
+  async accept(invitation, user) {
+    const paperId = invitation.paperId._id || invitation.paperId;
+    const inviterId = invitation.invitedBy._id || invitation.invitedBy;
+
+    if (!user.hasScopedRole(invitation.role, { paperId: paperId })) {
+      user.roles.push({ role: invitation.role, paperId: paperId, grantedBy: inviterId, grantedAt: new Date() });
+    }
+
+    if (invitation.role === 'Reviewer') {
+      const paper = await Paper.findByIdAndUpdate(paperId, { $addToSet: { assignedReviewers: user._id } }, { new: true });
+      if (paper) {
+        await PaperRevision.updateOne(
+          { paperId: paperId, version: paper.currentVersion },
+          { $addToSet: { reviewers: user._id } }
+        );
+      }
+    }
+
+    invitation.status = 'ACCEPTED';
+    invitation.acceptedBy = user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+  }
+
+  /**
+   * Decline an invitation
+   * @param {Object} invitation - Resolved invitation
+   */
+  async decline(invitation) {
+    invitation.status = 'DECLINED';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+  }
+
+  /**
+   * List a paper's invitations, newest first
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Array>} Invitations (without nonce hashes)
+   */
+  async listForPaper(paperId) {
+    return await Invitation.find({ paperId: paperId })
+      .select('-nonceHash')
+      .populate('invitedBy', 'fullName email')
+      .populate('acceptedBy', 'fullName email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Withdraw a pending invitation
+   * @param {string} paperId - Paper ID (the invitation must belong to it)
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object|null>} Revoked invitation, or null if not found / no longer pending
+   */
+  async revoke(paperId, invitationId) {
+    return await Invitation.findOneAndUpdate(
+      { _id: invitationId, paperId: paperId, status: 'PENDING' },
+      { status: 'REVOKED', respondedAt: new Date() },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new InvitationService();
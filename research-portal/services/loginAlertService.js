@@ -0,0 +1,124 @@
+const cryptoService = require('./cryptoService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+
+/**
+ * Login Anomaly Service
+ * Keeps each user's device history (browser + network) and, when a sign-in comes from
+ * a browser or IP range not seen before, emails the user with a "this wasn't me" link
+ * and records the sign-in as suspicious for the security team
+ */
+
+// History is capped; the least recently seen entries are dropped first
+const MAX_KNOWN_DEVICES = 20;
+
+class LoginAlertService {
+  constructor() {
+    this.linkExpiryMs = parseInt(process.env.LOGIN_ALERT_LINK_EXPIRY || 604800000); // 7 days
+    this.secret = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+  }
+
+  /**
+   * Network an address belongs to: IPv4 /24, IPv6 /48
+   * @param {string} ipAddress - Client IP address
+   * @returns {string} Network label (e.g. "203.0.113.0/24")
+   */
+  ipRange(ipAddress) {
+    const address = (ipAddress || 'unknown').replace(/^::ffff:/, '');
+
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+      return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+    if (address.includes(':')) {
+      // Expand "::" so the first three groups are the /48 prefix
+      const [head, tail = ''] = address.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const groups = address.includes('::')
+        ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+        : headGroups;
+      return `${groups.slice(0, 3).map((group) => parseInt(group || '0', 16).toString(16)).join(':')}::/48`;
+    }
+    return address;
+  }
+
+  /**
+   * Record a completed sign-in and alert the user if it came from a new browser or network
+   * The very first sign-in (e.g. registration) only starts the history
+   * @param {Object} user - User document (saved here)
+   * @param {string} userAgent - User-Agent header
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<string[]>} Reasons the sign-in was unusual (empty if familiar)
+   */
+  async recordLogin(user, userAgent, ipAddress) {
+    const now = new Date();
+    const device = sessionService.describeDevice(userAgent);
+    const ipRange = this.ipRange(ipAddress);
+    const history = user.knownDevices;
+
+    const reasons = [];
+    if (history.length > 0) {
+      if (!history.some((entry) => entry.device === device)) {
+        reasons.push(`new browser (${device})`);
+      }
+      if (!history.some((entry) => entry.ipRange === ipRange)) {
+        reasons.push(`new network (${ipRange})`);
+      }
+    }
+
+    let entry = history.find((known) => known.device === device && known.ipRange === ipRange);
+    if (entry) {
+      entry.loginCount += 1;
+      entry.lastSeenAt = now;
+    } else {
+      history.push({ device: device, ipRange: ipRange, firstSeenAt: now, lastSeenAt: now });
+      entry = history[history.length - 1];
+
+      if (history.length > MAX_KNOWN_DEVICES) {
+        const oldest = history.reduce((a, b) => (a.lastSeenAt <= b.lastSeenAt ? a : b));
+        history.pull(oldest._id);
+      }
+    }
+    entry.lastUserAgent = (userAgent || '').substring(0, 500);
+    entry.lastIpAddress = ipAddress;
+    await user.save();
+
+    if (reasons.length > 0) {
+      await auditService.logSuspiciousLogin(user._id, user.email, reasons, device, ipAddress);
+
+      const token = cryptoService.createSignedToken(
+        { sub: user._id.toString(), purpose: 'login-report', device: entry._id.toString(), at: now.getTime() },
+        this.linkExpiryMs,
+        this.secret
+      );
+      const reportLink = `${process.env.APP_URL || 'http://localhost:3000'}/report-login?token=${encodeURIComponent(token)}`;
+
+      await emailService.sendNewLoginAlert(user.email, user.fullName, {
+        time: now,
+        ipAddress: ipAddress,
+        userAgent: userAgent || 'Unknown',
+        device: device,
+        reasons: reasons,
+        reportLink: reportLink,
+      });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Verify a "this wasn't me" link
+   * @param {string} token - Signed token from the alert email
+   * @returns {Object|null} { userId, deviceId, loginAt } or null if invalid/expired
+   */
+  verifyReportToken(token) {
+    const payload = cryptoService.verifySignedToken(token, this.secret);
+    if (!payload || payload.purpose !== 'login-report') {
+      return null;
+    }
+    return { userId: payload.sub, deviceId: payload.device, loginAt: new Date(payload.at) };
+  }
+}
+
+module.exports = new LoginAlertService();
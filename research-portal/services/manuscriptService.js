@@ -0,0 +1,193 @@
+const Paper = require('../models/Paper');
+const PaperRevision = require('../models/PaperRevision');
+const cryptoService = require('./cryptoService');
+const blobStoreService = require('./blobStoreService');
+const path = require('path');
+const stream = require('stream');
+
+/**
+ * Manuscript Service
+ * Encrypted storage of manuscript versions: hybrid encryption (AES-256-CBC + RSA-2048),
+ * ciphertext in the blob store, IV / encrypted AES key / SHA-256 hash on the PaperRevision.
+ * Uploads are encrypted while they arrive and downloads decrypted while they are sent, so
+ * neither plaintext nor ciphertext is ever held in memory whole.
+ *
+ * Records written before the blob store kept the ciphertext as base64 inside the document
+ * (Paper for unversioned papers, PaperRevision otherwise). They are still readable, and are
+ * moved to the blob store by `npm run migrate-manuscripts`.
+ */
+
+const keyDir = path.join(__dirname, '../keys');
+const publicKeyPath = path.join(keyDir, 'public.pem');
+const privateKeyPath = path.join(keyDir, 'private.pem');
+
+class ManuscriptService {
+  /**
+   * Encrypt a stream and store the ciphertext
+   * @param {Readable} source - Plaintext PDF
+   * @param {Object} metadata - { paperId, fileName, uploadedBy } (recorded with the blob)
+   * @returns {Promise<Object>} PaperRevision fields { blob, encryptedIV, encryptedAESKey, fileHash, fileSize }
+   */
+  async encryptStream(source, metadata) {
+    const encryption = cryptoService.createEncryptionStream(publicKeyPath);
+    const ciphertext = stream.pipeline(source, encryption.stream, () => {});
+    const blob = await blobStoreService.putStream(ciphertext, metadata);
+
+    return {
+      blob: blob,
+      encryptedIV: encryption.iv,
+      encryptedAESKey: encryption.encryptedKey,
+      fileHash: encryption.hash,
+      fileSize: encryption.size,
+    };
+  }
+
+  /**
+   * Multer storage engine: each uploaded file is encrypted into the blob store as it is received
+   * req.file gets { size, encrypted } (encrypted: PaperRevision fields from encryptStream);
+   * a request that ends up not using the file must discard it
+   * @returns {Object} Storage engine
+   */
+  storageEngine() {
+    return {
+      _handleFile: (req, file, callback) => {
+        const metadata = {
+          paperId: req.params.paperId || null,
+          fileName: file.originalname,
+          uploadedBy: req.session && req.session.userId ? req.session.userId.toString() : null,
+        };
+        this.encryptStream(file.stream, metadata)
+          .then((encrypted) => callback(null, { size: encrypted.fileSize, encrypted: encrypted }))
+          .catch(callback);
+      },
+      // Called by multer when the request fails after the file was stored (e.g. size limit)
+      _removeFile: (req, file, callback) => {
+        this.discard(file.encrypted).then(() => callback(null), callback);
+      },
+    };
+  }
+
+  /**
+   * Streams turning a version's stored ciphertext into verified plaintext
+   * Pass them to stream.pipeline; the last one fails with code HASH_MISMATCH (before its final
+   * block) if the file does not match its hash. Throws straight away if the AES key cannot be
+   * unwrapped with the private key.
+   * @param {Object} revision - PaperRevision (or legacy equivalent)
+   * @returns {Stream[]} [ciphertext source, decryption stream]
+   */
+  openDecryption(revision) {
+    const decryption = cryptoService.createDecryptionStream(
+      { iv: revision.encryptedIV, encryptedKey: revision.encryptedAESKey, hash: revision.fileHash },
+      privateKeyPath
+    );
+    const source =
+      revision.blob && revision.blob.id
+        ? blobStoreService.openReadStream(revision.blob)
+        : stream.Readable.from([Buffer.from(revision.encryptedData, 'base64')]);
+
+    return [source, decryption];
+  }
+
+  /**
+   * Delete a stored ciphertext that ended up unreferenced (failed or rejected write)
+   * @param {Object} fields - Result of encryptStream
+   */
+  async discard(fields) {
+    await blobStoreService.remove(fields.blob);
+  }
+
+  /**
+   * Version 1 of a paper submitted before versioning, read from the Paper document
+   * @param {Object} paper - Paper document with a legacy encrypted file
+   * @returns {Object} Revision-shaped object
+   */
+  legacyRevision(paper) {
+    return {
+      paperId: paper._id,
+      version: 1,
+      fileName: paper.fileName,
+      fileSize: paper.fileSize,
+      encryptedData: paper.encryptedData,
+      encryptedIV: paper.encryptedIV,
+      encryptedAESKey: paper.encryptedAESKey,
+      fileHash: paper.fileHash,
+      changelog: '',
+      responseLetter: '',
+      reviewers: paper.assignedReviewers,
+      submittedBy: paper.authorId,
+      submittedAt: paper.submittedAt,
+    };
+  }
+
+  /**
+   * Load one version of a paper
+   * @param {Object} paper - Paper document
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} PaperRevision (or legacy equivalent), null if there is no such version
+   */
+  async findRevision(paper, version) {
+    const revision = await PaperRevision.findOne({ paperId: paper._id, version: version });
+    if (!revision && version === 1 && paper.encryptedData) {
+      return this.legacyRevision(paper);
+    }
+    return revision;
+  }
+
+  /**
+   * Move an unversioned paper's inline file into a PaperRevision in the blob store
+   * @param {Object} paper - Paper document (legacy fields selected)
+   * @returns {Promise<boolean>} Whether anything was moved
+   */
+  async migrateLegacyPaper(paper) {
+    if (!paper.encryptedData) {
+      return false;
+    }
+
+    if (!(await PaperRevision.exists({ paperId: paper._id, version: 1 }))) {
+      const blob = await blobStoreService.put(Buffer.from(paper.encryptedData, 'base64'), {
+        paperId: paper._id.toString(),
+        version: 1,
+        fileName: paper.fileName,
+      });
+      try {
+        await PaperRevision.create({ ...this.legacyRevision(paper), encryptedData: undefined, blob: blob });
+      } catch (error) {
+        await blobStoreService.remove(blob);
+        throw error;
+      }
+    }
+
+    await Paper.updateOne({ _id: paper._id }, { $unset: { encryptedData: 1, encryptedIV: 1, encryptedAESKey: 1 } });
+    paper.encryptedData = undefined;
+    return true;
+  }
+
+  /**
+   * Move a revision's inline ciphertext to the blob store
+   * @param {Object} revision - PaperRevision document
+   * @returns {Promise<boolean>} Whether anything was moved
+   */
+  async migrateRevision(revision) {
+    if (!revision.encryptedData || (revision.blob && revision.blob.id)) {
+      return false;
+    }
+
+    const blob = await blobStoreService.put(Buffer.from(revision.encryptedData, 'base64'), {
+      paperId: revision.paperId.toString(),
+      version: revision.version,
+      fileName: revision.fileName,
+    });
+    const result = await PaperRevision.updateOne(
+      { _id: revision._id, encryptedData: { $exists: true } },
+      { $set: { blob: blob }, $unset: { encryptedData: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      // Migrated concurrently
+      await blobStoreService.remove(blob);
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new ManuscriptService();
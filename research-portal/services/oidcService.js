@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const path = require('path');
+const IdentityProvider = require('../models/IdentityProvider');
+const cryptoService = require('./cryptoService');
+
+/**
+ * OpenID Connect Service
+ * Relying-party side of the authorization code flow with PKCE (RFC 7636):
+ * discovery, authorization request, code exchange and ID token validation
+ * (OpenID Connect Core 1.0 section 3.1.3.7)
+ */
+
+const keyDir = path.join(__dirname, '../keys');
+const publicKeyPath = path.join(keyDir, 'public.pem');
+const privateKeyPath = path.join(keyDir, 'private.pem');
+
+// Accepted ID token signature algorithms (never "none" or HMAC with a shared secret)
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+class OIDCService {
+  constructor() {
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+    this.cacheTtlMs = 60 * 60 * 1000; // 1 hour
+    this.clockSkewSeconds = 60;
+    this.requestTimeoutMs = 10000;
+    // Plain-http issuers are only accepted outside production (local mock IdP)
+    this.allowInsecureIssuers = process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Fetch JSON from an IdP endpoint
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async fetchJSON(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(this.requestTimeoutMs) });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`IdP request failed (${response.status}): ${body.error_description || body.error || url}`);
+    }
+    return body;
+  }
+
+  /**
+   * Load the provider's discovery document (/.well-known/openid-configuration)
+   * @param {string} issuer - Issuer identifier URL
+   * @returns {Promise<Object>} Provider metadata
+   */
+  async discover(issuer) {
+    const cached = this.metadataCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    if (!issuer.startsWith('https://') && !(this.allowInsecureIssuers && issuer.startsWith('http://'))) {
+      throw new Error('Issuer must use https');
+    }
+
+    const metadata = await this.fetchJSON(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    // Issuer in the document must match exactly (prevents IdP mix-up)
+    if (metadata.issuer !== issuer) {
+      throw new Error(`Discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[field]) {
+        throw new Error(`Discovery document missing ${field}`);
+      }
+    }
+
+    this.metadataCache.set(issuer, { metadata: metadata, expiresAt: Date.now() + this.cacheTtlMs });
+    return metadata;
+  }
+
+  /**
+   * Generate PKCE verifier and S256 challenge
+   * @returns {Object} { codeVerifier, codeChallenge }
+   */
+  generatePKCE() {
+    const codeVerifier = cryptoService.generateNonce(32);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier: codeVerifier, codeChallenge: codeChallenge };
+  }
+
+  /**
+   * Build the authorization request URL
+   * @returns {string} URL to redirect the browser to
+   */
+  buildAuthorizationUrl(metadata, provider, redirectUri, state, nonce, codeChallenge) {
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', provider.scopes || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * Confidential clients authenticate with client_secret_basic; public clients rely on PKCE
+   * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+   */
+  async exchangeCode(metadata, provider, code, redirectUri, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    const clientSecret = this.decryptClientSecret(provider.clientSecret);
+    if (clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', provider.clientId);
+    }
+
+    const tokens = await this.fetchJSON(metadata.token_endpoint, { method: 'POST', headers: headers, body: body });
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+    return tokens;
+  }
+
+  /**
+   * Get the provider's signing keys, refetching when a key ID is unknown (key rotation)
+   * @returns {Promise<Array>} JWK array
+   */
+  async getSigningKeys(jwksUri, forceRefresh = false) {
+    const cached = this.jwksCache.get(jwksUri);
+    if (cached && cached.expiresAt > Date.now() && !forceRefresh) {
+      return cached.keys;
+    }
+
+    const jwks = await this.fetchJSON(jwksUri);
+    const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    this.jwksCache.set(jwksUri, { keys: keys, expiresAt: Date.now() + this.cacheTtlMs });
+    return keys;
+  }
+
+  /**
+   * Validate an ID token: signature, issuer, audience, expiry and nonce
+   * @param {Object} metadata - Provider metadata
+   * @param {string} idToken - Compact JWS
+   * @param {string} clientId - Our client ID (expected audience)
+   * @param {string} nonce - Nonce sent in the authorization request
+   * @returns {Promise<Object>} Verified claims
+   * @throws {Error} If the token is invalid
+   */
+  async verifyIdToken(metadata, idToken, clientId, nonce) {
+    const parts = (idToken || '').split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed ID token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (error) {
+      throw new Error('Malformed ID token');
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+
+    // Locate the signing key (refresh once if the key ID is not cached)
+    const findKey = (keys) =>
+      keys.find((jwk) => (!header.kid || jwk.kid === header.kid) && (!jwk.use || jwk.use === 'sig'));
+    let jwk = findKey(await this.getSigningKeys(metadata.jwks_uri));
+    if (!jwk) {
+      jwk = findKey(await this.getSigningKeys(metadata.jwks_uri, true));
+    }
+    if (!jwk) {
+      throw new Error('ID token signing key not found');
+    }
+
+    const { hash, ...keyOptions } = algorithm;
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const signatureValid = crypto.verify(
+      hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key: publicKey, ...keyOptions },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!signatureValid) {
+      throw new Error('Invalid ID token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== metadata.issuer) {
+      throw new Error('ID token issuer mismatch');
+    }
+    if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+      throw new Error('ID token audience mismatch');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + this.clockSkewSeconds < now) {
+      throw new Error('ID token expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - this.clockSkewSeconds > now) {
+      throw new Error('ID token issued in the future');
+    }
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+    if (!claims.sub) {
+      throw new Error('ID token missing subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Fetch userinfo claims (used when the ID token omits email/profile claims)
+   * @returns {Promise<Object>} Userinfo claims
+   */
+  async fetchUserInfo(metadata, accessToken) {
+    return await this.fetchJSON(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+    });
+  }
+
+  /**
+   * Whether the IdP reports that the user completed multi-factor authentication
+   */
+  reportsMFA(claims) {
+    const amr = Array.isArray(claims.amr) ? claims.amr : [];
+    return amr.some((method) => ['mfa', 'otp', 'hwk', 'swk', 'sc'].includes(method));
+  }
+
+  /**
+   * Find an enabled provider by key
+   */
+  async findProvider(key) {
+    return await IdentityProvider.findOne({ key: (key || '').toLowerCase(), enabled: true });
+  }
+
+  /**
+   * Find the provider that requires SSO for an email address's domain, if any
+   * @param {string} email - Email address (or username, which never matches)
+   * @returns {Promise<Object|null>} IdentityProvider
+   */
+  async findRequiredProvider(email) {
+    const domain = (email || '').toLowerCase().split('@')[1];
+    if (!domain) {
+      return null;
+    }
+    return await IdentityProvider.findOne({ emailDomains: domain, requireSSO: true, enabled: true });
+  }
+
+  /**
+   * Encrypt a client secret for storage (RSA-OAEP)
+   */
+  encryptClientSecret(secret) {
+    return secret ? cryptoService.encryptKeyWithRSA(Buffer.from(secret), publicKeyPath).toString('base64') : '';
+  }
+
+  /**
+   * Decrypt a stored client secret
+   */
+  decryptClientSecret(encryptedSecret) {
+    return encryptedSecret
+      ? cryptoService.decryptKeyWithRSA(Buffer.from(encryptedSecret, 'base64'), privateKeyPath).toString()
+      : '';
+  }
+}
+
+module.exports = new OIDCService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Password Policy Service
+ * Screens new passwords as required by NIST SP 800-63B section 5.1.1.2:
+ * - against a blocklist of breached, commonly used and dictionary passwords
+ * - against repetitive or sequential characters ("aaaaaaaaaaaa", "123456789012")
+ * - against context-specific words (the user's username, email address and name)
+ *
+ * The blocklist is an offline file of SHA-1 hashes, one per line, in the format of the
+ * Pwned Passwords downloads ("HASH" or "HASH:COUNT", '#' starts a comment), so a subset
+ * of a breach corpus can be dropped in with PASSWORD_BLOCKLIST_FILE. As with the Pwned
+ * Passwords range API, hashes are bucketed by their first 5 hex characters and only the
+ * matching bucket is searched; plaintext passwords are never stored or logged.
+ */
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '../config/password-blocklist.txt');
+const HASH_PREFIX_LENGTH = 5;
+
+// Fewer distinct characters than this is treated as repetitive
+const MIN_DISTINCT_CHARACTERS = 5;
+// Context words shorter than this are not matched (e.g. initials)
+const MIN_CONTEXT_WORD_LENGTH = 4;
+
+// Common character substitutions undone before the blocklist lookup ("P@ssw0rd" -> "password")
+const LEET_SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+class PasswordPolicyService {
+  constructor() {
+    this.blocklistFile = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+    this.blocklist = new Map(); // hash prefix -> Set of hash suffixes
+    this.blocklistSize = 0;
+    this.loadBlocklist(this.blocklistFile);
+  }
+
+  /**
+   * Load a SHA-1 blocklist file, replacing the current one
+   * A missing file leaves the blocklist empty (other checks still apply)
+   * @param {string} filePath - Blocklist file path
+   * @returns {number} Hashes loaded
+   */
+  loadBlocklist(filePath) {
+    this.blocklist = new Map();
+    this.blocklistSize = 0;
+
+    let contents;
+    try {
+      contents = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      console.warn(`⚠ Password blocklist not loaded (${filePath}): ${error.message}`);
+      return 0;
+    }
+
+    for (const line of contents.split('\n')) {
+      const hash = line.split('#')[0].split(':')[0].trim().toUpperCase();
+      if (!/^[0-9A-F]{40}$/.test(hash)) {
+        continue;
+      }
+      const prefix = hash.slice(0, HASH_PREFIX_LENGTH);
+      if (!this.blocklist.has(prefix)) {
+        this.blocklist.set(prefix, new Set());
+      }
+      const bucket = this.blocklist.get(prefix);
+      if (!bucket.has(hash.slice(HASH_PREFIX_LENGTH))) {
+        bucket.add(hash.slice(HASH_PREFIX_LENGTH));
+        this.blocklistSize += 1;
+      }
+    }
+    return this.blocklistSize;
+  }
+
+  /**
+   * Whether a password is on the blocklist
+   * Also checks the password lowercased, with leetspeak undone, and without the digits and
+   * symbols commonly appended to a dictionary word ("Summer2024!" -> "summer")
+   * @param {string} password - Candidate password
+   * @returns {boolean}
+   */
+  isBlocklisted(password) {
+    const lower = password.toLowerCase();
+    const unleeted = lower.replace(/[0134579@$!]/g, (char) => LEET_SUBSTITUTIONS[char] || char);
+    const stem = lower.replace(/[\d\W_]+$/, '');
+    const candidates = new Set([password, lower, unleeted, stem, stem.replace(/^[\d\W_]+/, '')]);
+
+    for (const candidate of candidates) {
+      if (!candidate) {
+        continue;
+      }
+      const hash = crypto.createHash('sha1').update(candidate).digest('hex').toUpperCase();
+      const bucket = this.blocklist.get(hash.slice(0, HASH_PREFIX_LENGTH));
+      if (bucket && bucket.has(hash.slice(HASH_PREFIX_LENGTH))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether a password is one repeated or sequential run ("abababab...", "123456789012", "zyxwvu...")
+   * @param {string} password - Candidate password
+   * @returns {boolean}
+   */
+  isRepetitiveOrSequential(password) {
+    if (new Set(password.toLowerCase()).size < MIN_DISTINCT_CHARACTERS) {
+      return true;
+    }
+
+    // Digits wrap around ("890123...", "210987...")
+    const chars = [...password.toLowerCase()];
+    const stepBetween = (a, b) =>
+      /\d/.test(a) && /\d/.test(b) ? ((b - a + 15) % 10) - 5 : b.charCodeAt(0) - a.charCodeAt(0);
+    const step = stepBetween(chars[0], chars[1]);
+    return Math.abs(step) === 1 && chars.every((char, i) => i === 0 || stepBetween(chars[i - 1], char) === step);
+  }
+
+  /**
+   * Which piece of account information the password contains, if any
+   * @param {string} password - Candidate password
+   * @param {Object} context - { username, email, fullName }
+   * @returns {string|null} 'username', 'email address' or 'name'
+   */
+  findContextWord(password, context) {
+    const lower = password.toLowerCase();
+    const email = (context.email || '').toLowerCase();
+    const checks = [
+      ['username', [context.username]],
+      ['email address', [email, email.split('@')[0]]],
+      ['name', [context.fullName, ...(context.fullName || '').split(/[\s'-]+/)]],
+    ];
+
+    for (const [label, words] of checks) {
+      const found = words.some(
+        (word) => word && word.length >= MIN_CONTEXT_WORD_LENGTH && lower.includes(word.toLowerCase().replace(/\s+/g, ''))
+      );
+      if (found) {
+        return label;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Screen a new password
+   * @param {string} password - Candidate password (length already checked by the caller)
+   * @param {Object} context - { username, email, fullName } of the account
+   * @returns {string|null} Error message, or null if acceptable
+   */
+  screen(password, context = {}) {
+    const contextWord = this.findContextWord(password, context);
+    if (contextWord) {
+      return `Password must not contain your ${contextWord}`;
+    }
+
+    if (this.isRepetitiveOrSequential(password)) {
+      return 'Password is too predictable (repeated or sequential characters). Please choose a different one.';
+    }
+
+    if (this.isBlocklisted(password)) {
+      return 'This password appears in a list of breached or commonly used passwords. Please choose a different one.';
+    }
+
+    return null;
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,237 @@
+const User = require('../models/User');
+const Paper = require('../models/Paper');
+const PaperRevision = require('../models/PaperRevision');
+const Supplement = require('../models/Supplement');
+const Review = require('../models/Review');
+const Decision = require('../models/Decision');
+const PaperAccess = require('../models/PaperAccess');
+const AuditLog = require('../models/AuditLog');
+const Invitation = require('../models/Invitation');
+const UserSession = require('../models/UserSession');
+const ApiToken = require('../models/ApiToken');
+const AuthThrottle = require('../models/AuthThrottle');
+const cryptoService = require('./cryptoService');
+const loginAlertService = require('./loginAlertService');
+const accountService = require('./accountService');
+const clientAddressService = require('./clientAddressService');
+const impersonationService = require('./impersonationService');
+const uploadService = require('./uploadService');
+
+/**
+ * Privacy Service (GDPR)
+ * - Export: a user's profile, papers metadata, reviews, decisions and audit entries as one JSON archive
+ * - Erasure: pseudonymization rather than deletion. The User record stays (reviews, decisions,
+ *   papers and audit entries reference its ID) but loses every personal attribute, and copies of
+ *   the email address elsewhere are replaced with the pseudonym. Signed decision fields
+ *   (paperId, decision, summary, decidedAt) are never touched, so signatures still verify.
+ */
+
+const EXPORT_FORMAT = 'research-portal-data-export/1';
+
+// Paper and revision fields that are ciphertext (or blob references) or key material, never exported
+const PAPER_SECRET_FIELDS = '-blob -encryptedData -encryptedIV -encryptedAESKey';
+
+class PrivacyService {
+  /**
+   * Pseudonymous identity for an erased user (stable, contains no personal data)
+   * @param {Object} user - User document
+   * @returns {Object} { username, email, fullName }
+   */
+  pseudonymFor(user) {
+    return {
+      username: `erased-${user._id}`,
+      // Reserved example domain (RFC 2606): never delivered
+      email: `erased-${user._id}@erased.example.org`,
+      fullName: 'Erased User',
+    };
+  }
+
+  /**
+   * Reason an account cannot be erased right now, if any
+   * @param {Object} user - User document
+   * @returns {Promise<string|null>} Error message, or null if erasure may proceed
+   */
+  async erasureBlocker(user) {
+    if (user.erasedAt) {
+      return 'This account has already been erased';
+    }
+    if (user.hasGlobalRole('Admin')) {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        isActive: true,
+        roles: { $elemMatch: { role: 'Admin', venue: null, paperId: null } },
+      });
+      if (otherAdmins === 0) {
+        return 'The last administrator account cannot be erased';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a user's data export
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Archive (plain JSON)
+   */
+  async exportUserData(user) {
+    const userId = user._id;
+    const papers = await Paper.find({ authorId: userId }).select(PAPER_SECRET_FIELDS).sort({ submittedAt: 1 }).lean();
+    const paperIds = papers.map((paper) => paper._id);
+
+    return {
+      format: EXPORT_FORMAT,
+      exportedAt: new Date(),
+      profile: {
+        id: userId,
+        fullName: user.fullName,
+        username: user.username,
+        email: user.email,
+        // Requested, not yet confirmed address change
+        pendingEmailChange:
+          user.pendingEmailChange && user.pendingEmailChange.email
+            ? { email: user.pendingEmailChange.email, expiresAt: user.pendingEmailChange.expiresAt }
+            : null,
+        institution: user.institution,
+        roles: user.roles.map((grant) => ({
+          role: grant.role,
+          venue: grant.venue,
+          paperId: grant.paperId,
+          grantedAt: grant.grantedAt,
+          expiresAt: grant.expiresAt,
+        })),
+        requestedRole: user.requestedRole,
+        roleRequestNote: user.roleRequestNote,
+        isEmailVerified: user.isEmailVerified,
+        mfa: {
+          method: user.mfaMethod,
+          securityKeys: user.webauthnCredentials.map((credential) => ({
+            name: credential.name,
+            createdAt: credential.createdAt,
+            lastUsedAt: credential.lastUsedAt,
+          })),
+          recoveryCodesRemaining: user.recoveryCodes.length,
+        },
+        ssoIdentities: user.ssoIdentities.map((identity) => ({
+          provider: identity.provider,
+          subject: identity.subject,
+          linkedAt: identity.linkedAt,
+          lastLoginAt: identity.lastLoginAt,
+        })),
+        knownDevices: user.knownDevices.map((entry) => ({
+          device: entry.device,
+          ipRange: entry.ipRange,
+          lastIpAddress: entry.lastIpAddress,
+          lastUserAgent: entry.lastUserAgent,
+          firstSeenAt: entry.firstSeenAt,
+          lastSeenAt: entry.lastSeenAt,
+          loginCount: entry.loginCount,
+        })),
+        passwordChangedAt: user.passwordChangedAt,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+      },
+      papers: papers,
+      // Versions of the user's papers (file metadata, changelogs and responses to reviewers)
+      paperRevisions: await PaperRevision.find({ paperId: { $in: paperIds } })
+        .select(PAPER_SECRET_FIELDS)
+        .sort({ paperId: 1, version: 1 })
+        .lean(),
+      // Supplementary files of the user's papers (metadata only)
+      supplements: await Supplement.find({ paperId: { $in: paperIds } })
+        .select(PAPER_SECRET_FIELDS)
+        .sort({ paperId: 1, uploadedAt: 1 })
+        .lean(),
+      reviews: await Review.find({ reviewerId: userId }).sort({ createdAt: 1 }).lean(),
+      decisions: {
+        // Decisions signed as Editor
+        made: await Decision.find({ editorId: userId }).sort({ decidedAt: 1 }).lean(),
+        // Outcome of the user's own papers (reviewer identities omitted)
+        onMyPapers: await Decision.find({ paperId: { $in: paperIds } })
+          .select('paperId version decision summary averageRating decidedAt signature signatureAlgorithm')
+          .lean(),
+      },
+      paperAccess: await PaperAccess.find({ $or: [{ userId: userId }, { grantedBy: userId }] }).lean(),
+      invitations: {
+        sent: await Invitation.find({ invitedBy: userId }).select('-nonceHash').lean(),
+        received: await Invitation.find({ email: user.email }).select('-nonceHash').lean(),
+      },
+      sessions: await UserSession.find({ userId: userId }).select('-sessionId').lean(),
+      // Times an administrator viewed the portal as the user (support)
+      impersonations: await impersonationService.listForUser(userId),
+      apiTokens: await ApiToken.find({ userId: userId }).select('-tokenHash').lean(),
+      auditLog: await AuditLog.find({ $or: [{ userId: userId }, { resource: user.email }] })
+        .sort({ timestamp: 1 })
+        .lean(),
+    };
+  }
+
+  /**
+   * Erase a user's personal data by pseudonymization
+   * The caller revokes the user's sessions and saves nothing else; the user document is saved here
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { pseudonym, counts } (records updated per collection)
+   */
+  async eraseUser(user) {
+    const userId = user._id;
+    const originalEmail = user.email;
+    const pseudonym = this.pseudonymFor(user);
+    const replaceEmail = (text) => accountService.replaceInText(text, originalEmail, pseudonym.email);
+
+    // Unsigned copies of the email address
+    const counts = await accountService.replaceEmailReferences(userId, originalEmail, pseudonym.email);
+
+    // Audit entries stay (security record) but lose the email address and the exact IP address
+    counts.auditLog = 0;
+    const entries = AuditLog.find({
+      $or: [{ userId: userId }, { resource: originalEmail }, { details: { $regex: accountService.emailPattern(originalEmail) } }],
+    }).cursor();
+    for await (const entry of entries) {
+      const update = { resource: replaceEmail(entry.resource), details: replaceEmail(entry.details) };
+      if (entry.userId && entry.userId.toString() === userId.toString()) {
+        update.ipAddress = loginAlertService.ipRange(entry.ipAddress);
+        update.forwardedChain = entry.forwardedChain.map((hop) => loginAlertService.ipRange(clientAddressService.normalize(hop) || hop));
+      }
+      await AuditLog.updateOne({ _id: entry._id }, update);
+      counts.auditLog += 1;
+    }
+
+    // Credentials and tracking records are deleted outright
+    counts.apiTokens = (await ApiToken.deleteMany({ userId: userId })).deletedCount;
+    // Unfinished resumable uploads (never submitted)
+    counts.uploads = await uploadService.removeForUser(userId);
+    await AuthThrottle.deleteMany({ $or: [{ key: `account:${userId}` }, { identifier: originalEmail }] });
+
+    Object.assign(user, {
+      fullName: pseudonym.fullName,
+      username: pseudonym.username,
+      email: pseudonym.email,
+      passwordHash: await cryptoService.hashPassword(cryptoService.generateNonce()),
+      roles: [],
+      requestedRole: null,
+      roleRequestedAt: null,
+      roleRequestNote: '',
+      mfaEnabled: false,
+      mfaMethod: 'email',
+      mfaSecret: null,
+      mfaPendingSecret: null,
+      webauthnCredentials: [],
+      recoveryCodes: [],
+      otpCode: null,
+      otpExpiry: null,
+      passwordResetNonce: null,
+      pendingEmailChange: undefined,
+      ssoIdentities: [],
+      knownDevices: [],
+      institution: '',
+      isEmailVerified: false,
+      isActive: false,
+      lastLogin: null,
+      erasedAt: new Date(),
+    });
+    await user.save();
+
+    return { pseudonym: pseudonym, counts: counts };
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,95 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Rate Limit Service
+ * Fixed-window request budgets per bucket (auth, upload, download, api), counted per user
+ * and per client IP. The IP budget is larger than the per-user one since several users
+ * may share an address (campus NAT, proxies).
+ */
+
+// Read a bucket's limits from the environment (RATE_LIMIT_<BUCKET>_WINDOW / _MAX / _IP_MAX)
+const bucketConfig = (name, defaults) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    windowMs: parseInt(process.env[`${prefix}_WINDOW`] || defaults.windowMs),
+    max: parseInt(process.env[`${prefix}_MAX`] || defaults.max),
+    ipMax: parseInt(process.env[`${prefix}_IP_MAX`] || defaults.ipMax),
+  };
+};
+
+class RateLimitService {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.buckets = {
+      // Credential endpoints: login, OTP, registration, password reset, SSO
+      auth: bucketConfig('auth', { windowMs: 900000, max: 30, ipMax: 100 }), // per 15 minutes
+      // Paper submissions (up to 50MB each)
+      upload: bucketConfig('upload', { windowMs: 3600000, max: 20, ipMax: 60 }), // per hour
+      // Decrypted paper downloads
+      download: bucketConfig('download', { windowMs: 900000, max: 100, ipMax: 300 }), // per 15 minutes
+      // Every other API request
+      api: bucketConfig('api', { windowMs: 60000, max: 300, ipMax: 1000 }), // per minute
+    };
+  }
+
+  /**
+   * Count a request against a bucket for each subject
+   * @param {string} bucket - Bucket name (auth, upload, download, api)
+   * @param {Object} subjects - { userId, ipAddress } (userId null for anonymous requests)
+   * @returns {Promise<Object>} Most restrictive result:
+   *   { limit, remaining, resetSeconds, exceeded, firstExceeded, subject }
+   */
+  async consume(bucket, subjects) {
+    const config = this.buckets[bucket];
+    const now = Date.now();
+    const window = Math.floor(now / config.windowMs);
+    const windowEnd = new Date((window + 1) * config.windowMs);
+    const resetSeconds = Math.ceil((windowEnd.getTime() - now) / 1000);
+
+    const counters = [{ subject: `ip:${subjects.ipAddress}`, limit: config.ipMax }];
+    if (subjects.userId) {
+      counters.push({ subject: `user:${subjects.userId}`, limit: config.max });
+    }
+
+    let result = null;
+    for (const counter of counters) {
+      const count = await this.increment(`${bucket}:${counter.subject}:${window}`, windowEnd);
+      const remaining = Math.max(counter.limit - count, 0);
+      if (!result || remaining < result.remaining || (count > counter.limit && !result.exceeded)) {
+        result = {
+          limit: counter.limit,
+          remaining: remaining,
+          resetSeconds: resetSeconds,
+          exceeded: count > counter.limit,
+          // Only the first rejected request of a window is audited
+          firstExceeded: count === counter.limit + 1,
+          subject: counter.subject,
+        };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Atomically add one request to a window's counter
+   * @param {string} key - Counter key
+   * @param {Date} expiresAt - End of the window
+   * @returns {Promise<number>} Requests counted so far, including this one
+   */
+  async increment(key, expiresAt) {
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: expiresAt } };
+    try {
+      const record = await RateLimit.findOneAndUpdate({ key: key }, update, { upsert: true, new: true });
+      return record.count;
+    } catch (error) {
+      // Two first requests upserted the same key at once; the document exists now
+      if (error.code === 11000) {
+        const record = await RateLimit.findOneAndUpdate({ key: key }, update, { new: true });
+        return record.count;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new RateLimitService();
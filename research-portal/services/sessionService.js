@@ -0,0 +1,166 @@
+const UserSession = require('../models/UserSession');
+
+/**
+ * Session Tracking Service
+ * Keeps an index of each user's authenticated sessions (device, IP, activity)
+ * and revokes them by destroying the underlying express-session store entry
+ */
+
+class SessionService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.SESSION_TIMEOUT || 3600000); // 1 hour
+    // Activity timestamps are only written when older than this (avoids a write per request)
+    this.touchIntervalMs = 60000;
+  }
+
+  /**
+   * Describe a device from its User-Agent header (e.g. "Chrome on Windows")
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} Human-readable device description
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browsers = [
+      [/Edg(e|A|iOS)?\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/Firefox\/|FxiOS\//, 'Firefox'],
+      [/Chrome\/|CriOS\//, 'Chrome'],
+      [/Safari\//, 'Safari'],
+      [/curl\//, 'curl'],
+    ];
+    const systems = [
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Android/, 'Android'],
+      [/Windows/, 'Windows'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/CrOS/, 'ChromeOS'],
+      [/Linux/, 'Linux'],
+    ];
+
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+    return [browser ? browser[1] : 'Unknown browser', system ? system[1] : null].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Record a newly authenticated session
+   * @param {string} sessionId - express-session ID
+   * @param {string} userId - Session owner
+   * @param {string} userAgent - User-Agent header
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} Session record
+   */
+  async track(sessionId, userId, userAgent, ipAddress) {
+    const now = new Date();
+    return await UserSession.findOneAndUpdate(
+      { sessionId: sessionId },
+      {
+        userId: userId,
+        userAgent: userAgent || '',
+        device: this.describeDevice(userAgent),
+        ipAddress: ipAddress,
+        lastIpAddress: ipAddress,
+        lastActivity: now,
+        expiresAt: this.expiryFrom(now),
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Update a session's last activity (at most once per touch interval)
+   * @param {string} sessionId - express-session ID
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<boolean>} False if the session has no record (revoked)
+   */
+  async touch(sessionId, ipAddress) {
+    const record = await UserSession.findOne({ sessionId: sessionId });
+    if (!record) {
+      return false;
+    }
+
+    const now = new Date();
+    if (now - record.lastActivity > this.touchIntervalMs) {
+      record.lastActivity = now;
+      record.lastIpAddress = ipAddress;
+      record.expiresAt = this.expiryFrom(now);
+      await record.save();
+    }
+    return true;
+  }
+
+  /**
+   * Record expiry: session timeout plus the touch interval, so a record never
+   * expires before the session it describes
+   */
+  expiryFrom(date) {
+    return new Date(date.getTime() + this.timeoutMs + this.touchIntervalMs);
+  }
+
+  /**
+   * List a user's sessions, most recently active first
+   * @param {string} userId - Session owner
+   * @returns {Promise<Array>} Session records
+   */
+  async listForUser(userId) {
+    return await UserSession.find({ userId: userId, expiresAt: { $gt: new Date() } }).sort({ lastActivity: -1 });
+  }
+
+  /**
+   * Find one of a user's sessions by record ID
+   * @param {string} userId - Session owner
+   * @param {string} recordId - UserSession document ID
+   * @returns {Promise<Object|null>} Session record
+   */
+  async findForUser(userId, recordId) {
+    return await UserSession.findOne({ _id: recordId, userId: userId });
+  }
+
+  /**
+   * Revoke a session: destroy it in the session store and drop its record
+   * @param {Object} store - express-session store (req.sessionStore)
+   * @param {Object} record - UserSession document
+   */
+  async revoke(store, record) {
+    await new Promise((resolve) => {
+      store.destroy(record.sessionId, (err) => {
+        if (err) console.error('Session store destroy error:', err);
+        resolve();
+      });
+    });
+    await UserSession.deleteOne({ _id: record._id });
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one
+   * @param {Object} store - express-session store (req.sessionStore)
+   * @param {string} userId - Session owner
+   * @param {string} exceptSessionId - express-session ID to keep (the caller's)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(store, userId, exceptSessionId = null) {
+    const records = await UserSession.find({ userId: userId, sessionId: { $ne: exceptSessionId } });
+
+    for (const record of records) {
+      await this.revoke(store, record);
+    }
+    return records.length;
+  }
+
+  /**
+   * Drop the record of a session that ended normally (logout)
+   * @param {string} sessionId - express-session ID
+   */
+  async forget(sessionId) {
+    await UserSession.deleteOne({ sessionId: sessionId });
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,98 @@
+const path = require('path');
+
+/**
+ * Supplement Service
+ * Rules for a paper's supplementary materials (datasets, code archives, appendices, LaTeX
+ * sources): the file types each kind accepts and how large a file may be. The files themselves
+ * are stored like manuscripts (own AES key per file, ciphertext in the blob store; see
+ * manuscriptService) and read under the same ACL as the paper.
+ */
+
+const MB = 1024 * 1024;
+
+// Size limit of a type, overridable with SUPPLEMENT_<TYPE>_MAX_SIZE (bytes)
+const maxSize = (type, defaultSize) => parseInt(process.env[`SUPPLEMENT_${type}_MAX_SIZE`] || defaultSize);
+
+// Supplementary files per paper
+const MAX_PER_PAPER = 20;
+
+class SupplementService {
+  constructor() {
+    this.maxPerPaper = MAX_PER_PAPER;
+    this.types = {
+      DATASET: {
+        label: 'Dataset',
+        extensions: ['.csv', '.tsv', '.json', '.xml', '.xlsx', '.parquet', '.h5', '.zip', '.tar.gz', '.tgz', '.gz'],
+        maxSize: maxSize('DATASET', 200 * MB),
+      },
+      CODE: {
+        label: 'Code archive',
+        extensions: ['.zip', '.tar.gz', '.tgz', '.tar'],
+        maxSize: maxSize('CODE', 100 * MB),
+      },
+      APPENDIX: {
+        label: 'Appendix',
+        extensions: ['.pdf'],
+        maxSize: maxSize('APPENDIX', 50 * MB),
+      },
+      LATEX_SOURCE: {
+        label: 'LaTeX source',
+        extensions: ['.zip', '.tar.gz', '.tgz', '.tex', '.bib'],
+        maxSize: maxSize('LATEX_SOURCE', 50 * MB),
+      },
+    };
+    // Upper bound for any supplementary file (upload limit before the type is known)
+    this.maxFileSize = Math.max(...Object.values(this.types).map((type) => type.maxSize));
+  }
+
+  /**
+   * Types for clients: [{ type, label, extensions, maxSize }]
+   */
+  listTypes() {
+    return Object.entries(this.types).map(([type, rules]) => ({ type: type, ...rules }));
+  }
+
+  isType(type) {
+    return Object.prototype.hasOwnProperty.call(this.types, type);
+  }
+
+  /**
+   * File extension, lower case ('.tar.gz' counts as one)
+   * @param {string} fileName
+   * @returns {string}
+   */
+  extensionOf(fileName) {
+    const name = path.basename(fileName || '').toLowerCase();
+    return name.endsWith('.tar.gz') ? '.tar.gz' : path.extname(name);
+  }
+
+  /**
+   * Whether any type accepts the file name (upload filter, before the type is known)
+   * @param {string} fileName
+   * @returns {boolean}
+   */
+  isAllowedFile(fileName) {
+    const extension = this.extensionOf(fileName);
+    return Object.values(this.types).some((rules) => rules.extensions.includes(extension));
+  }
+
+  /**
+   * Reason a file cannot be attached as a type, if any
+   * @param {string} type - Supplement type (validated by the caller)
+   * @param {string} fileName - Original file name
+   * @param {number} size - Size in bytes
+   * @returns {string|null} Error message, or null if allowed
+   */
+  fileError(type, fileName, size) {
+    const rules = this.types[type];
+    if (!rules.extensions.includes(this.extensionOf(fileName))) {
+      return `${rules.label} files must be one of: ${rules.extensions.join(', ')}`;
+    }
+    if (size > rules.maxSize) {
+      return `${rules.label} files must not exceed ${Math.floor(rules.maxSize / MB)}MB`;
+    }
+    return null;
+  }
+}
+
+module.exports = new SupplementService();
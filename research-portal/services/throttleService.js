@@ -0,0 +1,197 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const auditService = require('./auditService');
+
+/**
+ * Atomically apply a counter update, creating the counter if needed
+ * @param {string} key - Counter key
+ * @param {Object} update - Update operators
+ * @returns {Promise<Object>} Updated counter
+ */
+const upsertCounter = async (key, update) => {
+  try {
+    return await AuthThrottle.findOneAndUpdate({ key: key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first failures upserted the same key at once; the document exists now
+    if (error.code === 11000) {
+      return await AuthThrottle.findOneAndUpdate({ key: key }, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Brute-Force Protection Service
+ * Per-account and per-IP failure counters with progressive delays and temporary lockout
+ * (NIST SP 800-63B section 5.2.2: rate limiting of authentication attempts)
+ */
+
+class ThrottleService {
+  constructor() {
+    // Failures counted within this window; older failures are forgotten
+    this.windowMs = parseInt(process.env.AUTH_FAILURE_WINDOW || 900000); // 15 minutes
+    // Progressive delay starts after this many failures, doubling each time
+    this.delayAfter = parseInt(process.env.AUTH_DELAY_AFTER || 3);
+    this.maxDelayMs = parseInt(process.env.AUTH_MAX_DELAY || 60000); // 1 minute
+    // Lockout thresholds
+    this.maxAccountFailures = parseInt(process.env.AUTH_MAX_ACCOUNT_FAILURES || 10);
+    this.maxIPFailures = parseInt(process.env.AUTH_MAX_IP_FAILURES || 50);
+    this.lockoutMs = parseInt(process.env.AUTH_LOCKOUT_DURATION || 900000); // 15 minutes
+  }
+
+  /**
+   * Check whether any of the keys is currently locked out or delayed
+   * @param {string[]} keys - Counter keys (e.g. ['ip:1.2.3.4', 'account:<id>'])
+   * @returns {Promise<Object|null>} { locked, retryAfter (seconds) } or null if allowed
+   */
+  async getBlock(keys) {
+    const now = new Date();
+    const records = await AuthThrottle.find({ key: { $in: keys } });
+
+    let block = null;
+    for (const record of records) {
+      const until = record.lockedUntil > now ? record.lockedUntil : record.nextAllowedAt > now ? record.nextAllowedAt : null;
+      if (until) {
+        const retryAfter = Math.ceil((until - now) / 1000);
+        if (!block || retryAfter > block.retryAfter) {
+          block = { locked: record.lockedUntil > now, retryAfter: retryAfter };
+        }
+      }
+    }
+    return block;
+  }
+
+  /**
+   * Record an authentication failure against a key
+   * Applies progressive delay; locks the key once the threshold is reached. Counted with
+   * atomic updates, so parallel failures all add up and only one of them triggers the lockout.
+   * @param {string} key - Counter key
+   * @param {string} ipAddress - Client IP (for audit and admin review)
+   * @param {string} identifier - Email/username attempted (for admin review)
+   * @returns {Promise<boolean>} True if this failure triggered a lockout
+   */
+  async recordFailure(key, ipAddress, identifier = '') {
+    const now = new Date();
+    const notLocked = { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+
+    // Window elapsed: start counting afresh
+    await AuthThrottle.updateOne(
+      { key: key, windowStart: { $lt: new Date(now.getTime() - this.windowMs) }, ...notLocked },
+      { $set: { count: 0, windowStart: now } }
+    );
+
+    const update = {
+      $inc: { count: 1 },
+      $set: {
+        lastAttemptAt: now,
+        lastIpAddress: ipAddress,
+        expiresAt: new Date(now.getTime() + Math.max(this.windowMs, this.lockoutMs)),
+      },
+      $setOnInsert: { windowStart: now },
+    };
+    if (identifier) {
+      update.$set.identifier = identifier;
+    }
+    const record = await upsertCounter(key, update);
+
+    if (record.count > this.delayAfter) {
+      const delay = Math.min(1000 * 2 ** (record.count - this.delayAfter - 1), this.maxDelayMs);
+      await AuthThrottle.updateOne({ key: key }, { $max: { nextAllowedAt: new Date(now.getTime() + delay) } });
+    }
+
+    const maxFailures = key.startsWith('ip:') ? this.maxIPFailures : this.maxAccountFailures;
+    if (record.count < maxFailures) {
+      return false;
+    }
+
+    const lockReason = `${record.count} failed attempts within ${Math.round(this.windowMs / 60000)} minutes`;
+    const locked = await AuthThrottle.findOneAndUpdate(
+      { key: key, ...notLocked },
+      { $set: { lockedUntil: new Date(now.getTime() + this.lockoutMs), lockReason: lockReason } }
+    );
+    if (!locked) {
+      // Already locked (by a parallel failure)
+      return false;
+    }
+
+    await auditService.logLockout(key, identifier, lockReason, ipAddress);
+    return true;
+  }
+
+  /**
+   * Clear a key's counters (after successful authentication)
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    await AuthThrottle.deleteOne({ key: key });
+  }
+
+  /**
+   * Rate-limit an action such as sending an OTP email
+   * Records the attempt when allowed; the check and the count are one atomic update, so
+   * parallel requests cannot exceed the limits
+   * @param {string} key - Counter key (e.g. 'otp-send:<id>')
+   * @param {number} minIntervalMs - Minimum time between actions
+   * @param {number} maxPerWindow - Maximum actions per window
+   * @param {number} windowMs - Window length
+   * @returns {Promise<number>} Seconds to wait, or 0 if the action may proceed
+   */
+  async consumeRate(key, minIntervalMs, maxPerWindow, windowMs) {
+    const now = new Date();
+
+    // Window elapsed: start counting afresh
+    await AuthThrottle.updateOne(
+      { key: key, windowStart: { $lte: new Date(now.getTime() - windowMs) } },
+      { $set: { count: 0, windowStart: now, expiresAt: new Date(now.getTime() + windowMs) } }
+    );
+
+    try {
+      // Matches only while the action is allowed; otherwise the upsert collides with the existing key
+      await AuthThrottle.findOneAndUpdate(
+        {
+          key: key,
+          count: { $lt: maxPerWindow },
+          $or: [{ lastAttemptAt: null }, { lastAttemptAt: { $lte: new Date(now.getTime() - minIntervalMs) } }],
+        },
+        {
+          $inc: { count: 1 },
+          $set: { lastAttemptAt: now },
+          $setOnInsert: { windowStart: now, expiresAt: new Date(now.getTime() + windowMs) },
+        },
+        { upsert: true }
+      );
+      return 0;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const record = await AuthThrottle.findOne({ key: key });
+    if (record.lastAttemptAt && now - record.lastAttemptAt < minIntervalMs) {
+      return Math.ceil((minIntervalMs - (now - record.lastAttemptAt)) / 1000);
+    }
+    // Window full (or a parallel request was counted first)
+    return Math.max(Math.ceil((windowMs - (now - record.windowStart)) / 1000), 1);
+  }
+
+  /**
+   * List active lockouts (for administrators)
+   * @returns {Promise<Array>} Locked keys with reason, identifier and expiry
+   */
+  async getActiveLockouts() {
+    return await AuthThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .select('key identifier count lockReason lockedUntil lastIpAddress lastAttemptAt')
+      .sort({ lockedUntil: -1 });
+  }
+
+  /**
+   * Lift a lockout early (administrator action)
+   * @param {string} lockoutId - AuthThrottle document ID
+   * @returns {Promise<Object|null>} Removed record
+   */
+  async unlock(lockoutId) {
+    return await AuthThrottle.findByIdAndDelete(lockoutId);
+  }
+}
+
+module.exports = new ThrottleService();
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const stream = require('stream');
+const Upload = require('../models/Upload');
+const manuscriptService = require('./manuscriptService');
+
+/**
+ * Upload Service
+ * Resumable manuscript (and supplementary file) uploads for authors on unreliable connections (tus-like protocol):
+ * create an upload declaring its size, send it in chunks at explicit offsets (a chunk lost to
+ * a dropped connection is sent again from the last acknowledged offset), query the offset
+ * to resume, then finalize by submitting the paper or revision with the upload's ID.
+ *
+ * Chunks are encrypted as they arrive (hybrid encryption per chunk, ciphertext in the blob
+ * store), so no plaintext is kept server-side between requests. Finalizing decrypts the chunks
+ * in order straight into a fresh encryption of the whole file (manuscriptService.encryptStream),
+ * the same stored form as a single-request upload.
+ */
+
+// Same limit as single-request manuscript uploads (see paperRoutes; supplements: supplementService)
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+// Bounds the chunk list of an upload (and the blobs behind it)
+const MAX_CHUNKS = 1000;
+// Unfinished uploads a user may have at once
+const MAX_ACTIVE_UPLOADS = 5;
+
+// Error carrying a code the upload controller maps to a response
+const uploadError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class UploadService {
+  constructor() {
+    // Abandoned uploads are deleted this long after their last chunk
+    this.expiryMs = parseInt(process.env.UPLOAD_EXPIRY || 86400000); // 24 hours
+    // How often expired uploads are deleted (see server.js)
+    this.sweepIntervalMs = 900000;
+    this.maxFileSize = MAX_FILE_SIZE;
+  }
+
+  expiry() {
+    return new Date(Date.now() + this.expiryMs);
+  }
+
+  /**
+   * Start an upload
+   * @param {string} userId - Uploader
+   * @param {Object} file - { fileName, mimeType, length } (validated by the caller)
+   * @returns {Promise<Object>} Upload document
+   */
+  async create(userId, file) {
+    const active = await Upload.countDocuments({ userId: userId, expiresAt: { $gt: new Date() } });
+    if (active >= MAX_ACTIVE_UPLOADS) {
+      throw uploadError('TOO_MANY_UPLOADS', `At most ${MAX_ACTIVE_UPLOADS} unfinished uploads are allowed; finish or cancel one first`);
+    }
+
+    return Upload.create({
+      userId: userId,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      length: file.length,
+      expiresAt: this.expiry(),
+    });
+  }
+
+  /**
+   * An unexpired upload of a user
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - Uploader
+   * @returns {Promise<Object|null>}
+   */
+  async findForUser(uploadId, userId) {
+    if (!mongoose.isValidObjectId(uploadId)) {
+      return null;
+    }
+    return Upload.findOne({ _id: uploadId, userId: userId, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Encrypt and store the next chunk
+   * The chunk must start at the upload's current offset (checked by the caller and again
+   * atomically here) and must not run past the declared length.
+   * @param {Object} upload - Upload document (status UPLOADING)
+   * @param {Readable} source - Chunk bytes (the request body)
+   * @returns {Promise<Object>} Updated upload
+   * @throws code TOO_MANY_CHUNKS, UPLOAD_TOO_LARGE (chunk runs past the length),
+   *   OFFSET_CONFLICT (another chunk was stored meanwhile)
+   */
+  async appendChunk(upload, source) {
+    if (upload.chunks.length >= MAX_CHUNKS) {
+      throw uploadError('TOO_MANY_CHUNKS', `An upload may have at most ${MAX_CHUNKS} chunks`);
+    }
+
+    const remaining = upload.length - upload.offset;
+    let received = 0;
+    const limiter = new stream.Transform({
+      transform(data, encoding, callback) {
+        received += data.length;
+        if (received > remaining) {
+          return callback(uploadError('UPLOAD_TOO_LARGE', `Chunk exceeds the declared upload length (${remaining} bytes remaining)`));
+        }
+        callback(null, data);
+      },
+    });
+
+    const encrypted = await manuscriptService.encryptStream(stream.pipeline(source, limiter, () => {}), {
+      uploadId: upload._id.toString(),
+      offset: upload.offset,
+      fileName: upload.fileName,
+      uploadedBy: upload.userId.toString(),
+    });
+    if (encrypted.fileSize === 0) {
+      await manuscriptService.discard(encrypted);
+      return upload;
+    }
+
+    const offset = upload.offset + encrypted.fileSize;
+    const updated = await Upload.findOneAndUpdate(
+      { _id: upload._id, offset: upload.offset, status: 'UPLOADING' },
+      {
+        $push: { chunks: { offset: upload.offset, ...encrypted } },
+        offset: offset,
+        status: offset === upload.length ? 'COMPLETE' : 'UPLOADING',
+        expiresAt: this.expiry(),
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await manuscriptService.discard(encrypted);
+      throw uploadError('OFFSET_CONFLICT', 'Another chunk was stored at this offset');
+    }
+    return updated;
+  }
+
+  /**
+   * Reserve a complete upload for a submission (one submission at a time)
+   * @param {Object} upload - Upload document
+   * @returns {Promise<Object|null>} Updated upload, null if it is not (or no longer) COMPLETE
+   */
+  async claim(upload) {
+    return Upload.findOneAndUpdate(
+      { _id: upload._id, status: 'COMPLETE', expiresAt: { $gt: new Date() } },
+      { status: 'FINALIZING', expiresAt: this.expiry() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give a claimed upload back after its submission was rejected, so it can be submitted again
+   * @param {Object} upload - Upload document
+   */
+  async release(upload) {
+    await Upload.updateOne({ _id: upload._id, status: 'FINALIZING' }, { status: 'COMPLETE', expiresAt: this.expiry() });
+  }
+
+  /**
+   * Reassemble a complete upload into one encrypted file
+   * @param {Object} upload - Upload document (claimed)
+   * @param {Object} metadata - Blob metadata, e.g. { paperId }
+   * @returns {Promise<Object>} Encrypted file fields (as from manuscriptService.encryptStream)
+   */
+  async assemble(upload, metadata = {}) {
+    async function* plaintext() {
+      for (const chunk of upload.chunks) {
+        // Each chunk's hash is verified as it is decrypted
+        yield* stream.pipeline(...manuscriptService.openDecryption(chunk), () => {});
+      }
+    }
+
+    const encrypted = await manuscriptService.encryptStream(stream.Readable.from(plaintext()), {
+      ...metadata,
+      fileName: upload.fileName,
+      uploadedBy: upload.userId.toString(),
+    });
+    if (encrypted.fileSize !== upload.length) {
+      await manuscriptService.discard(encrypted);
+      throw new Error(`Reassembled upload ${upload._id} has ${encrypted.fileSize} of ${upload.length} bytes`);
+    }
+    return encrypted;
+  }
+
+  /**
+   * Delete an upload and its chunks (finished, cancelled or expired)
+   * @param {Object} upload - Upload document
+   * @returns {Promise<boolean>} Whether it was still there
+   */
+  async remove(upload) {
+    const result = await Upload.deleteOne({ _id: upload._id });
+    if (result.deletedCount === 0) {
+      return false;
+    }
+    for (const chunk of upload.chunks) {
+      await manuscriptService.discard(chunk);
+    }
+    return true;
+  }
+
+  /**
+   * Delete expired uploads with their chunks
+   * @returns {Promise<number>} Uploads deleted
+   */
+  async sweep() {
+    const expired = await Upload.find({ expiresAt: { $lte: new Date() } });
+    let removed = 0;
+    for (const upload of expired) {
+      if (await this.remove(upload)) {
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Delete all uploads of a user (account erasure)
+   * @param {string} userId - Uploader
+   * @returns {Promise<number>} Uploads deleted
+   */
+  async removeForUser(userId) {
+    const uploads = await Upload.find({ userId: userId });
+    for (const upload of uploads) {
+      await this.remove(upload);
+    }
+    return uploads.length;
+  }
+}
+
+module.exports = new UploadService();
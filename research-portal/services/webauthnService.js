@@ -0,0 +1,122 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+
+/**
+ * WebAuthn Service
+ * Hardware security keys and platform passkeys (FIDO2)
+ * Phishing-resistant: assertions are bound to the relying party origin
+ * Only credential public keys and signature counters are stored server-side
+ */
+
+class WebAuthnService {
+  constructor() {
+    const appURL = new URL(process.env.APP_URL || 'http://localhost:3000');
+
+    this.rpName = process.env.WEBAUTHN_RP_NAME || 'Research Portal';
+    this.rpID = process.env.WEBAUTHN_RP_ID || appURL.hostname;
+    this.expectedOrigin = appURL.origin;
+  }
+
+  /**
+   * Build credential creation options for binding a new authenticator
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON (includes challenge)
+   */
+  async registrationOptions(user) {
+    return await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userID: Buffer.from(user._id.toString()),
+      userName: user.email,
+      userDisplayName: user.fullName,
+      attestationType: 'none',
+      // Prevent registering the same authenticator twice
+      excludeCredentials: user.webauthnCredentials.map((cred) => ({
+        id: cred.credentialId,
+        transports: cred.transports,
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred', // Discoverable credential enables passwordless login
+        userVerification: 'preferred',
+      },
+    });
+  }
+
+  /**
+   * Verify an attestation from the browser
+   * @param {Object} response - RegistrationResponseJSON from navigator.credentials.create()
+   * @param {string} expectedChallenge - Challenge issued in registrationOptions
+   * @returns {Promise<Object|null>} Credential fields to persist, or null if not verified
+   */
+  async verifyRegistration(response, expectedChallenge) {
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response: response,
+      expectedChallenge: expectedChallenge,
+      expectedOrigin: this.expectedOrigin,
+      expectedRPID: this.rpID,
+    });
+
+    if (!verified) {
+      return null;
+    }
+
+    return {
+      credentialId: registrationInfo.credential.id,
+      publicKey: Buffer.from(registrationInfo.credential.publicKey).toString('base64url'),
+      counter: registrationInfo.credential.counter,
+      transports: registrationInfo.credential.transports || [],
+      deviceType: registrationInfo.credentialDeviceType,
+      backedUp: registrationInfo.credentialBackedUp,
+    };
+  }
+
+  /**
+   * Build assertion options
+   * @param {Array} credentials - Stored credentials to allow (empty = discoverable passkeys)
+   * @param {string} userVerification - 'required' for passwordless, 'preferred' as second factor
+   * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON (includes challenge)
+   */
+  async authenticationOptions(credentials, userVerification = 'preferred') {
+    return await generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: credentials.map((cred) => ({
+        id: cred.credentialId,
+        transports: cred.transports,
+      })),
+      userVerification: userVerification,
+    });
+  }
+
+  /**
+   * Verify an assertion against a stored credential
+   * Rejects cloned authenticators via signature counter regression
+   * @param {Object} response - AuthenticationResponseJSON from navigator.credentials.get()
+   * @param {string} expectedChallenge - Challenge issued in authenticationOptions
+   * @param {Object} credential - Stored credential subdocument
+   * @param {boolean} requireUserVerification - Require PIN/biometric (passwordless login)
+   * @returns {Promise<number|null>} New signature counter, or null if not verified
+   */
+  async verifyAuthentication(response, expectedChallenge, credential, requireUserVerification = false) {
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+      response: response,
+      expectedChallenge: expectedChallenge,
+      expectedOrigin: this.expectedOrigin,
+      expectedRPID: this.rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: Buffer.from(credential.publicKey, 'base64url'),
+        counter: credential.counter,
+        transports: credential.transports,
+      },
+      requireUserVerification: requireUserVerification,
+    });
+
+    return verified ? authenticationInfo.newCounter : null;
+  }
+}
+
+module.exports = new WebAuthnService();
@@ -0,0 +1,1074 @@
+#!/usr/bin/env node
+
+/**
+ * Security Behaviour Tests
+ * Exercises the security services directly, without a running server
+ * Usage: node test-security.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const mongoose = require('mongoose');
+const cryptoService = require('./services/cryptoService');
+const clientAddressService = require('./services/clientAddressService');
+const throttleService = require('./services/throttleService');
+const emailService = require('./services/emailService');
+const invitationService = require('./services/invitationService');
+const rateLimitService = require('./services/rateLimitService');
+const auditService = require('./services/auditService');
+const manuscriptService = require('./services/manuscriptService');
+const uploadService = require('./services/uploadService');
+const authController = require('./controllers/authController');
+const uploadController = require('./controllers/uploadController');
+const authMiddleware = require('./middleware/authMiddleware');
+const csrfMiddleware = require('./middleware/csrfMiddleware');
+const rateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const aclMiddleware = require('./middleware/aclMiddleware');
+const AuthThrottle = require('./models/AuthThrottle');
+const AuditLog = require('./models/AuditLog');
+const Invitation = require('./models/Invitation');
+const Paper = require('./models/Paper');
+const RateLimit = require('./models/RateLimit');
+const User = require('./models/User');
+const Upload = require('./models/Upload');
+const UserSession = require('./models/UserSession');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+};
+
+let failures = 0;
+
+// Portal keys: TOTP secrets are stored encrypted with them (npm run keygen)
+const PORTAL_PUBLIC_KEY = path.join(__dirname, 'keys', 'public.pem');
+const PORTAL_PRIVATE_KEY = path.join(__dirname, 'keys', 'private.pem');
+const TEST_PASSWORD = 'Correct-Horse-Battery-9';
+
+// Users and papers created by the database tests, removed afterwards
+const testUserIds = [];
+const testPaperIds = [];
+
+// Emails are captured instead of sent
+const sentMail = [];
+emailService.transporter = {
+  sendMail: async (mailOptions) => {
+    sentMail.push(mailOptions);
+    return { messageId: `test-${sentMail.length}` };
+  },
+};
+
+/**
+ * Log test result
+ */
+function logResult(testName, success, details = '') {
+  const status = success ? `${colors.green}✓ PASS${colors.reset}` : `${colors.red}✗ FAIL${colors.reset}`;
+  console.log(`${status} ${testName}`);
+  if (details) {
+    console.log(`  ${colors.yellow}${details}${colors.reset}`);
+  }
+  if (!success) {
+    failures += 1;
+  }
+}
+
+/**
+ * Throwaway RSA key pair (the portal's own keys are never touched)
+ */
+function createKeyPair() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-portal-test-'));
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const keys = { dir: dir, publicKeyPath: path.join(dir, 'public.pem'), privateKeyPath: path.join(dir, 'private.pem') };
+  fs.writeFileSync(keys.publicKeyPath, publicKey);
+  fs.writeFileSync(keys.privateKeyPath, privateKey);
+  return keys;
+}
+
+/**
+ * Run ciphertext through createDecryptionStream in blob-store sized chunks
+ * @returns {Promise<Object>} { output (plaintext released before the stream ended or failed), error }
+ */
+function decrypt(encryptedPackage, ciphertext, privateKeyPath, chunkSize = 16384) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    for (let offset = 0; offset < ciphertext.length; offset += chunkSize) {
+      chunks.push(ciphertext.subarray(offset, offset + chunkSize));
+    }
+
+    const received = [];
+    const decryption = cryptoService.createDecryptionStream(encryptedPackage, privateKeyPath);
+    decryption.on('data', (data) => received.push(data));
+    stream.pipeline(stream.Readable.from(chunks), decryption, (error) => {
+      resolve({ output: Buffer.concat(received), error: error || null });
+    });
+  });
+}
+
+/**
+ * Call a controller handler or middleware the way Express would, with a minimal request
+ * Unless given an address, each call comes from its own, so the per-IP throttle of one test does not
+ * affect another
+ * A raw body (content) makes the request a readable stream, as for chunk uploads
+ * @returns {Promise<Object>} { status, body, headers } of the response sent, or { next: true, req, headers }
+ *   if passed on
+ */
+function callHandler(
+  handler,
+  {
+    method = 'POST',
+    url = '/api/test',
+    body = {},
+    params = {},
+    session = {},
+    user = null,
+    headers = {},
+    ip = null,
+    content = null,
+  } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+      },
+      json(data) {
+        resolve({ status: this.statusCode, body: data, headers: this.headers });
+        return this;
+      },
+      end() {
+        resolve({ status: this.statusCode, body: null, headers: this.headers });
+        return this;
+      },
+      on() {
+        return this;
+      },
+    };
+    res.setHeader = res.set;
+    const req = Object.assign(content ? stream.Readable.from([content]) : {}, {
+      method: method,
+      originalUrl: url,
+      path: url.split('?')[0],
+      body: body,
+      params: params,
+      session: session,
+      sessionID: crypto.randomBytes(16).toString('hex'),
+      user: user,
+      headers: { 'user-agent': 'test-security', ...headers },
+      socket: { remoteAddress: ip || `198.18.${crypto.randomInt(256)}.${crypto.randomInt(1, 255)}` },
+      get(name) {
+        return this.headers[name.toLowerCase()];
+      },
+      is(type) {
+        return this.headers['content-type'] === type ? type : false;
+      },
+    });
+    Promise.resolve(handler(req, res, () => resolve({ next: true, req: req, headers: res.headers }))).catch(reject);
+  });
+}
+
+/**
+ * Streaming decryption: integrity check before the file is released complete
+ */
+async function testDecryption() {
+  console.log(`${colors.yellow}1. Streaming Decryption${colors.reset}`);
+
+  const keys = createKeyPair();
+  try {
+    // 100000 bytes: a multiple of the AES block size, so the padding block carries no plaintext
+    const plaintext = crypto.randomBytes(100000);
+    const encrypted = cryptoService.encryptFile(plaintext, keys.publicKeyPath);
+    const ciphertext = Buffer.from(encrypted.encryptedData, 'base64');
+
+    const intact = await decrypt(encrypted, ciphertext, keys.privateKeyPath);
+    logResult(
+      'Untampered file decrypts completely',
+      !intact.error && intact.output.equals(plaintext),
+      `${intact.output.length} of ${plaintext.length} bytes`
+    );
+
+    // Flip a bit mid-file: CBC still decrypts (the padding is intact), only the hash differs
+    const tampered = Buffer.from(ciphertext);
+    tampered[50000] ^= 0x01;
+    const result = await decrypt(encrypted, tampered, keys.privateKeyPath);
+    logResult(
+      'Tampered block-aligned file fails with HASH_MISMATCH',
+      result.error !== null && result.error.code === 'HASH_MISMATCH',
+      result.error ? result.error.message : 'no error'
+    );
+    logResult(
+      'Tampered block-aligned file is not released complete',
+      result.output.length < plaintext.length,
+      `${result.output.length} of ${plaintext.length} bytes released`
+    );
+
+    // Whole file in a single chunk: nothing at all may be released
+    const small = crypto.randomBytes(32);
+    const smallEncrypted = cryptoService.encryptFile(small, keys.publicKeyPath);
+    const smallTampered = Buffer.from(smallEncrypted.encryptedData, 'base64');
+    smallTampered[0] ^= 0x01;
+    const smallResult = await decrypt(smallEncrypted, smallTampered, keys.privateKeyPath);
+    logResult(
+      'Tampered single-chunk file releases nothing',
+      smallResult.error !== null && smallResult.error.code === 'HASH_MISMATCH' && smallResult.output.length === 0,
+      `${smallResult.output.length} bytes released`
+    );
+
+    // Stored hash altered instead of the ciphertext
+    const wrongHash = await decrypt({ ...encrypted, hash: cryptoService.hashSHA256(Buffer.from('other')) }, ciphertext, keys.privateKeyPath);
+    logResult(
+      'Wrong stored hash fails with HASH_MISMATCH',
+      wrongHash.error !== null && wrongHash.error.code === 'HASH_MISMATCH' && wrongHash.output.length < plaintext.length
+    );
+  } finally {
+    fs.rmSync(keys.dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * TOTP: RFC 6238 codes, clock drift window and replay
+ */
+async function testTOTP() {
+  console.log(`\n${colors.yellow}2. TOTP Verification${colors.reset}`);
+
+  // RFC 6238 appendix B test secret ("12345678901234567890"), SHA-1 vectors truncated to 6 digits
+  const rfcSecret = cryptoService.base32Encode(Buffer.from('12345678901234567890'));
+  logResult(
+    'RFC 6238 test vectors',
+    cryptoService.generateTOTP(rfcSecret, 1) === '287082' && cryptoService.generateTOTP(rfcSecret, 37037036) === '081804'
+  );
+
+  const secret = cryptoService.generateTOTPSecret();
+  const realNow = Date.now;
+  // Middle of a step, so the window is not shifted by the clock ticking over
+  const now = (Math.floor(realNow() / 30000) * 30 + 15) * 1000;
+  const step = Math.floor(now / 30000);
+  Date.now = () => now;
+  try {
+    logResult('Current code accepted', cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step), 1) === step);
+    logResult(
+      'Codes one step either side accepted (clock drift)',
+      cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step - 1), 1) === step - 1 &&
+        cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step + 1), 1) === step + 1
+    );
+    logResult(
+      'Codes two steps away rejected',
+      cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step - 2), 1) === null &&
+        cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step + 2), 1) === null
+    );
+    logResult(
+      'Malformed codes rejected',
+      ['', '12345', '1234567', 'abcdef', null].every((token) => cryptoService.verifyTOTP(secret, token, 1) === null)
+    );
+
+    const code = cryptoService.generateTOTP(secret, step);
+    logResult('Code replayed after use rejected', cryptoService.verifyTOTP(secret, code, 1, step) === null);
+    logResult(
+      'Earlier code rejected once a later one was used',
+      cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step - 1), 1, step) === null
+    );
+    logResult(
+      'Next code still accepted after use',
+      cryptoService.verifyTOTP(secret, cryptoService.generateTOTP(secret, step + 1), 1, step) === step + 1
+    );
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+/**
+ * Client address resolution behind (untrusted and trusted) proxies
+ */
+async function testClientAddress() {
+  console.log(`\n${colors.yellow}3. Client Address Parsing${colors.reset}`);
+
+  const normalizeCases = [
+    ['192.0.2.60', '192.0.2.60'],
+    ['192.0.2.60:8080', '192.0.2.60'],
+    ['"[2001:db8:cafe::17]:4711"', '2001:db8:cafe::17'],
+    ['2001:DB8:0:0:0:0:0:1', '2001:db8::1'],
+    ['::ffff:192.0.2.1', '192.0.2.1'],
+    ['fe80::1%eth0', 'fe80::1'],
+    ['unknown', null],
+    ['_hidden', null],
+    ['999.1.1.1', null],
+  ];
+  const wrong = normalizeCases.filter(([value, expected]) => clientAddressService.normalize(value) !== expected);
+  logResult(
+    'Addresses normalized (ports, brackets, zones, IPv4-mapped)',
+    wrong.length === 0,
+    wrong.map(([value]) => `${value} -> ${clientAddressService.normalize(value)}`).join(', ')
+  );
+
+  const hops = clientAddressService.parseForwarded('for=192.0.2.60;proto=https, For="[2001:db8:cafe::17]:4711", by=10.0.0.1');
+  logResult(
+    'Forwarded header parsed',
+    JSON.stringify(hops) === JSON.stringify(['192.0.2.60', '[2001:db8:cafe::17]:4711', 'unknown']),
+    JSON.stringify(hops)
+  );
+
+  // Fresh instance configured like a deployment behind a local reverse proxy
+  const previous = process.env.TRUSTED_PROXIES;
+  process.env.TRUSTED_PROXIES = 'loopback, 10.0.0.0/8';
+  const resolver = new clientAddressService.constructor();
+  if (previous === undefined) {
+    delete process.env.TRUSTED_PROXIES;
+  } else {
+    process.env.TRUSTED_PROXIES = previous;
+  }
+  const request = (peer, headers = {}) => ({ socket: { remoteAddress: peer }, headers: headers });
+
+  logResult(
+    'Direct client cannot spoof its address',
+    resolver.resolve(request('203.0.113.9', { 'x-forwarded-for': '198.51.100.1' })).address === '203.0.113.9'
+  );
+  logResult(
+    'Client behind a trusted proxy resolved',
+    resolver.resolve(request('10.0.0.5', { 'x-forwarded-for': '203.0.113.9' })).address === '203.0.113.9'
+  );
+  const spoofed = resolver.resolve(request('::ffff:127.0.0.1', { 'x-forwarded-for': '198.51.100.1, 203.0.113.9, 10.0.0.5' }));
+  logResult(
+    'Hops prepended by the client ignored',
+    spoofed.address === '203.0.113.9' && spoofed.chain.length === 4,
+    `${spoofed.address} (chain ${spoofed.chain.join(', ')})`
+  );
+  logResult(
+    'Forwarded preferred over X-Forwarded-For',
+    resolver.resolve(request('10.0.0.5', { forwarded: 'for="[2001:db8::1]:443"', 'x-forwarded-for': '198.51.100.1' })).address ===
+      '2001:db8::1'
+  );
+  logResult(
+    'Obfuscated hop attributed to the proxy that reported it',
+    resolver.resolve(request('10.0.0.5', { forwarded: 'for=_hidden' })).address === '10.0.0.5'
+  );
+  logResult(
+    'All-trusted chain resolves to the first hop',
+    resolver.resolve(request('127.0.0.1', { 'x-forwarded-for': '10.0.0.7' })).address === '10.0.0.7'
+  );
+}
+
+/**
+ * Role grants: venue/paper scopes, expiry, and accounts stored before grants existed
+ */
+async function testRoleGrants() {
+  console.log(`\n${colors.yellow}4. Role Grants${colors.reset}`);
+
+  const paperId = new mongoose.Types.ObjectId();
+  const hour = 3600000;
+  const user = new User({
+    roles: [
+      { role: 'Author' },
+      { role: 'Reviewer', venue: 'ICSE' },
+      { role: 'Editor', paperId: paperId },
+      { role: 'Admin', expiresAt: new Date(Date.now() - hour) },
+      { role: 'Editor', venue: 'FSE', expiresAt: new Date(Date.now() + hour) },
+    ],
+  });
+
+  logResult(
+    'Venue grant covers its venue only',
+    user.hasRole('Reviewer', { venue: 'ICSE' }) && !user.hasRole('Reviewer', { venue: 'ASE', paperId: new mongoose.Types.ObjectId() })
+  );
+  logResult(
+    'Paper grant covers its paper only',
+    user.hasScopedRole('Editor', { paperId: paperId }) && !user.hasScopedRole('Editor', { paperId: new mongoose.Types.ObjectId() })
+  );
+  logResult('Unscoped grant covers every scope', user.hasRole('Author', { venue: 'ASE' }));
+  logResult('Scoped grants are not portal-wide', user.hasRole('Reviewer') && !user.hasGlobalRole('Reviewer'));
+  logResult(
+    'Expired grant ignored, unexpired one kept',
+    !user.hasRole('Admin') && user.hasRole('Editor', { venue: 'FSE' }),
+    user.roleNames().join(', ')
+  );
+
+  // As loaded from the database: a single `role` string and no grants
+  const legacy = User.hydrate({ _id: new mongoose.Types.ObjectId(), role: 'Editor', createdAt: new Date(0) });
+  logResult(
+    'Legacy role becomes an unscoped grant on load',
+    legacy.roles.length === 1 && legacy.hasGlobalRole('Editor') && legacy.roleNames().join() === 'Editor'
+  );
+  const migrated = User.hydrate({ _id: new mongoose.Types.ObjectId(), role: 'Editor', roles: [{ role: 'Reviewer', venue: 'ICSE' }] });
+  logResult('Stored grants take precedence over the legacy role', migrated.roleNames().join() === 'Reviewer');
+}
+
+/**
+ * Signed links (invitations, password resets): signature, purpose binding and expiry
+ */
+async function testSignedTokens() {
+  console.log(`\n${colors.yellow}5. Signed Link Tokens${colors.reset}`);
+
+  const secret = 'test-secret';
+  const token = cryptoService.createSignedToken({ sub: 'abc', purpose: 'invitation', nonce: 'n' }, 60000, secret);
+  const [body, signature] = token.split('.');
+  const payload = cryptoService.verifySignedToken(token, secret);
+  logResult('Valid token verifies', payload !== null && payload.sub === 'abc' && payload.purpose === 'invitation');
+
+  const forgedBody = Buffer.from(JSON.stringify({ ...payload, sub: 'other' })).toString('base64url');
+  logResult('Altered contents rejected', cryptoService.verifySignedToken(`${forgedBody}.${signature}`, secret) === null);
+  const flipped = signature[0] === 'A' ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+  logResult('Altered signature rejected', cryptoService.verifySignedToken(`${body}.${flipped}`, secret) === null);
+  logResult('Token signed with another secret rejected', cryptoService.verifySignedToken(token, 'other-secret') === null);
+  logResult(
+    'Malformed tokens rejected',
+    [undefined, '', 'abc', `${body}.`, `${body}.${signature}.x`, { body }].every(
+      (value) => cryptoService.verifySignedToken(value, secret) === null
+    )
+  );
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60001;
+  try {
+    logResult('Expired token rejected', cryptoService.verifySignedToken(token, secret) === null);
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+/**
+ * CSRF: state-changing API requests need the session's token
+ */
+async function testCSRF() {
+  console.log(`\n${colors.yellow}6. CSRF Protection${colors.reset}`);
+
+  // Rejections are audited; recorded here instead of stored
+  const rejections = [];
+  const logCSRFRejected = auditService.logCSRFRejected;
+  auditService.logCSRFRejected = async (userId, method, requestPath, ipAddress, reason) => rejections.push(reason);
+
+  try {
+    const session = { csrfToken: csrfMiddleware.issueToken({ session: {} }) };
+    const verify = (options) => callHandler(csrfMiddleware.verifyToken, { session: session, ...options });
+
+    const missing = await verify({});
+    logResult(
+      'POST without a token rejected and audited',
+      missing.status === 403 && missing.body.csrfRejected === true && rejections.pop() === 'Missing token'
+    );
+    const wrong = await verify({ headers: { 'x-csrf-token': cryptoService.generateNonce() } });
+    logResult('POST with another token rejected', wrong.status === 403 && rejections.pop() === 'Invalid token');
+    const truncated = await verify({ headers: { 'x-csrf-token': session.csrfToken.slice(1) } });
+    logResult('POST with a truncated token rejected', truncated.status === 403);
+    const noSessionToken = await callHandler(csrfMiddleware.verifyToken, { session: {}, headers: { 'x-csrf-token': '' } });
+    logResult('Session without a token rejects everything', noSessionToken.status === 403);
+    const deleted = await verify({ method: 'DELETE' });
+    logResult('DELETE without a token rejected', deleted.status === 403);
+
+    logResult('POST with the header token allowed', (await verify({ headers: { 'x-csrf-token': session.csrfToken } })).next === true);
+    logResult('Form POST with the _csrf field allowed', (await verify({ body: { _csrf: session.csrfToken } })).next === true);
+    logResult('GET needs no token', (await verify({ method: 'GET' })).next === true);
+
+    const bearer = await callHandler(csrfMiddleware.verifyToken, { session: null, headers: { authorization: 'Bearer rp_test' } });
+    logResult('API token request without a session not checked', bearer.next === true);
+    const bearerWithCookie = await verify({ headers: { authorization: 'Bearer rp_test' } });
+    logResult('API token does not exempt a cookie session', bearerWithCookie.status === 403);
+  } finally {
+    auditService.logCSRFRejected = logCSRFRejected;
+  }
+}
+
+/**
+ * Viewing as another user: read-only sessions, no account changes, no step-up actions
+ */
+async function testImpersonation() {
+  console.log(`\n${colors.yellow}7. Impersonation Restrictions${colors.reset}`);
+
+  // Blocked requests are audited; recorded here instead of stored
+  const blocked = [];
+  const log = auditService.log;
+  auditService.log = async (userId, action) => blocked.push(action);
+
+  try {
+    const impersonating = (readOnly) => ({
+      userId: new mongoose.Types.ObjectId(),
+      // The Admin signed in a moment ago: their own step-up window is open
+      authenticatedAt: Date.now(),
+      impersonation: { id: 'test', adminId: new mongoose.Types.ObjectId(), readOnly: readOnly, expiresAt: Date.now() + 60000 },
+    });
+
+    const fresh = await callHandler(authMiddleware.requireRecentAuth, { session: { authenticatedAt: Date.now() } });
+    logResult('Recent authentication allows a sensitive action', fresh.next === true);
+    const stale = await callHandler(authMiddleware.requireRecentAuth, {
+      session: { authenticatedAt: Date.now() - 3600000 },
+      user: { mfaMethod: 'totp', mfaSecret: 'x' },
+    });
+    logResult(
+      'Stale authentication asks for a step-up code',
+      stale.status === 403 && stale.body.stepUpRequired === true && stale.body.method === 'totp'
+    );
+    const stepUp = await callHandler(authMiddleware.requireRecentAuth, { session: impersonating(false) });
+    logResult(
+      'Sensitive action refused while viewing as a user',
+      stepUp.status === 403 && !stepUp.body.stepUpRequired,
+      stepUp.body && stepUp.body.error
+    );
+    const restrict = (session, method, url) => callHandler(authMiddleware.restrictImpersonation, { session, method, url });
+
+    logResult('Reading allowed while viewing as a user', (await restrict(impersonating(true), 'GET', '/papers')).next === true);
+    const readOnly = await restrict(impersonating(true), 'POST', '/papers/123/reviews');
+    logResult(
+      'Changes refused in a read-only session and audited',
+      readOnly.status === 403 && readOnly.body.impersonationRestricted === true && blocked.pop() === 'IMPERSONATION_BLOCKED'
+    );
+    logResult('Changes allowed in a read-write session', (await restrict(impersonating(false), 'POST', '/papers/123/reviews')).next === true);
+    logResult(
+      'Account changes refused even in a read-write session',
+      (await restrict(impersonating(false), 'POST', '/auth/change-password')).status === 403 &&
+        (await restrict(impersonating(false), 'DELETE', '/admin/users/123')).status === 403
+    );
+    logResult('Leaving the impersonation allowed', (await restrict(impersonating(true), 'POST', '/auth/impersonation/stop')).next === true);
+    logResult('Ordinary sessions unaffected', (await restrict({ userId: 'x' }, 'POST', '/auth/change-password')).next === true);
+  } finally {
+    auditService.log = log;
+  }
+}
+
+/**
+ * Connect to the scratch database the database tests run against (TEST_MONGODB_URI)
+ * Without one they are skipped, except under CI, where that fails the run: the gate must not
+ * pass without having run them
+ * @returns {Promise<boolean>} True if connected
+ */
+async function connectTestDatabase() {
+  if (!process.env.TEST_MONGODB_URI) {
+    if (process.env.CI) {
+      logResult('Database tests run', false, 'TEST_MONGODB_URI must point to a scratch database under CI');
+    } else {
+      console.log(`\n${colors.yellow}Database tests skipped: set TEST_MONGODB_URI to a scratch database to run${colors.reset}`);
+    }
+    return false;
+  }
+
+  await mongoose.connect(process.env.TEST_MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  return true;
+}
+
+/**
+ * Create a throwaway user in the scratch database
+ * @param {Object} fields - Overrides (e.g. mfaMethod, recoveryCodes)
+ * @returns {Promise<Object>} Saved user
+ */
+async function createTestUser(fields = {}) {
+  const name = `sectest-${crypto.randomBytes(4).toString('hex')}`;
+  const user = await User.create({
+    fullName: 'Security Test',
+    username: name,
+    email: `${name}@example.com`,
+    passwordHash: await cryptoService.hashPassword(TEST_PASSWORD),
+    roles: [{ role: 'Author' }],
+    isEmailVerified: true,
+    ...fields,
+  });
+  testUserIds.push(user._id);
+  return user;
+}
+
+/**
+ * Create a throwaway paper in the scratch database
+ * @param {Object} author - Submitting user
+ * @param {Object} fields - Overrides (e.g. venue)
+ * @returns {Promise<Object>} Saved paper
+ */
+async function createTestPaper(author, fields = {}) {
+  const paper = await Paper.create({
+    title: 'Security Test Paper',
+    abstractText: 'Created by test-security.js',
+    fileName: 'test.pdf',
+    fileSize: 1,
+    fileHash: cryptoService.hashSHA256(Buffer.from('test')),
+    authorId: author._id,
+    authorEmail: author.email,
+    ...fields,
+  });
+  testPaperIds.push(paper._id);
+  return paper;
+}
+
+/**
+ * Remove everything the database tests stored for their users and papers
+ */
+async function removeTestData() {
+  const userIds = testUserIds.splice(0);
+  await User.deleteMany({ _id: { $in: userIds } });
+  await UserSession.deleteMany({ userId: { $in: userIds } });
+  await AuditLog.deleteMany({ userId: { $in: userIds } });
+  await AuthThrottle.deleteMany({ key: { $in: userIds.map((id) => `account:${id}`) } });
+  const paperIds = testPaperIds.splice(0);
+  await Invitation.deleteMany({ paperId: { $in: paperIds } });
+  await Paper.deleteMany({ _id: { $in: paperIds } });
+}
+
+/**
+ * Brute-force counters under parallel requests
+ */
+async function testThrottle() {
+  console.log(`\n${colors.yellow}8. Throttle Counting${colors.reset}`);
+
+  // The unique key index is what parallel first failures collide on
+  await AuthThrottle.init();
+  const prefix = `test-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    const accountKey = `account:${prefix}`;
+    const parallel = throttleService.maxAccountFailures * 2;
+    const results = await Promise.allSettled(
+      Array.from({ length: parallel }, () => throttleService.recordFailure(accountKey, '127.0.0.1', 'test'))
+    );
+    const record = await AuthThrottle.findOne({ key: accountKey });
+    logResult(
+      'Parallel failures all counted',
+      results.every((result) => result.status === 'fulfilled') && record.count === parallel,
+      `count ${record.count} of ${parallel}`
+    );
+    logResult(
+      'Exactly one parallel failure triggers the lockout',
+      results.filter((result) => result.value === true).length === 1
+    );
+    const block = await throttleService.getBlock([accountKey]);
+    logResult('Locked key is blocked', block !== null && block.locked);
+
+    const rateKey = `otp-send:${prefix}`;
+    const sends = await Promise.all(Array.from({ length: 10 }, () => throttleService.consumeRate(rateKey, 0, 3, 3600000)));
+    logResult(
+      'Parallel sends limited to the window maximum',
+      sends.filter((retryAfter) => retryAfter === 0).length === 3,
+      `${sends.filter((retryAfter) => retryAfter === 0).length} of 10 allowed`
+    );
+
+    const intervalKey = `otp-send:${prefix}-interval`;
+    const first = await throttleService.consumeRate(intervalKey, 60000, 5, 3600000);
+    const second = await throttleService.consumeRate(intervalKey, 60000, 5, 3600000);
+    logResult('Minimum interval between sends enforced', first === 0 && second > 0 && second <= 60, `retry after ${second}s`);
+  } finally {
+    await AuthThrottle.deleteMany({ key: new RegExp(prefix) });
+  }
+}
+
+/**
+ * Second-factor codes sent in parallel requests are accepted once
+ */
+async function testSecondFactor() {
+  console.log(`\n${colors.yellow}9. Single-Use Second-Factor Codes${colors.reset}`);
+
+  if (!fs.existsSync(PORTAL_PRIVATE_KEY)) {
+    logResult('Portal key pair present', false, 'run npm run keygen first');
+    return;
+  }
+
+  const secret = cryptoService.generateTOTPSecret();
+  const user = await createTestUser({
+    mfaMethod: 'totp',
+    mfaSecret: cryptoService.encryptKeyWithRSA(Buffer.from(secret), PORTAL_PUBLIC_KEY).toString('base64'),
+  });
+  const code = cryptoService.generateTOTP(secret, Math.floor(Date.now() / 1000 / 30));
+  const logins = await Promise.all(
+    Array.from({ length: 5 }, () => callHandler(authController.verifyOTP, { body: { otp: code }, session: { userId: user._id } }))
+  );
+  logResult(
+    'Authenticator code sent in parallel accepted once',
+    logins.filter((response) => response.status === 200).length === 1,
+    logins.map((response) => response.status).join(', ')
+  );
+  // The rejected requests counted as failures; clear them so the replay is not merely throttled
+  await throttleService.reset(`account:${user._id}`);
+  const replay = await callHandler(authController.verifyOTP, { body: { otp: code }, session: { userId: user._id } });
+  logResult('Authenticator code replayed later rejected', replay.status === 401, `status ${replay.status}`);
+
+  const recoveryUser = await createTestUser();
+  const issued = await callHandler(authController.regenerateRecoveryCodes, { body: { password: TEST_PASSWORD }, user: recoveryUser });
+  const [recoveryCode, otherCode] = issued.body.recoveryCodes;
+  const recoveries = await Promise.all(
+    Array.from({ length: 5 }, () =>
+      callHandler(authController.verifyOTP, { body: { otp: recoveryCode }, session: { userId: recoveryUser._id } })
+    )
+  );
+  logResult(
+    'Recovery code sent in parallel accepted once',
+    recoveries.filter((response) => response.status === 200).length === 1,
+    recoveries.map((response) => response.status).join(', ')
+  );
+  const stored = await User.findById(recoveryUser._id);
+  logResult('Used recovery code removed, the others kept', stored.recoveryCodes.length === issued.body.recoveryCodes.length - 1);
+
+  await throttleService.reset(`account:${recoveryUser._id}`);
+  const next = await callHandler(authController.verifyOTP, { body: { otp: otherCode }, session: { userId: recoveryUser._id } });
+  logResult(
+    'Another recovery code still accepted',
+    next.status === 200 && next.body.recoveryCodesRemaining === issued.body.recoveryCodes.length - 2,
+    `status ${next.status}`
+  );
+}
+
+/**
+ * Paper access evaluated over scoped and expired role grants
+ */
+async function testPaperAccess() {
+  console.log(`\n${colors.yellow}10. Paper Access Control${colors.reset}`);
+
+  const author = await createTestUser();
+  const paper = await createTestPaper(author, { venue: 'ICSE' });
+
+  // Grant holders need not be stored: the middleware works on req.user
+  const access = (roles) => {
+    const user = new User({ roles: roles });
+    testUserIds.push(user._id);
+    return callHandler(aclMiddleware.canAccessPaper, { params: { paperId: paper._id }, session: { userId: user._id }, user: user });
+  };
+  const levelOf = (result) => (result.next ? result.req.accessLevel : result.status);
+
+  const owner = await callHandler(aclMiddleware.canAccessPaper, {
+    params: { paperId: paper._id },
+    session: { userId: author._id },
+    user: author,
+  });
+  logResult('Author owns their paper', levelOf(owner) === 'owner', `got ${levelOf(owner)}`);
+
+  const cases = [
+    ['Other author denied', [{ role: 'Author' }], 403],
+    ['Reviewer of the venue may read', [{ role: 'Reviewer', venue: 'ICSE' }], 'read'],
+    ['Reviewer of another venue denied', [{ role: 'Reviewer', venue: 'FSE' }], 403],
+    ['Editor of the paper may edit', [{ role: 'Editor', paperId: paper._id }], 'editor'],
+    ['Editor of another paper denied', [{ role: 'Editor', paperId: new mongoose.Types.ObjectId() }], 403],
+    ['Expired venue Editor denied', [{ role: 'Editor', venue: 'ICSE', expiresAt: new Date(Date.now() - 1000) }], 403],
+    ['Admin has no paper access', [{ role: 'Admin' }], 403],
+  ];
+  for (const [name, roles, expected] of cases) {
+    const level = levelOf(await access(roles));
+    logResult(name, level === expected, `got ${level}`);
+  }
+}
+
+/**
+ * Password reset links: single use, superseded by a newer link, signature checked
+ */
+async function testPasswordReset() {
+  console.log(`\n${colors.yellow}11. Password Reset Links${colors.reset}`);
+
+  const user = await createTestUser();
+  const requestLink = async () => {
+    await callHandler(authController.forgotPassword, { body: { email: user.email } });
+    const mail = sentMail.filter((mailOptions) => mailOptions.to === user.email).pop();
+    return decodeURIComponent(mail.html.match(/reset-password\?token=([^"'\s<]+)/)[1]);
+  };
+  const reset = (token, password) =>
+    callHandler(authController.resetPassword, { body: { token: token, password: password, confirmPassword: password } });
+
+  const first = await requestLink();
+  const second = await requestLink();
+  const superseded = await reset(first, 'Superseded-Link-Password-1');
+  logResult('Older link invalid once a new one is sent', superseded.status === 400, `status ${superseded.status}`);
+
+  const [body, signature] = second.split('.');
+  const forged = Buffer.from(body, 'base64url').toString('utf8').replace('password-reset', 'password-reset ');
+  const tampered = await reset(`${Buffer.from(forged).toString('base64url')}.${signature}`, 'Tampered-Link-Password-2');
+  logResult('Link with altered contents rejected', tampered.status === 400, `status ${tampered.status}`);
+
+  const used = await reset(second, 'First-Reset-Password-3');
+  const reused = await reset(second, 'Reused-Link-Password-4');
+  logResult('Link resets the password once', used.status === 200 && reused.status === 400, `${used.status}, ${reused.status}`);
+
+  const stored = await User.findById(user._id);
+  logResult(
+    'Reset password is the one in force',
+    await cryptoService.comparePassword('First-Reset-Password-3', stored.passwordHash)
+  );
+
+  const raced = await requestLink();
+  const parallel = await Promise.all(
+    ['Parallel-Reset-Password-5', 'Parallel-Reset-Password-6', 'Parallel-Reset-Password-7'].map((password) => reset(raced, password))
+  );
+  logResult(
+    'Link sent in parallel resets the password once',
+    parallel.filter((response) => response.status === 200).length === 1,
+    parallel.map((response) => response.status).join(', ')
+  );
+}
+
+/**
+ * Invitation links: only the latest pending, unexpired invitation resolves
+ */
+async function testInvitations() {
+  console.log(`\n${colors.yellow}12. Invitation Links${colors.reset}`);
+
+  const editor = await createTestUser();
+  const paper = await createTestPaper(editor);
+  const invite = () =>
+    invitationService.create({ email: 'Invitee@Example.com', role: 'Reviewer', paperId: paper._id, invitedBy: editor._id });
+  const tokenOf = (link) => decodeURIComponent(link.split('invitation=')[1]);
+
+  const first = await invite();
+  const resolved = await invitationService.resolve(tokenOf(first.link));
+  logResult(
+    'Invitation link resolves to its invitation',
+    resolved !== null && resolved._id.equals(first.invitation._id) && resolved.email === 'invitee@example.com'
+  );
+
+  const forged = cryptoService.createSignedToken(
+    { sub: first.invitation._id.toString(), purpose: 'invitation', nonce: cryptoService.generateNonce() },
+    60000,
+    invitationService.secret
+  );
+  logResult('Correctly signed link with the wrong nonce rejected', (await invitationService.resolve(forged)) === null);
+  const otherPurpose = cryptoService.createSignedToken(
+    { ...cryptoService.verifySignedToken(tokenOf(first.link), invitationService.secret), purpose: 'password-reset' },
+    60000,
+    invitationService.secret
+  );
+  logResult('Link issued for another purpose rejected', (await invitationService.resolve(otherPurpose)) === null);
+  const otherSecret = cryptoService.createSignedToken(
+    { sub: first.invitation._id.toString(), purpose: 'invitation', nonce: 'n' },
+    60000,
+    'other-secret'
+  );
+  logResult('Link signed with another secret rejected', (await invitationService.resolve(otherSecret)) === null);
+
+  const second = await invite();
+  logResult(
+    'Newer invitation replaces the pending one',
+    (await invitationService.resolve(tokenOf(first.link))) === null && (await invitationService.resolve(tokenOf(second.link))) !== null
+  );
+
+  await Invitation.updateOne({ _id: second.invitation._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  logResult('Expired invitation rejected', (await invitationService.resolve(tokenOf(second.link))) === null);
+
+  const third = await invite();
+  const realNow = Date.now;
+  Date.now = () => realNow() + invitationService.expiryMs + 1000;
+  try {
+    logResult('Expired link rejected', (await invitationService.resolve(tokenOf(third.link))) === null);
+  } finally {
+    Date.now = realNow;
+  }
+
+  await invitationService.decline(await invitationService.resolve(tokenOf(third.link)));
+  logResult('Declined invitation no longer resolves', (await invitationService.resolve(tokenOf(third.link))) === null);
+}
+
+/**
+ * API rate limits: RateLimit-* headers, 429 once a budget is spent, per user and per IP
+ */
+async function testRateLimits() {
+  console.log(`\n${colors.yellow}13. Rate Limiting${colors.reset}`);
+
+  // A small bucket of its own, so the portal's budgets are not touched
+  const bucket = `test${crypto.randomBytes(4).toString('hex')}`;
+  rateLimitService.buckets[bucket] = { windowMs: 3600000, max: 3, ipMax: 5 };
+  const limit = rateLimitMiddleware.limit(bucket);
+  const ip = `198.19.${crypto.randomInt(256)}.${crypto.randomInt(1, 255)}`;
+
+  try {
+    const allowed = [];
+    for (let i = 0; i < 5; i++) {
+      allowed.push(await callHandler(limit, { ip: ip }));
+    }
+    logResult(
+      'Requests within the budget pass with RateLimit headers',
+      allowed.every(
+        (result, i) =>
+          result.next && result.headers['ratelimit-limit'] === '5' && result.headers['ratelimit-remaining'] === String(4 - i)
+      ),
+      allowed.map((result) => result.headers['ratelimit-remaining']).join(', ')
+    );
+    const reset = Number(allowed[0].headers['ratelimit-reset']);
+    logResult('RateLimit-Reset is the end of the window', reset > 0 && reset <= 3600, `${reset}s`);
+
+    const rejected = await callHandler(limit, { ip: ip });
+    logResult(
+      'Request over the budget rejected with 429 and Retry-After',
+      rejected.status === 429 &&
+        rejected.headers['retry-after'] === rejected.headers['ratelimit-reset'] &&
+        rejected.headers['ratelimit-remaining'] === '0' &&
+        rejected.body.retryAfter > 0,
+      `status ${rejected.status}`
+    );
+    await callHandler(limit, { ip: ip });
+    const audited = await AuditLog.countDocuments({ action: 'RATE_LIMITED', ipAddress: ip });
+    logResult('First rejection of the window audited once', audited === 1, `${audited} entries`);
+
+    // Signed-in user: the per-user budget (3) is smaller than the IP's (5)
+    const userId = new mongoose.Types.ObjectId();
+    const session = { userId: userId, mfaVerified: true };
+    const userIp = `198.19.${crypto.randomInt(256)}.${crypto.randomInt(1, 255)}`;
+    const userResults = [];
+    for (let i = 0; i < 4; i++) {
+      userResults.push(await callHandler(limit, { ip: userIp, session: session }));
+    }
+    logResult(
+      'Per-user budget applies to signed-in users',
+      userResults.slice(0, 3).every((result) => result.next && result.headers['ratelimit-limit'] === '3') &&
+        userResults[3].status === 429,
+      userResults.map((result) => result.status || 'next').join(', ')
+    );
+
+    const parallelIp = `198.19.${crypto.randomInt(256)}.${crypto.randomInt(1, 255)}`;
+    const parallel = await Promise.all(Array.from({ length: 10 }, () => callHandler(limit, { ip: parallelIp })));
+    logResult(
+      'Parallel requests counted exactly',
+      parallel.filter((result) => result.next).length === 5,
+      `${parallel.filter((result) => result.next).length} of 10 passed`
+    );
+
+    rateLimitService.enabled = false;
+    const disabled = await callHandler(limit, { ip: ip });
+    logResult('RATE_LIMIT_ENABLED=false lets requests through', disabled.next === true && !disabled.headers['ratelimit-limit']);
+  } finally {
+    rateLimitService.enabled = true;
+    delete rateLimitService.buckets[bucket];
+    await RateLimit.deleteMany({ key: new RegExp(`^${bucket}:`) });
+    await AuditLog.deleteMany({ action: 'RATE_LIMITED', details: new RegExp(`: ${bucket} budget`) });
+  }
+}
+
+/**
+ * Resumable uploads: chunks only at the current offset, sizes checked on arrival and on finalizing
+ */
+async function testUploads() {
+  console.log(`\n${colors.yellow}14. Resumable Uploads${colors.reset}`);
+
+  const author = await createTestUser();
+  const session = { userId: author._id, mfaVerified: true };
+  const create = (fileSize) =>
+    callHandler(uploadController.createUpload, {
+      session: session,
+      body: { fileName: 'manuscript.pdf', fileSize: fileSize, mimeType: 'application/pdf' },
+    });
+  const send = (uploadId, offset, content) =>
+    callHandler(uploadController.appendChunk, {
+      method: 'PATCH',
+      params: { uploadId: uploadId },
+      session: session,
+      headers: { 'content-type': 'application/offset+octet-stream', 'upload-offset': String(offset) },
+      content: content,
+    });
+  const finalize = (uploadId) => callHandler(uploadController.attachUpload, { session: session, body: { uploadId: uploadId } });
+  const file = crypto.randomBytes(12);
+
+  try {
+    const oversized = await create(uploadService.maxFileSize + 1);
+    logResult('Upload larger than the file size limit refused', oversized.status === 400, `status ${oversized.status}`);
+
+    const created = await create(file.length);
+    const uploadId = created.body.upload.id.toString();
+    logResult('Upload created at offset 0', created.status === 201 && created.headers['upload-offset'] === '0');
+
+    const ahead = await send(uploadId, 4, file.subarray(4, 8));
+    logResult('Chunk at the wrong offset rejected with 409', ahead.status === 409 && ahead.body.offset === 0, `status ${ahead.status}`);
+
+    const first = await send(uploadId, 0, file.subarray(0, 8));
+    const resent = await send(uploadId, 0, file.subarray(0, 8));
+    logResult(
+      'Chunk at the current offset stored, resent chunk rejected',
+      first.status === 204 && first.headers['upload-offset'] === '8' && resent.status === 409 && resent.body.offset === 8,
+      `${first.status}, ${resent.status}`
+    );
+
+    const overrun = await send(uploadId, 8, file.subarray(0, 8));
+    logResult(
+      'Chunk running past the declared length rejected with 413',
+      overrun.status === 413 && (await Upload.findById(uploadId)).offset === 8,
+      `status ${overrun.status}`
+    );
+
+    const incomplete = await finalize(uploadId);
+    logResult('Incomplete upload cannot be submitted', incomplete.status === 409, `status ${incomplete.status}`);
+
+    const parallel = await Promise.all([send(uploadId, 8, file.subarray(8, 10)), send(uploadId, 8, file.subarray(8, 10))]);
+    const last = await send(uploadId, 10, file.subarray(10));
+    const stored = await Upload.findById(uploadId);
+    logResult(
+      'Chunks sent in parallel at one offset stored once',
+      parallel.filter((result) => result.status === 204).length === 1 &&
+        parallel.filter((result) => result.status === 409).length === 1 &&
+        last.status === 204 &&
+        stored.chunks.length === 3 &&
+        stored.status === 'COMPLETE',
+      parallel.map((result) => result.status).join(', ')
+    );
+
+    const finalized = await finalize(uploadId);
+    logResult(
+      'Complete upload reassembled to its declared size',
+      finalized.next === true && finalized.req.file.size === file.length,
+      finalized.next ? `${finalized.req.file.size} bytes` : `status ${finalized.status}`
+    );
+    if (finalized.next) {
+      await manuscriptService.discard(finalized.req.file.encrypted);
+    }
+
+    // A stored length the chunks do not add up to (e.g. a record altered after completion)
+    const short = await create(file.length);
+    const shortId = short.body.upload.id.toString();
+    await send(shortId, 0, file);
+    await Upload.updateOne({ _id: shortId }, { $set: { length: file.length + 1 } });
+    const mismatched = await finalize(shortId);
+    logResult(
+      'Reassembled size differing from the declared length rejected',
+      !mismatched.next && mismatched.status === 500 && (await Upload.findById(shortId)).status === 'COMPLETE',
+      mismatched.next ? 'accepted' : `status ${mismatched.status}`
+    );
+  } finally {
+    await uploadService.removeForUser(author._id);
+  }
+}
+
+/**
+ * Run tests
+ */
+async function runTests() {
+  console.log(`\n${colors.blue}Research Paper Portal - Security Tests${colors.reset}\n`);
+
+  await testDecryption();
+  await testTOTP();
+  await testClientAddress();
+  await testRoleGrants();
+  await testSignedTokens();
+  await testCSRF();
+  await testImpersonation();
+
+  if (await connectTestDatabase()) {
+    try {
+      await testThrottle();
+      await testSecondFactor();
+      await testPaperAccess();
+      await testPasswordReset();
+      await testInvitations();
+      await testRateLimits();
+      await testUploads();
+    } finally {
+      await removeTestData();
+      await mongoose.disconnect();
+    }
+  }
+}
+
+// Run tests (a handler that never responds leaves the run unfinished, which must not pass)
+process.exitCode = 1;
+runTests()
+  .then(() => {
+    if (failures > 0) {
+      console.log(`\n${colors.red}${failures} test(s) failed${colors.reset}\n`);
+      process.exit(1);
+    }
+    console.log(`\n${colors.green}Tests completed${colors.reset}\n`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`${colors.red}Error:${colors.reset}`, error.message);
+    process.exit(1);
+  });